@@ -1,171 +1,142 @@
-(function () {
+// CryptoCadet storefront button.
+//
+// This is the only copy of the storefront script. GET /checkout-extension.js
+// serves it per shop, replacing __CRYPTOCADET_CONFIG__ with that shop's
+// settings (label, colours, placement selectors, enabled pages, app URL).
+(function (config) {
+    if (!config) return;
+
+    // Several script tags pointing at us must still only add one button
+    if (window.__cryptocadetLoaded) return;
+    window.__cryptocadetLoaded = true;
+
+    var path = window.location.pathname;
+    var page = /\/cart(\/|\?|#|$)/.test(path) ? 'cart' : (/\/products\//.test(path) ? 'product' : null);
+    if (!page || config.enabled_pages.indexOf(page) === -1) {
+      return;
+    }
+    console.log('CryptoCadet: Script loaded on', page, 'page');
+
+    var currency = (window.Shopify && window.Shopify.currency && window.Shopify.currency.active) || null;
+
+    // On a product page, buy the selected variant from the product form
+    function readProductForm() {
+      var form = document.querySelector('form[action*="/cart/add"]');
+      if (!form) return null;
+      var data = new FormData(form);
+      var variantId = data.get('id');
+      if (!variantId) return null;
+      return {
+        items: [{ variant_id: variantId, quantity: parseInt(data.get('quantity') || '1', 10) }],
+        currency: currency,
+        discountCodes: []
+      };
+    }
+
+    function readCart() {
+      return fetch('/cart.js', { headers: { Accept: 'application/json' } })
+        .then(function (response) { return response.json(); })
+        .then(function (cart) {
+          return {
+            items: cart.items.map(function (item) {
+              return { variant_id: item.variant_id, quantity: item.quantity };
+            }),
+            currency: cart.currency,
+            discountCodes: (cart.cart_level_discount_applications || [])
+              .filter(function (d) { return d.type === 'discount_code'; })
+              .map(function (d) { return d.title; })
+          };
+        });
+    }
+
+    function readOrder() {
+      var productOrder = page === 'product' ? readProductForm() : null;
+      return productOrder ? Promise.resolve(productOrder) : readCart();
+    }
+
+    function findTarget() {
+      var selectors = config.selectors[page];
+      for (var i = 0; i < selectors.length; i++) {
+        var target = document.querySelector(selectors[i]);
+        if (target) return target;
+      }
+      return null;
+    }
+
     function addCryptoButton() {
-      console.log('CryptoCadet: Running addCryptoButton()');
-      
       // Avoid duplicates
-      if (document.getElementById("crypto-pay-btn")) {
-        console.log('CryptoCadet: Button already exists');
-        return;
-      }
-  
-      let targetBtn = null;
-      let insertionPoint = null;
+      if (document.getElementById("crypto-pay-btn")) return;
+
+      var targetBtn = findTarget();
+      if (!targetBtn) return;
 
-      // Check if we're on a checkout page
-      if (window.location.pathname.includes('/checkout') || 
-          window.location.pathname.includes('/checkouts/') || 
-          window.location.search.includes('checkout')) {
-        
-        console.log('CryptoCadet: On checkout page');
-        
-        // Try multiple selectors for payment section
-        const selectors = [
-          '.payment-methods',
-          '[data-step="payment_method"]',
-          '.section--payment-method',
-          '[data-payment-form]',
-          '.payment-method-list',
-          'form[data-payment-form]',
-          '.payment-due-label',
-          '.payment-due',
-          '.step__footer'
-        ];
-        
-        let paymentSection = null;
-        for (const selector of selectors) {
-          paymentSection = document.querySelector(selector);
-          if (paymentSection) {
-            console.log('CryptoCadet: Found payment section with selector:', selector);
-            insertionPoint = paymentSection;
-            break;
-          }
-        }
-        
-        if (!paymentSection) {
-          console.log('CryptoCadet: No payment section found. Available elements:', 
-            document.querySelectorAll('*[class*="payment"], *[id*="payment"], *[data*="payment"]'));
-          return;
-        }
-      } else {
-        console.log('CryptoCadet: Looking for product/cart buttons');
-        
-        // More specific selectors based on your HTML structure
-        const buttonSelectors = [
-          // Product page - your actual structure
-          'button[name="add"][type="submit"]',
-          '.product-form__buttons button[type="submit"]',
-          'form[action*="/cart/add"] button[type="submit"]',
-          'form[action*="/cart/add"] input[type="submit"]',
-          // Generic fallbacks
-          'button[name="add"]',
-          '.product-form__submit',
-          '.btn-product-form',
-          // Cart page
-          'form[action*="/checkout"] [type="submit"]', 
-          '.cart__checkout',
-          '.cart-footer button'
-        ];
-        
-        for (const selector of buttonSelectors) {
-          targetBtn = document.querySelector(selector);
-          if (targetBtn) {
-            console.log('CryptoCadet: Found target button with selector:', selector);
-            break;
-          }
-        }
-        
-        if (!targetBtn) {
-          console.log('CryptoCadet: No target button found. Available buttons:', 
-            document.querySelectorAll('button, input[type="submit"]'));
-          return;
-        }
-        
-        // Find the best insertion point
-        const buttonContainer = targetBtn.closest('.product-form__buttons') || 
-                               targetBtn.closest('.product-form') || 
-                               targetBtn.parentNode;
-        insertionPoint = buttonContainer;
-      }
-  
       // Create button
-      const cryptoBtn = document.createElement("button");
+      var cryptoBtn = document.createElement("button");
       cryptoBtn.id = "crypto-pay-btn";
       cryptoBtn.type = "button";
-      cryptoBtn.textContent = "🚀 Pay with Crypto";
-      cryptoBtn.style.cssText = `
-        display: block;
-        margin-top: 12px;
-        padding: 12px 20px;
-        background: #5c6ac4;
-        color: #fff;
-        border: none;
-        border-radius: 6px;
-        cursor: pointer;
-        font-size: 16px;
-        font-weight: 500;
-        width: 100%;
-        box-sizing: border-box;
-      `;
-  
-      // Redirect to your demo flow
+      cryptoBtn.textContent = config.label;
+      cryptoBtn.style.cssText = [
+        'display: block',
+        'width: 100%',
+        'box-sizing: border-box',
+        'margin-top: 12px',
+        'padding: 14px',
+        'background: ' + config.background_color,
+        'color: ' + config.text_color,
+        'border: none',
+        'border-radius: 6px',
+        'font-size: 16px',
+        'font-weight: 600',
+        'cursor: pointer'
+      ].join(';');
+
+      // Build the order from the real cart (or the product form) and let the
+      // server price it through a Shopify draft order
       cryptoBtn.addEventListener("click", function () {
         console.log('CryptoCadet: Crypto button clicked');
-        
-        const productTitle = document.querySelector("h1, .product__title, .product-title")?.innerText || "Product";
-        const priceText =
-          document.querySelector(".price, .product__price, .product-price, .cart__subtotal, .payment-due-label")?.innerText ||
-          "$0.00";
-  
-        const checkoutData = {
-          product: productTitle,
-          price: priceText,
-          url: window.location.href,
-        };
-  
-        const redirectUrl =
-          "https://shopify.cryptocadet.app/crypto-demo?" +
-          new URLSearchParams({ checkout: JSON.stringify(checkoutData) });
-  
-        console.log('CryptoCadet: Redirecting to:', redirectUrl);
-        window.location.href = redirectUrl;
+        cryptoBtn.disabled = true;
+
+        readOrder()
+          .then(function (order) {
+            return fetch(config.app_url + "/storefront/checkout", {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                shop: config.shop,
+                items: order.items,
+                currency: order.currency,
+                discount_codes: order.discountCodes,
+                return_url: window.location.href
+              })
+            });
+          })
+          .then(function (response) { return response.json(); })
+          .then(function (data) {
+            if (!data.session_id) throw new Error(data.message || data.error || 'Checkout failed');
+            var redirectUrl = config.redirect_base + '/pay/' + encodeURIComponent(data.session_id);
+            console.log('CryptoCadet: Redirecting to:', redirectUrl);
+            window.location.href = redirectUrl;
+          })
+          .catch(function (err) {
+            console.error('CryptoCadet: Checkout failed:', err);
+            cryptoBtn.disabled = false;
+          });
       });
-  
-      // Insert the button
-      if (insertionPoint) {
-        insertionPoint.appendChild(cryptoBtn);
-        console.log('CryptoCadet: Button added successfully to:', insertionPoint);
-      } else {
-        console.log('CryptoCadet: No insertion point found');
-      }
+
+      targetBtn.insertAdjacentElement("afterend", cryptoBtn);
+      console.log('CryptoCadet: Button inserted');
     }
-  
+
     // Run immediately when DOM is ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', addCryptoButton);
     } else {
       addCryptoButton();
     }
-  
-    // Watch for theme DOM updates (Shopify themes often use AJAX)
-    const observer = new MutationObserver(function(mutations) {
-      let shouldRun = false;
-      mutations.forEach(function(mutation) {
-        if (mutation.addedNodes.length > 0) {
-          shouldRun = true;
-        }
-      });
-      if (shouldRun) {
-        setTimeout(addCryptoButton, 100);
-      }
-    });
-    
-    observer.observe(document.body, {
+
+    // Watch for theme DOM updates (Shopify themes often re-render the cart with AJAX)
+    new MutationObserver(addCryptoButton).observe(document.documentElement, {
       childList: true,
-      subtree: true,
+      subtree: true
     });
-  
-    // Retry after delays to handle slow-loading themes
-    setTimeout(addCryptoButton, 1000);
-    setTimeout(addCryptoButton, 3000);
-    setTimeout(addCryptoButton, 5000);
-  })();
\ No newline at end of file
+})(__CRYPTOCADET_CONFIG__);
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Append-only record of what was done with buyer and shop data: privacy
+// requests from Shopify, exports downloaded, retention runs. Entries hold ids
+// and counts, never the data itself, and outlive the shop's other records so
+// a removal can still be shown to have happened.
+
+async function recordAuditEvent(storage, { shop, action, actor = 'system', details = {} }) {
+  const now = new Date();
+  // Sortable by time within a shop's list
+  const id = `audit_${now.getTime()}_${crypto.randomBytes(4).toString('hex')}`;
+  const entry = await storage.collection('audit_log').put(id, {
+    id,
+    shop,
+    action,
+    actor,
+    details,
+    created_at: now.toISOString()
+  });
+  console.log('Audit:', { shop, action, actor });
+  return entry;
+}
+
+async function listAuditEvents(storage, shop, { limit = 100 } = {}) {
+  const entries = await storage.collection('audit_log').list({ shop });
+  return entries.sort((a, b) => b.id.localeCompare(a.id)).slice(0, limit);
+}
+
+module.exports = { recordAuditEvent, listAuditEvents };
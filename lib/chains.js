@@ -0,0 +1,157 @@
+const { getAddress } = require('ethers');
+
+// Supported networks and the assets we accept on each. Asset ids are
+// "<chain>:<SYMBOL>" (e.g. "polygon:USDC") everywhere in the app.
+//
+// quoteDecimals is how precisely we quote an asset to buyers: quotes are
+// rounded up to it so the amount is easy to type and never short.
+const CHAINS = {
+  ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    addressFormat: 'evm',
+    explorer: 'https://etherscan.io',
+    native: { symbol: 'ETH', decimals: 18, quoteDecimals: 6 },
+    tokens: {
+      USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, quoteDecimals: 2 },
+      USDT: { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6, quoteDecimals: 2 },
+      DAI: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18, quoteDecimals: 2 },
+    },
+  },
+  polygon: {
+    name: 'Polygon',
+    chainId: 137,
+    addressFormat: 'evm',
+    explorer: 'https://polygonscan.com',
+    native: { symbol: 'POL', decimals: 18, quoteDecimals: 4 },
+    tokens: {
+      USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, quoteDecimals: 2 },
+      USDT: { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6, quoteDecimals: 2 },
+    },
+  },
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    addressFormat: 'evm',
+    explorer: 'https://basescan.org',
+    native: { symbol: 'ETH', decimals: 18, quoteDecimals: 6 },
+    tokens: {
+      USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, quoteDecimals: 2 },
+    },
+  },
+  arbitrum: {
+    name: 'Arbitrum One',
+    chainId: 42161,
+    addressFormat: 'evm',
+    explorer: 'https://arbiscan.io',
+    native: { symbol: 'ETH', decimals: 18, quoteDecimals: 6 },
+    tokens: {
+      USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6, quoteDecimals: 2 },
+      USDT: { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6, quoteDecimals: 2 },
+    },
+  },
+  bsc: {
+    name: 'BNB Smart Chain',
+    chainId: 56,
+    addressFormat: 'evm',
+    explorer: 'https://bscscan.com',
+    native: { symbol: 'BNB', decimals: 18, quoteDecimals: 5 },
+    tokens: {
+      // Binance-peg stablecoins use 18 decimals, unlike their Ethereum originals
+      USDC: { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', decimals: 18, quoteDecimals: 2 },
+      USDT: { address: '0x55d398326f99059fF775485246999027B3197955', decimals: 18, quoteDecimals: 2 },
+    },
+  },
+};
+
+// A local development node (anvil, hardhat) is only offered when RPC_URL_LOCAL
+// points at one. LOCAL_CHAIN_ID defaults to the anvil/hardhat id, and a test
+// token deployed there can stand in for USDC via LOCAL_USDC_ADDRESS.
+if (process.env.RPC_URL_LOCAL) {
+  CHAINS.local = {
+    name: 'Local dev chain',
+    chainId: parseInt(process.env.LOCAL_CHAIN_ID || '31337', 10),
+    addressFormat: 'evm',
+    explorer: null,
+    native: { symbol: 'ETH', decimals: 18, quoteDecimals: 6 },
+    tokens: process.env.LOCAL_USDC_ADDRESS
+      ? { USDC: { address: process.env.LOCAL_USDC_ADDRESS, decimals: parseInt(process.env.LOCAL_USDC_DECIMALS || '6', 10), quoteDecimals: 2 } }
+      : {},
+  };
+}
+
+function getChain(chain) {
+  return CHAINS[chain] || null;
+}
+
+function getAsset(assetId) {
+  const [chainKey, symbol] = String(assetId).split(':');
+  const chain = CHAINS[chainKey];
+  if (!chain || !symbol) return null;
+
+  if (symbol === chain.native.symbol) {
+    return {
+      id: assetId,
+      chain: chainKey,
+      symbol,
+      decimals: chain.native.decimals,
+      quoteDecimals: chain.native.quoteDecimals,
+      type: 'native',
+    };
+  }
+  const token = chain.tokens[symbol];
+  if (!token) return null;
+  return {
+    id: assetId,
+    chain: chainKey,
+    symbol,
+    decimals: token.decimals,
+    quoteDecimals: token.quoteDecimals,
+    type: 'token',
+    address: token.address,
+  };
+}
+
+function listAssets() {
+  return Object.entries(CHAINS).flatMap(([chainKey, chain]) => [
+    getAsset(`${chainKey}:${chain.native.symbol}`),
+    ...Object.keys(chain.tokens).map(symbol => getAsset(`${chainKey}:${symbol}`)),
+  ]);
+}
+
+// Returns the canonical form of an address for the chain, or throws if it is
+// not a valid address there. EVM addresses come back EIP-55 checksummed; a
+// mixed-case address with a bad checksum is refused.
+function normalizeAddress(chainKey, address) {
+  const chain = CHAINS[chainKey];
+  if (!chain) throw new Error(`Unsupported chain: ${chainKey}`);
+  if (typeof address !== 'string' || address.trim() === '') throw new Error('Address is required');
+
+  if (chain.addressFormat === 'evm') {
+    try {
+      return getAddress(address.trim());
+    } catch (_) {
+      throw new Error(`Not a valid ${chain.name} address`);
+    }
+  }
+  throw new Error(`No address format for chain: ${chainKey}`);
+}
+
+// EIP-681 payment link for wallets and QR codes: the chain, recipient and
+// exact amount in base units, so a scanning wallet fills in everything.
+function paymentUri(asset, address, amountUnits) {
+  const chainId = CHAINS[asset.chain].chainId;
+  if (asset.type === 'native') {
+    return `ethereum:${address}@${chainId}?value=${amountUnits}`;
+  }
+  return `ethereum:${asset.address}@${chainId}/transfer?address=${address}&uint256=${amountUnits}`;
+}
+
+// Link to a transaction on the chain's block explorer, or null for chains
+// without one (the local dev chain)
+function explorerTxUrl(chainKey, txHash) {
+  const explorer = CHAINS[chainKey]?.explorer;
+  return explorer && txHash ? `${explorer}/tx/${txHash}` : null;
+}
+
+module.exports = { CHAINS, getChain, getAsset, listAssets, normalizeAddress, paymentUri, explorerTxUrl };
@@ -0,0 +1,169 @@
+const { JsonRpcProvider, Network, getAddress, id } = require('ethers');
+const { getChain, getAsset } = require('./chains');
+
+// Reads payments off EVM chains through JSON-RPC. Each chain needs an
+// endpoint in RPC_URL_<CHAIN> (RPC_URL_ETHEREUM, RPC_URL_POLYGON, ...,
+// RPC_URL_LOCAL for a dev node).
+
+const TRANSFER_TOPIC = id('Transfer(address,address,uint256)');
+// Block timestamps and our clock disagree by a little; a transaction mined
+// this long before a session was created still counts for it.
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const providers = new Map();
+const verifiedNetworks = new Set();
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getProvider(chainKey) {
+  const chain = getChain(chainKey);
+  if (!chain) throw rpcError('rpc_not_configured', `Unsupported chain: ${chainKey}`);
+  const url = process.env[`RPC_URL_${chainKey.toUpperCase()}`];
+  if (!url) throw rpcError('rpc_not_configured', `No RPC endpoint configured for ${chain.name} (RPC_URL_${chainKey.toUpperCase()})`);
+
+  if (!providers.has(chainKey)) {
+    // A static network skips ethers' detection loop, which retries forever
+    // against a node that is down; the chain id is checked explicitly below.
+    const network = Network.from(chain.chainId);
+    providers.set(chainKey, new JsonRpcProvider(url, network, { staticNetwork: network }));
+  }
+  return providers.get(chainKey);
+}
+
+// Refuses to read payments from a node on the wrong network, e.g. an
+// RPC_URL_ETHEREUM that actually points at a testnet.
+async function assertNetwork(chainKey, provider) {
+  if (verifiedNetworks.has(chainKey)) return;
+  const expected = getChain(chainKey).chainId;
+  const actual = Number(await provider.send('eth_chainId', []));
+  if (actual !== expected) {
+    throw rpcError('chain_mismatch', `RPC endpoint for ${chainKey} is on chain ${actual}, expected ${expected}`);
+  }
+  verifiedNetworks.add(chainKey);
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Fetches a mined transaction with its receipt, its block and the current
+// head, or null while the node does not know it or it is still unmined.
+async function fetchTransaction(chainKey, txHash) {
+  const provider = getProvider(chainKey);
+  let tx, receipt, head, block;
+  try {
+    await assertNetwork(chainKey, provider);
+    [tx, receipt, head] = await Promise.all([
+      provider.getTransaction(txHash),
+      provider.getTransactionReceipt(txHash),
+      provider.getBlockNumber(),
+    ]);
+    if (receipt) block = await provider.getBlock(receipt.blockNumber);
+  } catch (error) {
+    if (error.code === 'chain_mismatch') throw error;
+    throw rpcError('rpc_error', `RPC request to ${chainKey} failed: ${error.shortMessage || error.message}`);
+  }
+  if (!tx || !receipt || !block) return null;
+  return { tx, receipt, head, block };
+}
+
+// Transfers of one asset made by a fetched transaction. ERC-20 payments are
+// read from Transfer logs of the asset's contract; native payments only count
+// the transaction's own value, not transfers made internally by a contract.
+function assetTransfers(asset, { tx, receipt }) {
+  if (asset.type === 'native') {
+    return tx.to && tx.value > 0n ? [{ asset: asset.id, to: getAddress(tx.to), amount_units: tx.value }] : [];
+  }
+  const transfers = [];
+  for (const log of receipt.logs) {
+    if (!sameAddress(log.address, asset.address)) continue;
+    if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) continue;
+    transfers.push({
+      asset: asset.id,
+      to: getAddress(`0x${log.topics[2].slice(26)}`),
+      amount_units: BigInt(log.data),
+    });
+  }
+  return transfers;
+}
+
+function describeTransaction(chainKey, { tx, receipt, head, block }) {
+  return {
+    chain: chainKey,
+    tx_hash: receipt.hash,
+    from: tx.from,
+    succeeded: receipt.status === 1,
+    block_number: receipt.blockNumber,
+    block_hash: receipt.blockHash,
+    mined_at: new Date(block.timestamp * 1000).toISOString(),
+    confirmations: Math.max(head - receipt.blockNumber + 1, 0),
+  };
+}
+
+// Looks a transaction up and describes what it paid in the asset: the
+// transfers it made, the total to the recipient in base units and how deeply
+// it is confirmed. Returns null while the transaction is unknown or unmined.
+async function inspectTransfer(asset, txHash, recipient) {
+  const fetched = await fetchTransaction(asset.chain, txHash);
+  if (!fetched) return null;
+
+  const transfers = assetTransfers(asset, fetched);
+  return {
+    ...describeTransaction(asset.chain, fetched),
+    transfers,
+    amount_units: transfers
+      .filter(transfer => sameAddress(transfer.to, recipient))
+      .reduce((sum, transfer) => sum + transfer.amount_units, 0n),
+  };
+}
+
+// Every transfer of a supported asset a transaction made on the chain, for
+// matching incoming funds to whoever owns the receiving address.
+async function listTransfers(chainKey, txHash) {
+  const fetched = await fetchTransaction(chainKey, txHash);
+  if (!fetched) return null;
+
+  const chain = getChain(chainKey);
+  const assets = [chain.native.symbol, ...Object.keys(chain.tokens)].map(symbol => getAsset(`${chainKey}:${symbol}`));
+  return {
+    ...describeTransaction(chainKey, fetched),
+    transfers: assets.flatMap(asset => assetTransfers(asset, fetched)),
+  };
+}
+
+// Checks that a transaction pays the recipient in the asset. Returns
+// { status: 'not_found' } while the transaction is unknown or unmined, a
+// { status: 'rejected', reason_code, message } for anything that can never
+// count as a payment, and { status: 'verified' } otherwise. Amount and
+// confirmation depth are reported, not judged; a session may be paid in
+// several transfers, so the caller adds them up and owns the thresholds.
+//
+// `notBefore` (an ISO time, usually when the session was created) refuses
+// transactions mined earlier: an old unclaimed transfer to a fixed wallet
+// must not pay for a new order.
+async function verifyTransfer({ asset, txHash, recipient, notBefore }) {
+  const transfer = await inspectTransfer(asset, txHash, recipient);
+  if (!transfer) return { status: 'not_found' };
+
+  const verdict = (reason_code, message) => ({ status: 'rejected', reason_code, message, transfer });
+  if (!transfer.succeeded) {
+    return verdict('tx_failed', 'Transaction reverted on chain');
+  }
+  if (notBefore && Date.parse(transfer.mined_at) < Date.parse(notBefore) - CLOCK_SKEW_MS) {
+    return verdict('tx_too_old', `Transaction was mined at ${transfer.mined_at}, before this payment was created`);
+  }
+  if (transfer.transfers.length === 0) {
+    return verdict('asset_mismatch', `Transaction does not transfer ${asset.symbol} on ${asset.chain}`);
+  }
+  if (transfer.amount_units === 0n) {
+    const paidTo = [...new Set(transfer.transfers.map(t => t.to))].join(', ');
+    return verdict('recipient_mismatch', `Transaction pays ${paidTo}, not the expected address ${recipient}`);
+  }
+  return { status: 'verified', transfer };
+}
+
+module.exports = { getProvider, inspectTransfer, listTransfers, verifyTransfer };
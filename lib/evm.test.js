@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startFakeEvmNode, word } = require('../test-support/fake-evm-node');
+
+const MERCHANT = '0x000000000000000000000000000000000000dEaD';
+const MINED_AT = new Date('2024-05-01T12:00:00Z');
+
+let node;
+let verifyTransfer;
+let getAsset;
+
+test.before(async () => {
+  node = await startFakeEvmNode({
+    transactions: {
+      [word(1)]: { to: MERCHANT, value: 5n * 10n ** 15n, minedAt: MINED_AT },
+      [word(2)]: { to: MERCHANT, value: 5n * 10n ** 15n, status: 0, minedAt: MINED_AT },
+      [word(3)]: { to: '0x000000000000000000000000000000000000bEEF', value: 5n * 10n ** 15n, minedAt: MINED_AT },
+    },
+  });
+  // The local chain is only configured when its RPC URL is set at load time
+  process.env.RPC_URL_LOCAL = node.url;
+  ({ verifyTransfer } = require('./evm'));
+  ({ getAsset } = require('./chains'));
+});
+
+test.after(() => node.close());
+
+const verify = (txHash, notBefore) => verifyTransfer({ asset: getAsset('local:ETH'), txHash, recipient: MERCHANT, notBefore });
+
+test('verifies a transfer to the recipient and reports when it was mined', async () => {
+  const result = await verify(word(1), '2024-05-01T11:00:00Z');
+  assert.strictEqual(result.status, 'verified');
+  assert.strictEqual(result.transfer.amount_units, 5n * 10n ** 15n);
+  assert.strictEqual(result.transfer.confirmations, 5);
+  assert.strictEqual(result.transfer.mined_at, '2024-05-01T12:00:00.000Z');
+});
+
+test('refuses a transaction mined before the payment was created', async () => {
+  const result = await verify(word(1), '2024-05-01T13:00:00Z');
+  assert.strictEqual(result.status, 'rejected');
+  assert.strictEqual(result.reason_code, 'tx_too_old');
+});
+
+test('allows a little clock skew between the block and the session', async () => {
+  const result = await verify(word(1), '2024-05-01T12:01:00Z');
+  assert.strictEqual(result.status, 'verified');
+});
+
+test('rejects reverted transactions and transfers to someone else', async () => {
+  assert.strictEqual((await verify(word(2))).reason_code, 'tx_failed');
+  assert.strictEqual((await verify(word(3))).reason_code, 'recipient_mismatch');
+});
+
+test('reports an unknown transaction as not found', async () => {
+  assert.deepStrictEqual(await verify(word(9)), { status: 'not_found' });
+});
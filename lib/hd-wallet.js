@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { HDNodeWallet } = require('ethers');
+
+// Per-session deposit addresses come from an extended public key the
+// merchant registers (the account-level xpub, e.g. m/44'/60'/0', that wallets
+// such as Ledger or MetaMask export). We only ever see the public half, so
+// the server can derive receive addresses but never spend from them.
+//
+// Addresses are taken from the external chain (0/<index>), which is where
+// wallets look for incoming funds. Wallets stop scanning after a run of
+// unused addresses (the gap limit, usually 20), so a long streak of unpaid
+// sessions would hide later payments from the merchant's wallet; sessions
+// are refused addresses past the limit until the merchant raises it.
+const DEFAULT_GAP_LIMIT = 20;
+
+function parseXpub(xpub) {
+  let node;
+  try {
+    node = HDNodeWallet.fromExtendedKey(String(xpub).trim());
+  } catch (_) {
+    throw new Error('Not a valid extended public key');
+  }
+  if (node.privateKey) {
+    throw new Error('This is a private key; paste the extended public key (xpub) instead');
+  }
+  return node;
+}
+
+// Canonical form of an xpub, or throws if it is not one
+function normalizeXpub(xpub) {
+  return parseXpub(xpub).extendedKey;
+}
+
+// Short stable id for an xpub, so records can say which key derived them
+// without repeating the key itself.
+function xpubFingerprint(xpub) {
+  return crypto.createHash('sha256').update(normalizeXpub(xpub)).digest('hex').slice(0, 16);
+}
+
+function deriveAddress(xpub, index) {
+  const path = `0/${index}`;
+  return { address: parseXpub(xpub).derivePath(path).address, index, path };
+}
+
+function gapLimit() {
+  return parseInt(process.env.ADDRESS_GAP_LIMIT || String(DEFAULT_GAP_LIMIT), 10);
+}
+
+module.exports = { normalizeXpub, xpubFingerprint, deriveAddress, gapLimit };
@@ -0,0 +1,271 @@
+const { CHAINS, getAsset, normalizeAddress } = require('./chains');
+const { normalizeXpub } = require('./hd-wallet');
+const { MERCHANT_WEBHOOK_EVENTS, checkEndpointUrl } = require('./merchant-webhooks');
+
+const DEFAULT_SETTINGS = {
+  wallets: {},
+  // When set, every session gets its own address derived from this key
+  // instead of paying into the fixed wallet for the chain
+  xpub: '',
+  // How many derived addresses in a row may go unpaid before checkouts are
+  // refused; null uses ADDRESS_GAP_LIMIT. Merchants raise it once their
+  // wallet's gap limit is raised to match.
+  address_gap_limit: null,
+  accepted_assets: [],
+  min_order_amount: null,
+  max_order_amount: null,
+  // Percentage of the quote a buyer may fall short by (fees, rounding in their
+  // wallet) and still have the order count as paid
+  underpayment_tolerance_percent: '0',
+  // What to do with money sent above the quote: accept_and_flag keeps it and
+  // flags the session, mark_for_refund queues the excess for a refund
+  overpayment_policy: 'accept_and_flag',
+  // Rate used to turn a Shopify refund into crypto: the rate the buyer paid
+  // at (original_quote) or a fresh one (current_rate)
+  refund_rate_policy: 'original_quote',
+  // Merchant systems to notify: [{ url, events: ['payment.confirmed', ...] }].
+  // Deliveries are signed with the secret kept on the merchant config.
+  webhook_endpoints: [],
+  button: {
+    label: '🚀 Pay with Crypto',
+    background_color: '#5c6ac4',
+    text_color: '#ffffff',
+  },
+  // Where buyers are sent to pay: the origin of a merchant domain that serves
+  // this app (e.g. https://pay.example.com). Empty uses APP_URL.
+  redirect_base_url: '',
+  // Storefront pages that show the button; empty selectors use the built-in list
+  enabled_pages: ['cart', 'product'],
+  placement: {
+    cart_selector: '',
+    product_selector: '',
+  },
+};
+
+const STOREFRONT_PAGES = ['cart', 'product'];
+const OVERPAYMENT_POLICIES = ['accept_and_flag', 'mark_for_refund'];
+const REFUND_RATE_POLICIES = ['original_quote', 'current_rate'];
+const MAX_TOLERANCE_PERCENT = 10;
+const MAX_SELECTOR_LENGTH = 200;
+const MAX_WEBHOOK_ENDPOINTS = 5;
+const MAX_GAP_LIMIT = 1000;
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const AMOUNT_PATTERN = /^\d+(?:\.\d{1,2})?$/;
+const MAX_LABEL_LENGTH = 40;
+
+function withDefaults(settings) {
+  const source = settings || {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...source,
+    wallets: { ...source.wallets },
+    accepted_assets: [...(source.accepted_assets || [])],
+    webhook_endpoints: (source.webhook_endpoints || []).map(endpoint => ({ ...endpoint, events: [...endpoint.events] })),
+    button: { ...DEFAULT_SETTINGS.button, ...source.button },
+    enabled_pages: [...(source.enabled_pages || DEFAULT_SETTINGS.enabled_pages)],
+    placement: { ...DEFAULT_SETTINGS.placement, ...source.placement },
+  };
+}
+
+// A redirect base is an https origin: buyers land on <base>/pay/<session id>
+function checkRedirectBase(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_) {
+    return 'Must be a full URL like https://pay.example.com';
+  }
+  if (url.protocol !== 'https:') return 'Must be an https:// URL';
+  if (url.username || url.password || url.search || url.hash || url.pathname !== '/') {
+    return 'Must be just the origin, like https://pay.example.com';
+  }
+  return null;
+}
+
+function parseAmount(value, field, errors) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (!AMOUNT_PATTERN.test(text)) {
+    errors.push({ field, message: 'Must be a positive amount with at most 2 decimals' });
+    return null;
+  }
+  return text;
+}
+
+// Validates a full settings document from the admin form. Returns the
+// normalized settings (checksummed addresses, trimmed strings) and a list of
+// { field, message } errors; settings are only usable when errors is empty.
+function validateSettings(input) {
+  const errors = [];
+  const source = input || {};
+  const settings = withDefaults({});
+
+  const wallets = source.wallets || {};
+  for (const [chain, address] of Object.entries(wallets)) {
+    if (!address) continue;
+    if (!CHAINS[chain]) {
+      errors.push({ field: `wallets.${chain}`, message: `Unsupported chain: ${chain}` });
+      continue;
+    }
+    try {
+      settings.wallets[chain] = normalizeAddress(chain, address);
+    } catch (error) {
+      errors.push({ field: `wallets.${chain}`, message: error.message });
+    }
+  }
+
+  if (source.xpub) {
+    try {
+      settings.xpub = normalizeXpub(source.xpub);
+    } catch (error) {
+      errors.push({ field: 'xpub', message: error.message });
+    }
+  }
+
+  if (source.address_gap_limit !== undefined && source.address_gap_limit !== null && source.address_gap_limit !== '') {
+    const limit = String(source.address_gap_limit).trim();
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_GAP_LIMIT) {
+      errors.push({ field: 'address_gap_limit', message: `Must be a whole number from 1 to ${MAX_GAP_LIMIT}` });
+    } else {
+      settings.address_gap_limit = Number(limit);
+    }
+  }
+
+  // Derived addresses work on every EVM chain, so an xpub stands in for a
+  // per-chain wallet
+  const accepted = Array.isArray(source.accepted_assets) ? source.accepted_assets : [];
+  for (const assetId of new Set(accepted)) {
+    const asset = getAsset(assetId);
+    if (!asset) {
+      errors.push({ field: 'accepted_assets', message: `Unsupported asset: ${assetId}` });
+    } else if (!settings.wallets[asset.chain] && !wallets[asset.chain] && !source.xpub) {
+      errors.push({ field: 'accepted_assets', message: `${assetId} needs a receiving address on ${CHAINS[asset.chain].name}` });
+    } else {
+      settings.accepted_assets.push(asset.id);
+    }
+  }
+
+  settings.min_order_amount = parseAmount(source.min_order_amount, 'min_order_amount', errors);
+  settings.max_order_amount = parseAmount(source.max_order_amount, 'max_order_amount', errors);
+  if (settings.min_order_amount && settings.max_order_amount &&
+      Number(settings.min_order_amount) > Number(settings.max_order_amount)) {
+    errors.push({ field: 'max_order_amount', message: 'Must not be lower than the minimum order amount' });
+  }
+
+  if (source.underpayment_tolerance_percent !== undefined && source.underpayment_tolerance_percent !== '') {
+    const tolerance = String(source.underpayment_tolerance_percent).trim();
+    if (!AMOUNT_PATTERN.test(tolerance) || Number(tolerance) > MAX_TOLERANCE_PERCENT) {
+      errors.push({ field: 'underpayment_tolerance_percent', message: `Must be a percentage from 0 to ${MAX_TOLERANCE_PERCENT} with at most 2 decimals` });
+    } else {
+      settings.underpayment_tolerance_percent = tolerance;
+    }
+  }
+  if (source.overpayment_policy !== undefined) {
+    if (!OVERPAYMENT_POLICIES.includes(source.overpayment_policy)) {
+      errors.push({ field: 'overpayment_policy', message: `Must be one of: ${OVERPAYMENT_POLICIES.join(', ')}` });
+    } else {
+      settings.overpayment_policy = source.overpayment_policy;
+    }
+  }
+
+  if (source.refund_rate_policy !== undefined) {
+    if (!REFUND_RATE_POLICIES.includes(source.refund_rate_policy)) {
+      errors.push({ field: 'refund_rate_policy', message: `Must be one of: ${REFUND_RATE_POLICIES.join(', ')}` });
+    } else {
+      settings.refund_rate_policy = source.refund_rate_policy;
+    }
+  }
+
+  if (source.webhook_endpoints !== undefined) {
+    const endpoints = Array.isArray(source.webhook_endpoints) ? source.webhook_endpoints : [];
+    if (endpoints.length > MAX_WEBHOOK_ENDPOINTS) {
+      errors.push({ field: 'webhook_endpoints', message: `At most ${MAX_WEBHOOK_ENDPOINTS} endpoints` });
+    }
+    endpoints.slice(0, MAX_WEBHOOK_ENDPOINTS).forEach((endpoint, index) => {
+      const field = `webhook_endpoints.${index}`;
+      const url = String(endpoint?.url || '').trim();
+      const urlError = checkEndpointUrl(url);
+      const events = Array.isArray(endpoint?.events) ? endpoint.events : [];
+      const unknown = events.filter(event => !MERCHANT_WEBHOOK_EVENTS.includes(event));
+      if (urlError) {
+        errors.push({ field: `${field}.url`, message: urlError });
+      } else if (settings.webhook_endpoints.some(existing => existing.url === url)) {
+        errors.push({ field: `${field}.url`, message: 'Endpoint is listed twice' });
+      } else if (unknown.length > 0) {
+        errors.push({ field: `${field}.events`, message: `Unknown events: ${unknown.join(', ')}` });
+      } else if (events.length === 0) {
+        errors.push({ field: `${field}.events`, message: 'Pick at least one event' });
+      } else {
+        settings.webhook_endpoints.push({ url, events: MERCHANT_WEBHOOK_EVENTS.filter(event => events.includes(event)) });
+      }
+    });
+  }
+
+  const button = source.button || {};
+  if (button.label !== undefined) {
+    const label = String(button.label).trim();
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      errors.push({ field: 'button.label', message: `Must be 1 to ${MAX_LABEL_LENGTH} characters` });
+    } else {
+      settings.button.label = label;
+    }
+  }
+  for (const field of ['background_color', 'text_color']) {
+    if (button[field] === undefined) continue;
+    if (!COLOR_PATTERN.test(String(button[field]))) {
+      errors.push({ field: `button.${field}`, message: 'Must be a hex colour like #5c6ac4' });
+    } else {
+      settings.button[field] = String(button[field]).toLowerCase();
+    }
+  }
+
+  if (source.redirect_base_url) {
+    const redirectError = checkRedirectBase(String(source.redirect_base_url).trim());
+    if (redirectError) {
+      errors.push({ field: 'redirect_base_url', message: redirectError });
+    } else {
+      settings.redirect_base_url = new URL(String(source.redirect_base_url).trim()).origin;
+    }
+  }
+
+  if (source.enabled_pages !== undefined) {
+    const pages = Array.isArray(source.enabled_pages) ? source.enabled_pages : [];
+    const unknown = pages.filter(page => !STOREFRONT_PAGES.includes(page));
+    if (unknown.length > 0) {
+      errors.push({ field: 'enabled_pages', message: `Unknown pages: ${unknown.join(', ')}` });
+    } else {
+      settings.enabled_pages = STOREFRONT_PAGES.filter(page => pages.includes(page));
+    }
+  }
+
+  // Selectors can only be checked for size here; one that matches nothing on
+  // the theme simply shows no button.
+  const placement = source.placement || {};
+  for (const field of ['cart_selector', 'product_selector']) {
+    if (placement[field] === undefined) continue;
+    const selector = String(placement[field]).trim();
+    if (selector.length > MAX_SELECTOR_LENGTH) {
+      errors.push({ field: `placement.${field}`, message: `Must be at most ${MAX_SELECTOR_LENGTH} characters` });
+    } else {
+      settings.placement[field] = selector;
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Returns an error message when the order amount falls outside the merchant's
+// configured range, otherwise null.
+function checkOrderAmount(settings, amount) {
+  const value = Number(amount);
+  if (settings?.min_order_amount && value < Number(settings.min_order_amount)) {
+    return `Order amount is below the minimum of ${settings.min_order_amount} for crypto payments`;
+  }
+  if (settings?.max_order_amount && value > Number(settings.max_order_amount)) {
+    return `Order amount is above the maximum of ${settings.max_order_amount} for crypto payments`;
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_SETTINGS, STOREFRONT_PAGES, OVERPAYMENT_POLICIES, REFUND_RATE_POLICIES, withDefaults, validateSettings, checkOrderAmount };
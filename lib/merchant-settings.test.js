@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HDNodeWallet } = require('ethers');
+const { DEFAULT_SETTINGS, withDefaults, validateSettings, checkOrderAmount } = require('./merchant-settings');
+
+const WALLET = '0x000000000000000000000000000000000000dead';
+const XPUB = HDNodeWallet.fromSeed(Buffer.alloc(32, 1)).derivePath("m/44'/60'/0'").neuter().extendedKey;
+
+function errorFields(input) {
+  return validateSettings(input).errors.map(error => error.field);
+}
+
+test('an empty form gives the defaults', () => {
+  const { settings, errors } = validateSettings({});
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(settings, withDefaults({}));
+  assert.strictEqual(settings.overpayment_policy, DEFAULT_SETTINGS.overpayment_policy);
+});
+
+test('defaults are copied, never shared', () => {
+  const settings = withDefaults({});
+  settings.wallets.ethereum = WALLET;
+  settings.button.label = 'Changed';
+  assert.deepStrictEqual(withDefaults({}).wallets, {});
+  assert.strictEqual(DEFAULT_SETTINGS.button.label, '🚀 Pay with Crypto');
+});
+
+test('normalizes wallets and xpubs and refuses bad ones', () => {
+  const { settings, errors } = validateSettings({ wallets: { ethereum: WALLET }, xpub: ` ${XPUB} ` });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(settings.wallets.ethereum, '0x000000000000000000000000000000000000dEaD');
+  assert.strictEqual(settings.xpub, XPUB);
+
+  assert.deepStrictEqual(errorFields({ wallets: { ethereum: '0x123', dogecoin: WALLET } }), ['wallets.ethereum', 'wallets.dogecoin']);
+  assert.deepStrictEqual(errorFields({ xpub: 'xpub-not-really' }), ['xpub']);
+  const xprv = HDNodeWallet.fromSeed(Buffer.alloc(32, 1)).extendedKey;
+  assert.match(validateSettings({ xpub: xprv }).errors[0].message, /private key/);
+});
+
+test('accepts an asset only with somewhere to receive it', () => {
+  assert.deepStrictEqual(errorFields({ accepted_assets: ['ethereum:ETH'] }), ['accepted_assets']);
+  assert.deepStrictEqual(errorFields({ accepted_assets: ['ethereum:NOPE'], wallets: { ethereum: WALLET } }), ['accepted_assets']);
+  assert.deepStrictEqual(validateSettings({ accepted_assets: ['ethereum:ETH', 'ethereum:ETH'], wallets: { ethereum: WALLET } }).settings.accepted_assets, ['ethereum:ETH']);
+  // An xpub derives addresses on every EVM chain
+  assert.deepStrictEqual(validateSettings({ accepted_assets: ['polygon:POL'], xpub: XPUB }).errors, []);
+});
+
+test('checks order limits, tolerance, policies and gap limit', () => {
+  assert.deepStrictEqual(errorFields({ min_order_amount: '10.001', max_order_amount: 'abc' }), ['min_order_amount', 'max_order_amount']);
+  assert.deepStrictEqual(errorFields({ min_order_amount: '50', max_order_amount: '20' }), ['max_order_amount']);
+  assert.deepStrictEqual(errorFields({ underpayment_tolerance_percent: '10.5' }), ['underpayment_tolerance_percent']);
+  assert.strictEqual(validateSettings({ underpayment_tolerance_percent: '2.5' }).settings.underpayment_tolerance_percent, '2.5');
+  assert.deepStrictEqual(errorFields({ overpayment_policy: 'keep', refund_rate_policy: 'best' }), ['overpayment_policy', 'refund_rate_policy']);
+  assert.deepStrictEqual(errorFields({ address_gap_limit: '0' }), ['address_gap_limit']);
+  assert.deepStrictEqual(errorFields({ address_gap_limit: '2.5' }), ['address_gap_limit']);
+  assert.strictEqual(validateSettings({ address_gap_limit: '50' }).settings.address_gap_limit, 50);
+  assert.strictEqual(validateSettings({ address_gap_limit: '' }).settings.address_gap_limit, null);
+});
+
+test('checks webhook endpoints', () => {
+  const endpoint = { url: 'https://erp.example.com/hooks', events: ['payment.confirmed'] };
+  assert.deepStrictEqual(validateSettings({ webhook_endpoints: [endpoint] }).settings.webhook_endpoints, [endpoint]);
+  assert.deepStrictEqual(errorFields({ webhook_endpoints: [endpoint, endpoint] }), ['webhook_endpoints.1.url']);
+  assert.deepStrictEqual(errorFields({ webhook_endpoints: [{ ...endpoint, url: 'http://erp.example.com' }] }), ['webhook_endpoints.0.url']);
+  assert.deepStrictEqual(errorFields({ webhook_endpoints: [{ ...endpoint, events: ['payment.stolen'] }] }), ['webhook_endpoints.0.events']);
+  assert.deepStrictEqual(errorFields({ webhook_endpoints: [{ ...endpoint, events: [] }] }), ['webhook_endpoints.0.events']);
+  const many = Array.from({ length: 6 }, (_, index) => ({ ...endpoint, url: `https://erp${index}.example.com` }));
+  assert.deepStrictEqual(errorFields({ webhook_endpoints: many }), ['webhook_endpoints']);
+});
+
+test('checks the button, pages and placement', () => {
+  assert.deepStrictEqual(errorFields({ button: { label: '', background_color: 'red', text_color: '#FFF' } }), ['button.label', 'button.background_color']);
+  assert.strictEqual(validateSettings({ button: { text_color: '#FFF' } }).settings.button.text_color, '#fff');
+  assert.deepStrictEqual(errorFields({ enabled_pages: ['checkout'] }), ['enabled_pages']);
+  assert.deepStrictEqual(validateSettings({ enabled_pages: ['product', 'cart'] }).settings.enabled_pages, ['cart', 'product']);
+  assert.deepStrictEqual(errorFields({ placement: { cart_selector: 'x'.repeat(201) } }), ['placement.cart_selector']);
+});
+
+test('checks the payment page domain', () => {
+  assert.strictEqual(validateSettings({ redirect_base_url: ' https://Pay.Example.com/ ' }).settings.redirect_base_url, 'https://pay.example.com');
+  assert.strictEqual(validateSettings({ redirect_base_url: '' }).settings.redirect_base_url, '');
+  for (const bad of ['pay.example.com', 'http://pay.example.com', 'https://pay.example.com/pay', 'https://user@pay.example.com', 'https://pay.example.com/?a=1']) {
+    assert.deepStrictEqual(errorFields({ redirect_base_url: bad }), ['redirect_base_url'], bad);
+  }
+});
+
+test('order amounts outside the merchant\'s range are refused', () => {
+  const settings = { min_order_amount: '10', max_order_amount: '100' };
+  assert.match(checkOrderAmount(settings, '9.99'), /below the minimum of 10/);
+  assert.match(checkOrderAmount(settings, '100.01'), /above the maximum of 100/);
+  assert.strictEqual(checkOrderAmount(settings, '10'), null);
+  assert.strictEqual(checkOrderAmount(withDefaults({}), '1000000'), null);
+});
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Outbound webhooks to merchants' own systems (ERP, fulfilment). Each
+// delivery is a JSON event POSTed to a merchant endpoint and signed with the
+// merchant's secret:
+//
+//   CryptoCadet-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers recompute the HMAC over the raw body and reject stale timestamps.
+//
+// Endpoints must resolve to public addresses, checked when they are saved
+// and again before every send, since DNS can change in between: otherwise a
+// merchant could point one at the internal network or a cloud metadata
+// service and read the reply back from the delivery log.
+//
+// WEBHOOK_MAX_ATTEMPTS (default 8) and WEBHOOK_RETRY_BASE_SECONDS (default 30)
+// shape the retries: attempt n waits base * 2^(n-1), capped at six hours.
+
+const MERCHANT_WEBHOOK_EVENTS = ['session.created', 'payment.confirmed', 'payment.rejected', 'refund.completed'];
+const SIGNATURE_HEADER = 'CryptoCadet-Signature';
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Enough of a failing endpoint's reply to see what went wrong
+const MAX_RESPONSE_EXCERPT = 500;
+
+function maxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+}
+
+function retryDelaySeconds(attempt) {
+  const base = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10);
+  return Math.min(base * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// Merchant endpoints must be HTTPS. Plain HTTP is only allowed to localhost
+// outside production, for testing a receiver on a laptop.
+function checkEndpointUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_) {
+    return 'Must be a full URL';
+  }
+  if (url.username || url.password) return 'Must not contain credentials';
+  if (url.protocol === 'https:') return null;
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol === 'http:' && local && process.env.NODE_ENV !== 'production') return null;
+  return 'Must be an https:// URL';
+}
+
+// Loopback, private, shared (CGNAT), link-local (cloud metadata), unique
+// local, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return Boolean(family) && !BLOCKED_ADDRESSES.check(address, family);
+}
+
+// The http://localhost receiver checkEndpointUrl allows outside production
+function isLocalTestEndpoint(url) {
+  return url.protocol === 'http:' && process.env.NODE_ENV !== 'production';
+}
+
+// Resolves an endpoint's host; returns an error message unless every
+// address it resolves to is public.
+async function checkEndpointHost(value) {
+  const url = new URL(value);
+  if (isLocalTestEndpoint(url)) return null;
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `Host ${host} does not resolve`;
+  }
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  return blocked ? `Host ${host} resolves to a private or reserved address (${blocked.address})` : null;
+}
+
+// POSTs one delivery. Never throws: network errors and non-2xx replies come
+// back as { ok: false } so the caller can schedule a retry.
+async function sendDelivery(delivery, secret) {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  const hostError = await checkEndpointHost(delivery.url).catch(error => error.message);
+  if (hostError) {
+    return { ok: false, status_code: null, response: null, error: hostError, duration_ms: Date.now() - started };
+  }
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CryptoCadet-Webhooks/1.0',
+        'CryptoCadet-Event': delivery.event,
+        'CryptoCadet-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(secret, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status_code: response.status,
+      response: text.slice(0, MAX_RESPONSE_EXCERPT),
+      error: null,
+      duration_ms: Date.now() - started,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status_code: null,
+      response: null,
+      error: error.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : error.message,
+      duration_ms: Date.now() - started,
+    };
+  }
+}
+
+module.exports = {
+  MERCHANT_WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  maxAttempts,
+  retryDelaySeconds,
+  generateWebhookSecret,
+  signPayload,
+  checkEndpointUrl,
+  checkEndpointHost,
+  sendDelivery,
+};
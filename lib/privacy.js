@@ -0,0 +1,204 @@
+// Buyer data for Shopify's privacy (GDPR) requests. Shopify identifies a
+// customer's data by the orders it belongs to; a session is the customer's
+// when its order is one of them, or, for a Payments app session no order was
+// linked to, when its payment is one of those orders' payments.
+//
+// Redaction keeps what the merchant's books need (amounts, currencies,
+// rates, statuses, dates, order ids) and drops what ties a payment to a
+// person: the wallets they paid from or asked refunds to, the transaction
+// hashes that lead to those wallets, and their return URL. The records that
+// stop a transaction paying twice, and the deposit address it was sent to,
+// keep the transaction but no longer name the session, and a transaction's
+// claim is then kept under a hash of its transaction hash instead.
+
+const crypto = require('crypto');
+
+const REDACTED = '[redacted]';
+const EXPORT_FORMAT_VERSION = 1;
+// Hex addresses and transaction hashes quoted in free-text notes
+const HEX_ID_PATTERN = /0x[0-9a-fA-F]{40,64}/g;
+
+// Session statuses that no payment can change any more
+const SETTLED_STATUSES = ['confirmed', 'overpaid', 'rejected', 'expired'];
+// ...and refund statuses with nothing left to send
+const SETTLED_REFUND_STATUSES = ['completed', 'cancelled'];
+
+// Shopify sends numeric order ids; sessions store the Admin API gid
+function orderGids(orderIds) {
+  return (orderIds || []).map(id => String(id).startsWith('gid://') ? String(id) : `gid://shopify/Order/${id}`);
+}
+
+// `paymentIds` are the Shopify payment ids recorded on the orders
+function sessionsForOrders(sessions, orderIds, paymentIds = []) {
+  const gids = new Set(orderGids(orderIds));
+  const payments = new Set(paymentIds);
+  return sessions.filter(session => gids.has(session.order_id) ||
+    (!session.order_id && payments.has(session.shopify_payment_id)));
+}
+
+function scrubText(text) {
+  return typeof text === 'string' ? text.replace(HEX_ID_PATTERN, REDACTED) : text;
+}
+
+function redactPayment(payment) {
+  if (!payment) return payment;
+  return {
+    ...payment,
+    transaction_id: null,
+    transfers: (payment.transfers || []).map(transfer => ({
+      ...transfer,
+      transaction_id: null,
+      from: null,
+      block_number: null,
+      block_hash: null,
+    })),
+  };
+}
+
+function redactRefund(refund) {
+  return {
+    ...refund,
+    refund_address: null,
+    suggested_address: null,
+    transaction_id: null,
+    note: scrubText(refund.note),
+    history: (refund.history || []).map(entry => ({ ...entry, note: scrubText(entry.note) })),
+  };
+}
+
+function redactSession(session, now = new Date().toISOString()) {
+  return {
+    ...session,
+    return_url: null,
+    reason: scrubText(session.reason),
+    last_refusal: session.last_refusal
+      ? { ...session.last_refusal, transaction_id: null, reason: scrubText(session.last_refusal.reason) }
+      : session.last_refusal,
+    payment: redactPayment(session.payment),
+    refunds: (session.refunds || []).map(redactRefund),
+    shopify: session.shopify ? { ...session.shopify, redirect_url: null } : session.shopify,
+    // Resumable buyer-page events would replay the old values
+    events: [],
+    redacted_at: session.redacted_at || now,
+    updated_at: now,
+  };
+}
+
+// A merchant webhook delivery carries a copy of the session it was about
+function redactDelivery(delivery) {
+  const data = delivery.payload?.data;
+  if (!data) return delivery;
+  return {
+    ...delivery,
+    payload: {
+      ...delivery.payload,
+      data: {
+        ...data,
+        session: data.session ? { ...data.session, payment: redactPayment(data.session.payment) } : data.session,
+        refund: data.refund ? redactRefund(data.refund) : data.refund,
+      },
+    },
+  };
+}
+
+function deliverySessionId(delivery) {
+  return delivery.payload?.data?.session?.id || null;
+}
+
+// Transaction claims are keyed by chain and transaction hash. An unlinked
+// claim still has to refuse the transaction for another session, so it
+// moves to a key made from a SHA-256 of the hash, which the claim check can
+// recompute but the stored record cannot be read back from.
+function claimId(chain, txHash) {
+  return `${chain}:${txHash.toLowerCase()}`;
+}
+
+function unlinkedClaimId(chain, txHash) {
+  return `${chain}:sha256:${crypto.createHash('sha256').update(txHash.toLowerCase()).digest('hex')}`;
+}
+
+// Claims unlinked before they were rekeyed still carry the hash in their id
+function isUnlinkedClaimId(id) {
+  return id.split(':')[1] === 'sha256';
+}
+
+function unlinkClaim(claim, now) {
+  const [chain, txHash] = claim.id.split(':');
+  const id = unlinkedClaimId(chain, txHash);
+  return { ...claim, id, chain, tx_hash: null, session_id: null, redacted_at: claim.redacted_at || now };
+}
+
+// Unlinks the redacted sessions' transactions from used_transactions and
+// deposit_addresses. Refund claims are held by `${session_id}:${refund_id}`.
+// Claims unlinked while still keyed by their hash are rekeyed too. Returns
+// how many records were changed.
+async function unlinkSessionTransactions(storage, shop, sessionIds, now = new Date().toISOString()) {
+  const ids = new Set(sessionIds);
+  const linked = record => Boolean(record.session_id) && ids.has(record.session_id.split(':')[0]);
+  let unlinked = 0;
+
+  const claims = storage.collection('used_transactions');
+  for (const claim of await claims.list({ shop })) {
+    if (!linked(claim) && !(claim.redacted_at && !isUnlinkedClaimId(claim.id))) continue;
+    // Written under the new key before the old one goes, so the
+    // transaction is refused throughout
+    const rekeyed = unlinkClaim(claim, now);
+    await claims.put(rekeyed.id, rekeyed);
+    await claims.delete(claim.id);
+    unlinked++;
+  }
+  const deposits = storage.collection('deposit_addresses');
+  for (const deposit of await deposits.list({ shop })) {
+    if (!linked(deposit) || !deposit.transaction_id) continue;
+    await deposits.update(deposit.id, current => current && { ...current, transaction_id: null });
+    unlinked++;
+  }
+  return unlinked;
+}
+
+// Whether retention may redact a session yet: settled, and no refund still
+// waiting on an address or a transaction.
+function isSettled(session) {
+  return SETTLED_STATUSES.includes(session.status) &&
+    (session.refunds || []).every(refund => SETTLED_REFUND_STATUSES.includes(refund.status));
+}
+
+// Everything stored about one customer, for the merchant to hand over.
+// `sessions` are the customer's sessions and `deliveries` the merchant
+// webhooks sent about them.
+function buildCustomerExport({ shop, request, sessions, deliveries }) {
+  return {
+    format_version: EXPORT_FORMAT_VERSION,
+    shop,
+    generated_at: new Date().toISOString(),
+    data_request_id: request.data_request?.id ?? null,
+    customer: {
+      id: request.customer?.id ?? null,
+      email: request.customer?.email ?? null,
+      phone: request.customer?.phone ?? null,
+    },
+    orders_requested: orderGids(request.orders_requested),
+    payment_sessions: sessions.map(({ events, ...session }) => session),
+    merchant_webhook_deliveries: deliveries.map(delivery => ({
+      id: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      status: delivery.status,
+      created_at: delivery.created_at,
+      payload: delivery.payload,
+    })),
+  };
+}
+
+module.exports = {
+  orderGids,
+  sessionsForOrders,
+  claimId,
+  unlinkedClaimId,
+  redactSession,
+  redactDelivery,
+  deliverySessionId,
+  unlinkSessionTransactions,
+  isSettled,
+  buildCustomerExport,
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { orderGids, sessionsForOrders, unlinkedClaimId, redactSession, unlinkSessionTransactions, isSettled } = require('./privacy');
+
+const sessions = [
+  { id: 'draft', order_id: 'gid://shopify/Order/1' },
+  { id: 'linked', order_id: 'gid://shopify/Order/2', shopify_payment_id: 'pay_2' },
+  { id: 'unlinked', order_id: null, shopify_payment_id: 'pay_3' },
+  { id: 'other', order_id: null, shopify_payment_id: 'pay_4' },
+];
+const ids = matched => matched.map(session => session.id);
+
+test('turns Shopify order ids into Admin API gids', () => {
+  assert.deepStrictEqual(orderGids([1, 'gid://shopify/Order/2']), ['gid://shopify/Order/1', 'gid://shopify/Order/2']);
+  assert.deepStrictEqual(orderGids(undefined), []);
+});
+
+test('finds sessions by the order they are linked to', () => {
+  assert.deepStrictEqual(ids(sessionsForOrders(sessions, [1, 2])), ['draft', 'linked']);
+});
+
+test('finds Payments app sessions with no order by the payments on the orders', () => {
+  assert.deepStrictEqual(ids(sessionsForOrders(sessions, [3], ['pay_3'])), ['unlinked']);
+});
+
+test('does not take a session linked to another order by its payment id', () => {
+  assert.deepStrictEqual(ids(sessionsForOrders(sessions, [5], ['pay_2'])), []);
+});
+
+test('redaction drops wallets and hashes but keeps the books', () => {
+  const session = {
+    id: 'ps_1',
+    status: 'confirmed',
+    order_id: 'gid://shopify/Order/1',
+    return_url: 'https://shop.example/thanks',
+    reason: 'Paid by 0x00000000000000000000000000000000000000aa',
+    payment: {
+      amount: '0.005',
+      transaction_id: '0xabc',
+      transfers: [{ transaction_id: '0xabc', from: '0xaa', block_number: 100, block_hash: '0xb', amount: '0.005' }],
+    },
+    refunds: [{ status: 'completed', refund_address: '0xbb', suggested_address: '0xaa', transaction_id: '0xdef', history: [] }],
+    events: [{ id: 1 }],
+  };
+  const redacted = redactSession(session, '2024-06-01T00:00:00.000Z');
+  assert.strictEqual(redacted.order_id, session.order_id);
+  assert.strictEqual(redacted.payment.amount, '0.005');
+  assert.strictEqual(redacted.return_url, null);
+  assert.strictEqual(redacted.reason, 'Paid by [redacted]');
+  assert.deepStrictEqual(redacted.payment.transfers[0], { transaction_id: null, from: null, block_number: null, block_hash: null, amount: '0.005' });
+  assert.strictEqual(redacted.refunds[0].refund_address, null);
+  assert.strictEqual(redacted.refunds[0].transaction_id, null);
+  assert.deepStrictEqual(redacted.events, []);
+  assert.strictEqual(redacted.redacted_at, '2024-06-01T00:00:00.000Z');
+});
+
+test('a session with a refund still to send is not settled', () => {
+  assert.strictEqual(isSettled({ status: 'confirmed', refunds: [{ status: 'ready' }] }), false);
+  assert.strictEqual(isSettled({ status: 'confirmed', refunds: [{ status: 'cancelled' }] }), true);
+  assert.strictEqual(isSettled({ status: 'pending' }), false);
+});
+
+test('unlinks the redacted sessions\' transactions and keeps refusing them', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptocadet-privacy-'));
+  const storage = createStorage({ adapter: 'file', dataDir: dir });
+  const claims = storage.collection('used_transactions');
+  const deposits = storage.collection('deposit_addresses');
+  await claims.put('local:0xa', { id: 'local:0xa', shop: 's', tx_hash: '0xa', session_id: 'ps_1' });
+  await claims.put('local:0xb', { id: 'local:0xb', shop: 's', tx_hash: '0xb', session_id: 'ps_1:refund_1' });
+  await claims.put('local:0xc', { id: 'local:0xc', shop: 's', tx_hash: '0xc', session_id: 'ps_2' });
+  // Unlinked before claims were rekeyed
+  await claims.put('local:0xe', { id: 'local:0xe', shop: 's', tx_hash: null, session_id: null, redacted_at: '2024-01-01T00:00:00.000Z' });
+  await deposits.put('0xd', { id: '0xd', shop: 's', session_id: 'ps_1', transaction_id: '0xa' });
+
+  try {
+    assert.strictEqual(await unlinkSessionTransactions(storage, 's', ['ps_1'], '2024-06-01T00:00:00.000Z'), 4);
+    assert.strictEqual(await claims.get('local:0xa'), null);
+    assert.deepStrictEqual(await claims.get(unlinkedClaimId('local', '0xA')), {
+      id: unlinkedClaimId('local', '0xa'), shop: 's', chain: 'local', tx_hash: null, session_id: null, redacted_at: '2024-06-01T00:00:00.000Z',
+    });
+    assert.doesNotMatch(unlinkedClaimId('local', '0xa'), /0xa/);
+    assert.strictEqual((await claims.get(unlinkedClaimId('local', '0xb'))).session_id, null);
+    assert.strictEqual((await claims.get(unlinkedClaimId('local', '0xe'))).redacted_at, '2024-01-01T00:00:00.000Z');
+    assert.strictEqual(await claims.get('local:0xe'), null);
+    assert.strictEqual((await claims.get('local:0xc')).session_id, 'ps_2');
+    assert.strictEqual((await deposits.get('0xd')).transaction_id, null);
+    // Nothing is left to unlink the second time
+    assert.strictEqual(await unlinkSessionTransactions(storage, 's', ['ps_1']), 0);
+  } finally {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
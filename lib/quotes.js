@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { formatUnits } = require('ethers');
+const { getAsset } = require('./chains');
+
+// A quote fixes how much of each accepted asset settles a fiat amount. Quotes
+// are locked for a window (QUOTE_TTL_SECONDS, default 15 minutes); after that
+// the buyer has to ask for a new one before paying.
+function quoteTtlSeconds() {
+  return parseInt(process.env.QUOTE_TTL_SECONDS || '900', 10);
+}
+
+const DECIMAL_PATTERN = /^(\d+)(?:\.(\d+))?(?:e([+-]?\d+))?$/i;
+
+// Parses a non-negative decimal string into an integer and a scale, so that
+// value = digits / 10^scale exactly. Accepts exponents because JSON price
+// feeds sometimes send very small prices as 1e-7.
+function parseDecimal(value) {
+  const match = DECIMAL_PATTERN.exec(String(value).trim());
+  if (!match) throw new Error(`Not a decimal amount: ${value}`);
+  const [, whole, fraction = '', exponent = '0'] = match;
+  let digits = BigInt(whole + fraction);
+  let scale = fraction.length - parseInt(exponent, 10);
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { digits, scale };
+}
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+// Converts a fiat amount into base units of the asset at the given rate (fiat
+// per whole unit). The result is rounded up to the asset's quote precision,
+// so the buyer is never asked for less than the order is worth.
+function convertToUnits(fiatAmount, rate, asset) {
+  const fiat = parseDecimal(fiatAmount);
+  const price = parseDecimal(rate);
+  if (price.digits === 0n) throw new Error(`Zero rate for ${asset.id}`);
+
+  // units = fiat * 10^decimals / price, with both sides brought to integers
+  const numerator = fiat.digits * 10n ** BigInt(asset.decimals + price.scale);
+  const denominator = price.digits * 10n ** BigInt(fiat.scale);
+  const units = ceilDiv(numerator, denominator);
+
+  const step = 10n ** BigInt(Math.max(asset.decimals - asset.quoteDecimals, 0));
+  return ceilDiv(units, step) * step;
+}
+
+// Prices an amount in every asset the merchant accepts. Assets the provider
+// has no rate for are listed under `unavailable` instead of failing the whole
+// quote; the quote is only useless when no asset could be priced.
+async function buildQuote({ amount, currency, assetIds, provider, ttlSeconds = quoteTtlSeconds(), now = new Date() }) {
+  const assets = assetIds.map(getAsset).filter(Boolean);
+  const symbols = [...new Set(assets.map(asset => asset.symbol))];
+  const rates = await provider.getRates(symbols, currency);
+
+  const quoted = {};
+  const unavailable = [];
+  for (const asset of assets) {
+    const rate = rates[asset.symbol];
+    if (!rate) {
+      unavailable.push(asset.id);
+      continue;
+    }
+    const units = convertToUnits(amount, rate, asset);
+    quoted[asset.id] = {
+      asset: asset.id,
+      chain: asset.chain,
+      symbol: asset.symbol,
+      decimals: asset.decimals,
+      rate,
+      amount: formatUnits(units, asset.decimals),
+      amount_units: units.toString(),
+    };
+  }
+
+  return {
+    id: `quote_${crypto.randomBytes(6).toString('hex')}`,
+    fiat_amount: String(amount),
+    currency,
+    provider: provider.name,
+    assets: quoted,
+    unavailable,
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+  };
+}
+
+function isQuoteExpired(quote, now = new Date()) {
+  return !quote || new Date(quote.expires_at) <= now;
+}
+
+module.exports = { quoteTtlSeconds, parseDecimal, convertToUnits, buildQuote, isQuoteExpired };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDecimal, convertToUnits, buildQuote, isQuoteExpired } = require('./quotes');
+
+const ETH = { id: 'ethereum:ETH', decimals: 18, quoteDecimals: 6 };
+const USDC = { id: 'ethereum:USDC', decimals: 6, quoteDecimals: 2 };
+
+test('parses decimals exactly, exponents included', () => {
+  assert.deepStrictEqual(parseDecimal('15.00'), { digits: 1500n, scale: 2 });
+  assert.deepStrictEqual(parseDecimal(' 3000 '), { digits: 3000n, scale: 0 });
+  assert.deepStrictEqual(parseDecimal('1e-7'), { digits: 1n, scale: 7 });
+  assert.deepStrictEqual(parseDecimal('2.5E3'), { digits: 2500n, scale: 0 });
+  for (const value of ['-1', 'abc', '1.2.3', '']) {
+    assert.throws(() => parseDecimal(value), /Not a decimal amount/, value);
+  }
+});
+
+test('converts fiat into base units without floating point', () => {
+  // 15.00 at 3000 per ETH is exactly 0.005 ETH
+  assert.strictEqual(convertToUnits('15.00', '3000', ETH), 5000000000000000n);
+  // 0.1 + 0.2 would drift in floating point
+  assert.strictEqual(convertToUnits('0.30', '1', USDC), 300000n);
+  // Amounts far beyond Number.MAX_SAFE_INTEGER base units stay exact
+  assert.strictEqual(convertToUnits('123456789.12', '0.01', ETH), 12345678912000000000000000000n);
+});
+
+test('rounds up to the asset\'s quote precision, never down', () => {
+  // 10 / 3000 = 0.0033333… ETH, quoted to 6 decimals
+  assert.strictEqual(convertToUnits('10', '3000', ETH), 3334000000000000n);
+  // 10 / 3 = 3.333… USDC, quoted to cents
+  assert.strictEqual(convertToUnits('10', '3', USDC), 3340000n);
+  // Already on the step: unchanged
+  assert.strictEqual(convertToUnits('10', '4', USDC), 2500000n);
+  // A tiny price given as an exponent
+  assert.strictEqual(convertToUnits('1', '1e-7', USDC), 10000000000000n);
+});
+
+test('refuses a zero rate', () => {
+  assert.throws(() => convertToUnits('10', '0', ETH), /Zero rate for ethereum:ETH/);
+});
+
+test('quotes every asset with a rate and lists the rest as unavailable', async () => {
+  const provider = { name: 'test', getRates: async () => ({ ETH: '3000' }) };
+  const now = new Date('2024-06-01T00:00:00.000Z');
+  const quote = await buildQuote({
+    amount: '15.00', currency: 'USD', assetIds: ['ethereum:ETH', 'ethereum:USDC'], provider, ttlSeconds: 60, now,
+  });
+  assert.deepStrictEqual(quote.assets['ethereum:ETH'], {
+    asset: 'ethereum:ETH', chain: 'ethereum', symbol: 'ETH', decimals: 18, rate: '3000', amount: '0.005', amount_units: '5000000000000000',
+  });
+  assert.deepStrictEqual(quote.unavailable, ['ethereum:USDC']);
+  assert.strictEqual(quote.expires_at, '2024-06-01T00:01:00.000Z');
+  assert.strictEqual(isQuoteExpired(quote, new Date('2024-06-01T00:00:59.000Z')), false);
+  assert.strictEqual(isQuoteExpired(quote, new Date('2024-06-01T00:01:00.000Z')), true);
+  assert.strictEqual(isQuoteExpired(null), true);
+});
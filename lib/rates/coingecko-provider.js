@@ -0,0 +1,51 @@
+// Live rates from the CoinGecko simple price API. Prices are cached briefly
+// per currency so a burst of checkouts costs one request.
+const COINGECKO_IDS = {
+  ETH: 'ethereum',
+  POL: 'polygon-ecosystem-token',
+  BNB: 'binancecoin',
+  USDC: 'usd-coin',
+  USDT: 'tether',
+  DAI: 'dai',
+};
+
+function createCoinGeckoProvider({ apiUrl, apiKey, cacheSeconds = 60 } = {}) {
+  const baseUrl = (apiUrl || 'https://api.coingecko.com/api/v3').replace(/\/$/, '');
+  const cache = new Map();
+
+  async function fetchPrices(currency) {
+    const cached = cache.get(currency);
+    if (cached && cached.expires > Date.now()) return cached.prices;
+
+    const vs = currency.toLowerCase();
+    const ids = Object.values(COINGECKO_IDS).join(',');
+    const response = await fetch(`${baseUrl}/simple/price?ids=${ids}&vs_currencies=${encodeURIComponent(vs)}`, {
+      headers: apiKey ? { 'x-cg-demo-api-key': apiKey } : {},
+    });
+    if (!response.ok) {
+      throw new Error(`CoinGecko request failed: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    const prices = {};
+    for (const [symbol, id] of Object.entries(COINGECKO_IDS)) {
+      const price = data[id]?.[vs];
+      if (typeof price === 'number' && price > 0) prices[symbol] = String(price);
+    }
+    cache.set(currency, { prices, expires: Date.now() + cacheSeconds * 1000 });
+    return prices;
+  }
+
+  return {
+    name: 'coingecko',
+    async getRates(symbols, currency) {
+      const prices = await fetchPrices(currency);
+      const result = {};
+      for (const symbol of symbols) {
+        if (prices[symbol]) result[symbol] = prices[symbol];
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = { createCoinGeckoProvider };
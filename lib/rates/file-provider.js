@@ -0,0 +1,28 @@
+const fs = require('fs').promises;
+const { createStaticProvider } = require('./static-provider');
+
+// Rates read from a JSON file in the static provider's format. The file is
+// re-read whenever its mtime changes, so an operator (or a cron job pulling
+// from an offline source) can update prices without a restart.
+function createFileProvider({ file }) {
+  let loadedMtime = null;
+  let provider = createStaticProvider();
+
+  async function current() {
+    const stat = await fs.stat(file);
+    if (stat.mtimeMs !== loadedMtime) {
+      provider = createStaticProvider({ rates: JSON.parse(await fs.readFile(file, 'utf8')) });
+      loadedMtime = stat.mtimeMs;
+    }
+    return provider;
+  }
+
+  return {
+    name: 'file',
+    async getRates(symbols, currency) {
+      return (await current()).getRates(symbols, currency);
+    },
+  };
+}
+
+module.exports = { createFileProvider };
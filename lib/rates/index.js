@@ -0,0 +1,49 @@
+const path = require('path');
+const { createStaticProvider } = require('./static-provider');
+const { createFileProvider } = require('./file-provider');
+const { createCoinGeckoProvider } = require('./coingecko-provider');
+
+// Exchange-rate providers turn a fiat currency into the price of each asset.
+// Every provider exposes:
+//
+//   name                          -> recorded on quotes
+//   getRates(symbols, currency)   -> { SYMBOL: "price of one unit in currency" }
+//
+// Prices are decimal strings; symbols the provider has no price for are left
+// out rather than guessed. RATE_PROVIDER picks the source: "coingecko"
+// (default), "static" (STATIC_RATES, a JSON object keyed by currency then
+// symbol) or "file" (RATES_FILE, same format, defaults to DATA_DIR/rates.json).
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function createRateProvider(options = {}) {
+  const provider = options.provider || process.env.RATE_PROVIDER || 'coingecko';
+
+  if (provider === 'static') {
+    const rates = options.rates || JSON.parse(process.env.STATIC_RATES || '{}');
+    return createStaticProvider({ rates });
+  }
+  if (provider === 'file') {
+    const dataDir = path.resolve(ROOT_DIR, process.env.DATA_DIR || 'data');
+    const file = path.resolve(ROOT_DIR, options.file || process.env.RATES_FILE || path.join(dataDir, 'rates.json'));
+    return createFileProvider({ file });
+  }
+  if (provider === 'coingecko') {
+    return createCoinGeckoProvider({
+      apiUrl: process.env.COINGECKO_API_URL,
+      apiKey: process.env.COINGECKO_API_KEY,
+      cacheSeconds: parseInt(process.env.RATE_CACHE_SECONDS || '60', 10),
+    });
+  }
+  throw new Error(`Unknown RATE_PROVIDER: ${provider}`);
+}
+
+let rateProvider = null;
+
+// Process-wide provider, created from the environment on first use.
+function getRateProvider() {
+  if (!rateProvider) rateProvider = createRateProvider();
+  return rateProvider;
+}
+
+module.exports = { createRateProvider, getRateProvider };
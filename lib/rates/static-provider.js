@@ -0,0 +1,20 @@
+// Fixed rates from configuration, for development, tests and shops that price
+// in a pegged asset only. Rates are the fiat price of one whole unit of each
+// asset, keyed by currency then symbol:
+//
+//   { "USD": { "ETH": "3150.25", "USDC": "1" } }
+function createStaticProvider({ rates = {} } = {}) {
+  return {
+    name: 'static',
+    async getRates(symbols, currency) {
+      const table = rates[currency] || {};
+      const result = {};
+      for (const symbol of symbols) {
+        if (table[symbol] !== undefined) result[symbol] = String(table[symbol]);
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = { createStaticProvider };
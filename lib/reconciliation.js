@@ -0,0 +1,148 @@
+// Matches a shop's Shopify orders against stored payment sessions, so finance
+// can show that every order paid through us has a verified on-chain payment
+// and every verified payment has an order.
+//
+// Orders count as ours when a session matches them or when they carry our
+// draft order tag or payment gateway (PAYMENT_GATEWAY_NAME, default
+// "CryptoCadet").
+
+// Financial statuses of an order Shopify considers paid
+const ORDER_PAID_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+// ...and of one still waiting for its money
+const ORDER_PENDING_STATUSES = ['PENDING', 'AUTHORIZED', 'PARTIALLY_PAID'];
+const DRAFT_ORDER_TAG = 'cryptocadet';
+
+// What a merchant can do about each kind of flag. `resync` repeats our side
+// of the Shopify update for the session; `dismiss` records that they looked.
+const FLAG_ACTIONS = {
+  order_without_payment: ['dismiss'],
+  payment_without_order: ['resync', 'dismiss'],
+  amount_mismatch: ['dismiss'],
+  shopify_pending: ['resync', 'dismiss'],
+};
+
+function gatewayName() {
+  return (process.env.PAYMENT_GATEWAY_NAME || 'CryptoCadet').toLowerCase();
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function isOurGateway(gatewayNames) {
+  return (gatewayNames || []).some(name => name.toLowerCase().includes(gatewayName()));
+}
+
+function isOurOrder(order) {
+  return (order.tags || []).includes(DRAFT_ORDER_TAG) || isOurGateway(order.paymentGatewayNames);
+}
+
+function indexSessions(sessions) {
+  const index = { byId: new Map(), byOrderId: new Map(), byPaymentId: new Map() };
+  for (const session of sessions) {
+    index.byId.set(session.id, session);
+    if (session.order_id) index.byOrderId.set(session.order_id, session);
+    if (session.shopify_payment_id) index.byPaymentId.set(session.shopify_payment_id, session);
+  }
+  return index;
+}
+
+// The session that paid an Admin API order (customAttributes and
+// transactions { paymentId } selected), or null
+function sessionForOrder(order, index) {
+  const attribute = (order.customAttributes || []).find(a => a.key === 'cryptocadet_session_id');
+  if (attribute && index.byId.has(attribute.value)) return index.byId.get(attribute.value);
+  if (index.byOrderId.has(order.id)) return index.byOrderId.get(order.id);
+  // Checkout payments are tied to the order through Shopify's payment id
+  for (const transaction of order.transactions || []) {
+    if (transaction.paymentId && index.byPaymentId.has(transaction.paymentId)) {
+      return index.byPaymentId.get(transaction.paymentId);
+    }
+  }
+  return null;
+}
+
+function flag(kind, message, { order, session, details }) {
+  const subject = order ? order.id : session.id;
+  return {
+    id: `${kind}:${subject.split('/').pop()}`,
+    kind,
+    message,
+    order_id: order?.id || null,
+    order_name: order?.name || null,
+    session_id: session?.id || null,
+    details: details || null,
+    actions: FLAG_ACTIONS[kind],
+    status: 'open',
+    resolution: null,
+  };
+}
+
+// Returns the flags for one period. `orders` are the shop's orders created in
+// it; `sessions` are all of the shop's sessions, since an order can pay a
+// session created before the period began. Only paid sessions created within
+// [from, to] are checked for a missing order. `paidStatuses` are the session
+// statuses that count as paid.
+function reconcile({ orders, sessions, from, to, paidStatuses }) {
+  const index = indexSessions(sessions);
+  const flags = [];
+  const matched = new Set();
+  let checkedOrders = 0;
+
+  for (const order of orders) {
+    const session = sessionForOrder(order, index);
+    if (!session && !isOurOrder(order)) continue;
+    if (order.cancelledAt) {
+      if (session) matched.add(session.id);
+      continue;
+    }
+    checkedOrders++;
+    const financialStatus = order.displayFinancialStatus;
+
+    if (!session || !paidStatuses.includes(session.status)) {
+      if (session) matched.add(session.id);
+      if (ORDER_PAID_STATUSES.includes(financialStatus)) {
+        flags.push(flag('order_without_payment', session
+          ? `Order is ${financialStatus.toLowerCase()} in Shopify but its crypto payment is ${session.status.replace(/_/g, ' ')}`
+          : 'Order is paid in Shopify but has no crypto payment session', { order, session }));
+      }
+      continue;
+    }
+
+    matched.add(session.id);
+    const total = order.totalPriceSet.presentmentMoney;
+    if (toCents(total.amount) !== toCents(session.amount) || total.currencyCode !== session.currency) {
+      flags.push(flag('amount_mismatch', `Order total is ${total.amount} ${total.currencyCode}, crypto payment was for ${session.amount} ${session.currency}`, {
+        order,
+        session,
+        details: { order_amount: total.amount, order_currency: total.currencyCode, session_amount: session.amount, session_currency: session.currency },
+      }));
+    }
+    if (ORDER_PENDING_STATUSES.includes(financialStatus)) {
+      flags.push(flag('shopify_pending', `Payment is ${session.status} here but the order is still ${financialStatus.toLowerCase().replace(/_/g, ' ')} in Shopify`, { order, session }));
+    }
+  }
+
+  const paidSessions = sessions.filter(session =>
+    paidStatuses.includes(session.status) && session.created_at >= from && session.created_at <= to);
+  for (const session of paidSessions) {
+    // A session pointing at an order outside the period is not evidence of anything
+    if (matched.has(session.id) || session.order_id) continue;
+    flags.push(flag('payment_without_order', `Crypto payment is ${session.status} but no Shopify order was found for it`, {
+      session,
+      details: { amount: session.amount, currency: session.currency, shopify: session.shopify || null },
+    }));
+  }
+
+  return {
+    flags,
+    summary: {
+      orders_checked: checkedOrders,
+      payments_checked: paidSessions.length,
+      flags: flags.length,
+      by_kind: Object.fromEntries(Object.keys(FLAG_ACTIONS).map(kind => [kind, flags.filter(f => f.kind === kind).length])),
+    },
+  };
+}
+
+module.exports = { FLAG_ACTIONS, reconcile, indexSessions, sessionForOrder, isOurGateway };
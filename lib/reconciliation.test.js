@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconcile, indexSessions, sessionForOrder, isOurGateway } = require('./reconciliation');
+
+const PAID = ['confirmed', 'overpaid'];
+const PERIOD = { from: '2024-06-01T00:00:00.000Z', to: '2024-06-30T23:59:59.999Z', paidStatuses: PAID };
+
+function order(number, overrides = {}) {
+  return {
+    id: `gid://shopify/Order/${number}`,
+    name: `#${number}`,
+    tags: [],
+    paymentGatewayNames: ['CryptoCadet'],
+    displayFinancialStatus: 'PAID',
+    cancelledAt: null,
+    totalPriceSet: { presentmentMoney: { amount: '15.0', currencyCode: 'USD' } },
+    customAttributes: [],
+    transactions: [],
+    ...overrides,
+  };
+}
+
+function session(id, overrides = {}) {
+  return { id, status: 'confirmed', amount: '15.00', currency: 'USD', created_at: '2024-06-10T00:00:00.000Z', ...overrides };
+}
+
+function kinds(result) {
+  return result.flags.map(flag => `${flag.kind}:${flag.order_name || flag.session_id}`);
+}
+
+test('finds an order\'s session by attribute, order id, then payment id', () => {
+  const index = indexSessions([
+    session('ps_attr'),
+    session('ps_order', { order_id: 'gid://shopify/Order/2' }),
+    session('ps_payment', { shopify_payment_id: 'pay_3' }),
+  ]);
+  assert.strictEqual(sessionForOrder(order(1, { customAttributes: [{ key: 'cryptocadet_session_id', value: 'ps_attr' }] }), index).id, 'ps_attr');
+  assert.strictEqual(sessionForOrder(order(2), index).id, 'ps_order');
+  assert.strictEqual(sessionForOrder(order(3, { transactions: [{ paymentId: 'other' }, { paymentId: 'pay_3' }] }), index).id, 'ps_payment');
+  assert.strictEqual(sessionForOrder(order(4, { customAttributes: [{ key: 'cryptocadet_session_id', value: 'ps_gone' }] }), index), null);
+});
+
+test('recognizes our gateway by name, case-insensitively', () => {
+  assert.strictEqual(isOurGateway(['cryptocadet (test)']), true);
+  assert.strictEqual(isOurGateway(['shopify_payments']), false);
+  assert.strictEqual(isOurGateway(undefined), false);
+});
+
+test('a matched, paid order with the same total raises nothing', () => {
+  const result = reconcile({ ...PERIOD, orders: [order(1)], sessions: [session('ps_1', { order_id: 'gid://shopify/Order/1' })] });
+  assert.deepStrictEqual(result.flags, []);
+  assert.deepStrictEqual(result.summary, {
+    orders_checked: 1,
+    payments_checked: 1,
+    flags: 0,
+    by_kind: { order_without_payment: 0, payment_without_order: 0, amount_mismatch: 0, shopify_pending: 0 },
+  });
+});
+
+test('flags paid orders without a paid session', () => {
+  const result = reconcile({
+    ...PERIOD,
+    orders: [
+      order(1),
+      order(2),
+      order(3, { displayFinancialStatus: 'PENDING' }),
+      order(4, { paymentGatewayNames: ['shopify_payments'] }),
+      order(5, { cancelledAt: '2024-06-02T00:00:00Z' }),
+    ],
+    sessions: [session('ps_2', { order_id: 'gid://shopify/Order/2', status: 'expired' })],
+  });
+  assert.deepStrictEqual(kinds(result), ['order_without_payment:#1', 'order_without_payment:#2']);
+  assert.match(result.flags[1].message, /crypto payment is expired/);
+  assert.deepStrictEqual(result.flags[0].actions, ['dismiss']);
+  assert.strictEqual(result.flags[0].id, 'order_without_payment:1');
+  assert.strictEqual(result.summary.orders_checked, 3);
+});
+
+test('flags amount and currency mismatches and orders still pending in Shopify', () => {
+  const result = reconcile({
+    ...PERIOD,
+    orders: [
+      order(1, { totalPriceSet: { presentmentMoney: { amount: '15.01', currencyCode: 'USD' } } }),
+      order(2, { totalPriceSet: { presentmentMoney: { amount: '15.00', currencyCode: 'EUR' } } }),
+      order(3, { displayFinancialStatus: 'PENDING' }),
+    ],
+    sessions: [1, 2, 3].map(number => session(`ps_${number}`, { order_id: `gid://shopify/Order/${number}` })),
+  });
+  assert.deepStrictEqual(kinds(result), ['amount_mismatch:#1', 'amount_mismatch:#2', 'shopify_pending:#3']);
+  assert.deepStrictEqual(result.flags[0].details, { order_amount: '15.01', order_currency: 'USD', session_amount: '15.00', session_currency: 'USD' });
+  assert.deepStrictEqual(result.flags[2].actions, ['resync', 'dismiss']);
+});
+
+test('flags paid sessions in the period that no order accounts for', () => {
+  const result = reconcile({
+    ...PERIOD,
+    orders: [],
+    sessions: [
+      session('ps_orphan', { shopify: { action: 'resolve', ok: false } }),
+      session('ps_linked_elsewhere', { order_id: 'gid://shopify/Order/9' }),
+      session('ps_before', { created_at: '2024-05-31T23:59:59.000Z' }),
+      session('ps_unpaid', { status: 'pending' }),
+    ],
+  });
+  assert.deepStrictEqual(kinds(result), ['payment_without_order:ps_orphan']);
+  assert.deepStrictEqual(result.flags[0].details.shopify, { action: 'resolve', ok: false });
+  assert.strictEqual(result.summary.payments_checked, 2);
+});
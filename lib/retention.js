@@ -0,0 +1,83 @@
+const { redactSession, redactDelivery, deliverySessionId, unlinkSessionTransactions, isSettled } = require('./privacy');
+const { recordAuditEvent } = require('./audit-log');
+
+// The data retention policy, applied to every shop:
+//
+//   - customer data exports past their expires_at are deleted
+//     (DATA_EXPORT_RETENTION_DAYS, default 30, is set when they are made)
+//   - with SESSION_RETENTION_DAYS set, settled payment sessions created longer
+//     ago than that are redacted like a customers/redact request, along with
+//     the merchant webhooks sent about them. Unset, sessions are kept as-is.
+//   - transaction claims and deposit addresses still naming a redacted
+//     session are unlinked from it, whatever redacted the session
+//
+// The server runs it daily as a scheduled job; scripts/apply-retention.js
+// runs it by hand. Each shop that had something removed gets an audit log
+// entry. It is safe to repeat.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sessionRetentionDays() {
+  const days = parseInt(process.env.SESSION_RETENTION_DAYS || '', 10);
+  return days > 0 ? days : null;
+}
+
+function countFor(counts, shop) {
+  if (!counts.has(shop)) counts.set(shop, { data_exports_deleted: 0, sessions_redacted: 0, webhook_deliveries_redacted: 0, transaction_records_unlinked: 0 });
+  return counts.get(shop);
+}
+
+// Returns what was (or, dry run, would be) changed, per shop
+async function applyRetention(storage, { dryRun = false, now = new Date() } = {}) {
+  const counts = new Map();
+  const retentionDays = sessionRetentionDays();
+
+  const exports = storage.collection('data_exports');
+  for (const record of await exports.list()) {
+    if (Date.parse(record.expires_at) > now.getTime()) continue;
+    if (!dryRun) await exports.delete(record.id);
+    countFor(counts, record.shop).data_exports_deleted++;
+  }
+
+  if (retentionDays) {
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+    const sessions = storage.collection('payment_sessions');
+    const redacted = new Set();
+    for (const session of await sessions.list()) {
+      if (session.redacted_at || session.created_at >= cutoff || !isSettled(session)) continue;
+      if (!dryRun) await sessions.update(session.id, current => current && redactSession(current, now.toISOString()));
+      redacted.add(session.id);
+      countFor(counts, session.shop).sessions_redacted++;
+    }
+
+    const deliveries = storage.collection('webhook_deliveries');
+    for (const delivery of await deliveries.list()) {
+      if (!redacted.has(deliverySessionId(delivery))) continue;
+      if (!dryRun) await deliveries.update(delivery.id, current => current && redactDelivery(current));
+      countFor(counts, delivery.shop).webhook_deliveries_redacted++;
+    }
+  }
+
+  // Covers sessions redacted by customers/redact and ones redacted before
+  // unlinking existed; records already unlinked are left as they are
+  if (!dryRun) {
+    const redactedByShop = new Map();
+    for (const session of await storage.collection('payment_sessions').list()) {
+      if (!session.redacted_at) continue;
+      if (!redactedByShop.has(session.shop)) redactedByShop.set(session.shop, []);
+      redactedByShop.get(session.shop).push(session.id);
+    }
+    for (const [shop, sessionIds] of redactedByShop) {
+      const unlinked = await unlinkSessionTransactions(storage, shop, sessionIds, now.toISOString());
+      if (unlinked > 0) countFor(counts, shop).transaction_records_unlinked += unlinked;
+    }
+
+    for (const [shop, details] of counts) {
+      await recordAuditEvent(storage, { shop, action: 'retention_applied', details: { ...details, session_retention_days: retentionDays } });
+    }
+  }
+
+  return { shops: counts, sessionRetentionDays: retentionDays };
+}
+
+module.exports = { applyRetention };
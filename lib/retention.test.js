@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { unlinkedClaimId } = require('./privacy');
+const { applyRetention } = require('./retention');
+
+const NOW = new Date('2024-06-01T00:00:00.000Z');
+
+async function withStorage(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptocadet-retention-'));
+  const storage = createStorage({ adapter: 'file', dataDir: dir });
+  const previous = process.env.SESSION_RETENTION_DAYS;
+  process.env.SESSION_RETENTION_DAYS = '90';
+  try {
+    await fn(storage);
+  } finally {
+    if (previous === undefined) delete process.env.SESSION_RETENTION_DAYS;
+    else process.env.SESSION_RETENTION_DAYS = previous;
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function seed(storage) {
+  const sessions = storage.collection('payment_sessions');
+  const payment = { transfers: [{ transaction_id: '0xa', from: '0xf' }] };
+  await sessions.put('ps_old', { id: 'ps_old', shop: 's', status: 'confirmed', created_at: '2024-01-01T00:00:00.000Z', payment });
+  await sessions.put('ps_new', { id: 'ps_new', shop: 's', status: 'confirmed', created_at: '2024-05-20T00:00:00.000Z', payment });
+  await sessions.put('ps_open', { id: 'ps_open', shop: 's', status: 'pending', created_at: '2024-01-01T00:00:00.000Z' });
+  await storage.collection('used_transactions').put('local:0xa', { id: 'local:0xa', shop: 's', chain: 'local', tx_hash: '0xa', session_id: 'ps_old' });
+  await storage.collection('data_exports').put('exp_1', { id: 'exp_1', shop: 's', expires_at: '2024-05-01T00:00:00.000Z' });
+  await storage.collection('data_exports').put('exp_2', { id: 'exp_2', shop: 's', expires_at: '2024-07-01T00:00:00.000Z' });
+}
+
+test('redacts settled sessions past the retention period and unlinks their claims', async () => {
+  await withStorage(async storage => {
+    await seed(storage);
+    const { shops } = await applyRetention(storage, { now: NOW });
+    assert.deepStrictEqual(shops.get('s'), {
+      data_exports_deleted: 1, sessions_redacted: 1, webhook_deliveries_redacted: 0, transaction_records_unlinked: 1,
+    });
+
+    const sessions = storage.collection('payment_sessions');
+    assert.strictEqual((await sessions.get('ps_old')).payment.transfers[0].from, null);
+    assert.strictEqual((await sessions.get('ps_new')).redacted_at, undefined);
+    assert.strictEqual((await sessions.get('ps_open')).redacted_at, undefined);
+    assert.strictEqual(await storage.collection('used_transactions').get('local:0xa'), null);
+    assert.ok(await storage.collection('used_transactions').get(unlinkedClaimId('local', '0xa')));
+    assert.strictEqual(await storage.collection('data_exports').get('exp_1'), null);
+    assert.deepStrictEqual((await storage.collection('audit_log').list({ shop: 's' })).map(entry => entry.action), ['retention_applied']);
+
+    // Nothing is left to do the second time
+    assert.strictEqual((await applyRetention(storage, { now: NOW })).shops.size, 0);
+  });
+});
+
+test('a dry run changes nothing', async () => {
+  await withStorage(async storage => {
+    await seed(storage);
+    const { shops } = await applyRetention(storage, { dryRun: true, now: NOW });
+    assert.strictEqual(shops.get('s').sessions_redacted, 1);
+    assert.strictEqual((await storage.collection('payment_sessions').get('ps_old')).redacted_at, undefined);
+    assert.ok(await storage.collection('used_transactions').get('local:0xa'));
+    assert.ok(await storage.collection('data_exports').get('exp_1'));
+    assert.deepStrictEqual(await storage.collection('audit_log').list(), []);
+  });
+});
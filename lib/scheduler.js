@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// In-process background jobs kept in the `jobs` collection, so they survive a
+// restart. A due job is claimed with an atomic update that leases it to this
+// process; another process, or this one after a restart, only takes it over
+// once the lease has run out. A job that was running when its process died
+// therefore runs again, so handlers must be safe to repeat.
+//
+// Jobs enqueued with a unique key share one record per name and key: while
+// one is pending or running, enqueueing it again returns the existing job.
+// Recurring jobs (`every`) are one record each that is rescheduled after
+// every run.
+//
+// SCHEDULER_POLL_MS (default 5000) is how often due jobs are looked for.
+// Failed runs are retried JOB_MAX_ATTEMPTS times (default 5), waiting
+// JOB_RETRY_BASE_SECONDS (default 30) * 2^(attempt-1), capped at an hour.
+
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+// Finished one-off jobs are kept this long for inspection
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+function maxAttempts() {
+  return parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+}
+
+function retryDelaySeconds(attempt) {
+  const base = parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30', 10);
+  return Math.min(base * 2 ** (attempt - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+function isDue(job, now) {
+  if (job.status === 'pending') return Date.parse(job.run_at) <= now;
+  return job.status === 'running' && Date.parse(job.lease_until) <= now;
+}
+
+function createScheduler({ storage, pollMs, leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const jobs = storage.collection('jobs');
+  const owner = `${os.hostname()}:${process.pid}`;
+  const handlers = new Map();
+  const interval = pollMs ?? parseInt(process.env.SCHEDULER_POLL_MS || '5000', 10);
+  let timer = null;
+  let ticking = false;
+
+  // `handler(payload, job)` runs a job; throwing schedules a retry.
+  function define(name, handler) {
+    handlers.set(name, handler);
+  }
+
+  async function enqueue(name, payload = {}, { uniqueKey, runAt } = {}) {
+    const id = uniqueKey ? `${name}:${uniqueKey}` : `job_${crypto.randomBytes(8).toString('hex')}`;
+    const now = new Date().toISOString();
+    return jobs.update(id, current => {
+      if (current && ACTIVE_STATUSES.includes(current.status)) return current;
+      return {
+        id,
+        name,
+        unique_key: uniqueKey || null,
+        payload,
+        status: 'pending',
+        run_at: runAt ? new Date(runAt).toISOString() : now,
+        interval_ms: null,
+        attempts: 0,
+        lease_until: null,
+        locked_by: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null
+      };
+    });
+  }
+
+  // Registers a recurring job. Its record is created on first start and kept
+  // across restarts, so the next run stays where the last process left it.
+  async function every(name, intervalMs, payload = {}) {
+    const id = `${name}:recurring`;
+    const now = new Date().toISOString();
+    return jobs.update(id, current => current
+      ? { ...current, interval_ms: intervalMs, payload }
+      : {
+        id,
+        name,
+        unique_key: 'recurring',
+        payload,
+        status: 'pending',
+        run_at: now,
+        interval_ms: intervalMs,
+        attempts: 0,
+        lease_until: null,
+        locked_by: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now,
+        finished_at: null
+      });
+  }
+
+  async function claim(jobId) {
+    const now = Date.now();
+    let claimed = false;
+    const job = await jobs.update(jobId, current => {
+      if (!current || !isDue(current, now)) return current;
+      claimed = true;
+      return {
+        ...current,
+        status: 'running',
+        attempts: current.attempts + 1,
+        lease_until: new Date(now + leaseMs).toISOString(),
+        locked_by: owner,
+        updated_at: new Date(now).toISOString()
+      };
+    });
+    return claimed ? job : null;
+  }
+
+  // Records how a run ended, unless the lease was lost to another process
+  async function finish(job, error) {
+    await jobs.update(job.id, current => {
+      if (!current || current.locked_by !== owner || current.lease_until !== job.lease_until) return current;
+      const now = new Date();
+      const base = { ...current, lease_until: null, locked_by: null, updated_at: now.toISOString() };
+      if (current.interval_ms) {
+        return {
+          ...base,
+          status: 'pending',
+          attempts: 0,
+          run_at: new Date(now.getTime() + current.interval_ms).toISOString(),
+          last_error: error ? error.message : null
+        };
+      }
+      if (!error) return { ...base, status: 'completed', last_error: null, finished_at: now.toISOString() };
+      if (current.attempts >= maxAttempts()) {
+        return { ...base, status: 'failed', last_error: error.message, finished_at: now.toISOString() };
+      }
+      return {
+        ...base,
+        status: 'pending',
+        run_at: new Date(now.getTime() + retryDelaySeconds(current.attempts) * 1000).toISOString(),
+        last_error: error.message
+      };
+    });
+  }
+
+  async function run(job) {
+    const handler = handlers.get(job.name);
+    let failure = null;
+    try {
+      if (!handler) throw new Error(`No handler for job ${job.name}`);
+      await handler(job.payload, job);
+    } catch (error) {
+      failure = error;
+      console.error('Job failed:', { job_id: job.id, name: job.name, attempt: job.attempts, error: error.message });
+    }
+    await finish(job, failure);
+  }
+
+  // Runs every due job once, one at a time
+  async function runDueJobs() {
+    const now = Date.now();
+    for (const job of await jobs.list()) {
+      if (['completed', 'failed'].includes(job.status) && Date.parse(job.finished_at) < now - FINISHED_JOB_TTL_MS) {
+        await jobs.delete(job.id);
+        continue;
+      }
+      if (!isDue(job, now) || !handlers.has(job.name)) continue;
+      const claimed = await claim(job.id);
+      if (claimed) await run(claimed);
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error('Scheduler tick failed:', error);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, interval);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { define, enqueue, every, start, stop, runDueJobs };
+}
+
+module.exports = { createScheduler };
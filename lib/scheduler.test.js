@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./storage');
+const { createScheduler } = require('./scheduler');
+
+let dir;
+let storage;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptocadet-jobs-'));
+  storage = createStorage({ adapter: 'file', dataDir: dir });
+  process.env.JOB_MAX_ATTEMPTS = '2';
+  process.env.JOB_RETRY_BASE_SECONDS = '30';
+});
+
+test.afterEach(async () => {
+  await storage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const getJob = id => storage.collection('jobs').get(id);
+
+test('runs a due job once and records it as completed', async () => {
+  const scheduler = createScheduler({ storage });
+  const seen = [];
+  scheduler.define('greet', payload => { seen.push(payload.name); });
+  const job = await scheduler.enqueue('greet', { name: 'a' });
+
+  await scheduler.runDueJobs();
+  await scheduler.runDueJobs();
+  assert.deepStrictEqual(seen, ['a']);
+  const done = await getJob(job.id);
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.attempts, 1);
+  assert.strictEqual(done.locked_by, null);
+});
+
+test('enqueueing a unique key again returns the job still waiting', async () => {
+  const scheduler = createScheduler({ storage });
+  const first = await scheduler.enqueue('expire', { n: 1 }, { uniqueKey: 'ps_1' });
+  const second = await scheduler.enqueue('expire', { n: 2 }, { uniqueKey: 'ps_1' });
+  assert.strictEqual(first.id, 'expire:ps_1');
+  assert.deepStrictEqual(second.payload, { n: 1 });
+
+  scheduler.define('expire', () => {});
+  await scheduler.runDueJobs();
+  // Once it has run, the key is free for a new job
+  const third = await scheduler.enqueue('expire', { n: 3 }, { uniqueKey: 'ps_1' });
+  assert.strictEqual(third.status, 'pending');
+  assert.deepStrictEqual(third.payload, { n: 3 });
+});
+
+test('does not run a job before its run_at', async () => {
+  const scheduler = createScheduler({ storage });
+  let runs = 0;
+  scheduler.define('later', () => { runs++; });
+  await scheduler.enqueue('later', {}, { runAt: Date.now() + 60 * 1000 });
+  await scheduler.runDueJobs();
+  assert.strictEqual(runs, 0);
+});
+
+test('retries a failed job with backoff, then gives up', async () => {
+  const scheduler = createScheduler({ storage });
+  scheduler.define('flaky', () => { throw new Error('node down'); });
+  const job = await scheduler.enqueue('flaky');
+
+  const before = Date.now();
+  await scheduler.runDueJobs();
+  const retrying = await getJob(job.id);
+  assert.strictEqual(retrying.status, 'pending');
+  assert.strictEqual(retrying.last_error, 'node down');
+  assert.ok(Date.parse(retrying.run_at) >= before + 30 * 1000);
+
+  // Make the retry due instead of waiting for it
+  await storage.collection('jobs').update(job.id, current => ({ ...current, run_at: new Date(0).toISOString() }));
+  await scheduler.runDueJobs();
+  const failed = await getJob(job.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, 2);
+});
+
+test('a running job is left alone until its lease runs out, then taken over', async () => {
+  const crashed = createScheduler({ storage, leaseMs: 60 * 1000 });
+  const other = createScheduler({ storage });
+  let runs = 0;
+  other.define('sweep', () => { runs++; });
+  const job = await crashed.enqueue('sweep');
+
+  // Leased by a process that died mid-run
+  await storage.collection('jobs').update(job.id, current => ({
+    ...current,
+    status: 'running',
+    attempts: 1,
+    locked_by: 'elsewhere:1',
+    lease_until: new Date(Date.now() + 60 * 1000).toISOString()
+  }));
+  await other.runDueJobs();
+  assert.strictEqual(runs, 0);
+
+  await storage.collection('jobs').update(job.id, current => ({ ...current, lease_until: new Date(Date.now() - 1).toISOString() }));
+  await other.runDueJobs();
+  assert.strictEqual(runs, 1);
+  const done = await getJob(job.id);
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.attempts, 2);
+});
+
+test('a run that lost its lease does not overwrite the new holder', async () => {
+  const scheduler = createScheduler({ storage });
+  const job = await scheduler.enqueue('slow');
+  scheduler.define('slow', async () => {
+    // Another process takes the job over while this run is still going
+    await storage.collection('jobs').update(job.id, current => ({
+      ...current,
+      locked_by: 'elsewhere:1',
+      lease_until: new Date(Date.now() + 60 * 1000).toISOString()
+    }));
+  });
+  await scheduler.runDueJobs();
+  const current = await getJob(job.id);
+  assert.strictEqual(current.status, 'running');
+  assert.strictEqual(current.locked_by, 'elsewhere:1');
+});
+
+test('a recurring job is rescheduled after each run, even a failed one', async () => {
+  const scheduler = createScheduler({ storage });
+  scheduler.define('tick', () => { throw new Error('boom'); });
+  await scheduler.every('tick', 60 * 1000);
+
+  const before = Date.now();
+  await scheduler.runDueJobs();
+  const job = await getJob('tick:recurring');
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.attempts, 0);
+  assert.strictEqual(job.last_error, 'boom');
+  assert.ok(Date.parse(job.run_at) >= before + 60 * 1000);
+});
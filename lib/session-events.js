@@ -0,0 +1,81 @@
+const { EventEmitter } = require('events');
+
+// Change events for payment sessions, for the SSE stream. Every write to a
+// session is compared with the record before it; what changed for the buyer
+// (status, confirmations, money received, the quote) becomes a numbered
+// event, kept on the session so a client can resume with Last-Event-ID, and
+// published to subscribers in this process.
+//
+// Like the file storage adapter, this assumes a single server process.
+
+// Events kept per session for resuming; older ones are replaced by a snapshot
+const MAX_EVENTS = 100;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// The part of a session the buyer page and storefront need
+function sessionSnapshot(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    payment: session.payment ? {
+      asset: session.payment.asset,
+      amount: session.payment.amount,
+      remaining: session.payment.remaining,
+      confirmations: session.payment.confirmations,
+      required_confirmations: session.payment.required_confirmations,
+    } : null,
+    quote: session.quote ? { id: session.quote.id, expires_at: session.quote.expires_at } : null,
+    updated_at: session.updated_at,
+  };
+}
+
+function diffSessionEvents(before, after) {
+  const events = [];
+  if (!before || before.status !== after.status) {
+    events.push({ type: 'status', data: { previous: before?.status || null } });
+  }
+  if (after.payment && before?.payment?.amount_units !== after.payment.amount_units) {
+    events.push({ type: 'payment', data: {} });
+  }
+  if (after.payment && before?.payment?.confirmations !== after.payment.confirmations) {
+    events.push({ type: 'confirmations', data: {} });
+  }
+  if (after.quote && before?.quote?.id !== after.quote.id) {
+    events.push({ type: 'quote', data: {} });
+  }
+  return events;
+}
+
+// Returns the session with events for the change from `before` appended, and
+// the new events themselves. Each event carries a snapshot of the session as
+// of that change.
+function recordSessionEvents(before, after) {
+  const changes = diffSessionEvents(before, after);
+  if (changes.length === 0) return { session: after, events: [] };
+
+  let seq = before?.event_seq || 0;
+  const at = new Date().toISOString();
+  const events = changes.map(change => ({
+    id: ++seq,
+    type: change.type,
+    data: { ...change.data, session: sessionSnapshot(after) },
+    at,
+  }));
+  const log = [...(before?.events || []), ...events].slice(-MAX_EVENTS);
+  return { session: { ...after, event_seq: seq, events: log }, events };
+}
+
+function publishSessionEvents(sessionId, events) {
+  for (const event of events) bus.emit(sessionId, event);
+}
+
+// Calls listener(event) for every event published for the session until the
+// returned function is called.
+function subscribeToSession(sessionId, listener) {
+  bus.on(sessionId, listener);
+  return () => bus.off(sessionId, listener);
+}
+
+module.exports = { sessionSnapshot, recordSessionEvents, publishSessionEvents, subscribeToSession };
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sessionSnapshot, recordSessionEvents, publishSessionEvents, subscribeToSession } = require('./session-events');
+
+const pending = { id: 'ps_1', shop: 's', status: 'pending', quote: { id: 'q1', expires_at: '2024-06-01T00:15:00.000Z' } };
+
+test('numbers events on from the session\'s last one', () => {
+  const created = recordSessionEvents(null, pending);
+  assert.deepStrictEqual(created.events.map(event => [event.id, event.type]), [[1, 'status'], [2, 'quote']]);
+  assert.strictEqual(created.session.event_seq, 2);
+
+  const paid = { ...created.session, status: 'awaiting_confirmations', payment: { amount_units: '5', confirmations: 0 } };
+  const { session, events } = recordSessionEvents(created.session, paid);
+  assert.deepStrictEqual(events.map(event => [event.id, event.type]), [[3, 'status'], [4, 'payment'], [5, 'confirmations']]);
+  assert.strictEqual(events[0].data.previous, 'pending');
+  assert.deepStrictEqual(session.events.map(event => event.id), [1, 2, 3, 4, 5]);
+});
+
+test('records nothing when nothing the buyer sees changed', () => {
+  const { session } = recordSessionEvents(null, pending);
+  const touched = { ...session, updated_at: 'later', shopify: { ok: true } };
+  assert.deepStrictEqual(recordSessionEvents(session, touched), { session: touched, events: [] });
+});
+
+test('events carry a buyer-safe snapshot', () => {
+  const session = { ...pending, return_url: 'https://shop.example', payment: { asset: 'local:ETH', amount: '0.005', from: '0xaa', confirmations: 1 } };
+  const snapshot = sessionSnapshot(session);
+  assert.deepStrictEqual(Object.keys(snapshot), ['id', 'status', 'payment', 'quote', 'updated_at']);
+  assert.strictEqual('from' in snapshot.payment, false);
+  assert.deepStrictEqual(recordSessionEvents(null, session).events[0].data.session, snapshot);
+});
+
+test('keeps only the latest 100 events for resuming', () => {
+  let session = null;
+  for (let index = 0; index < 60; index++) {
+    const next = { ...pending, ...session, status: index % 2 ? 'pending' : 'partially_paid', quote: { id: `q${index}` } };
+    session = recordSessionEvents(session, next).session;
+  }
+  assert.strictEqual(session.event_seq, 120);
+  assert.strictEqual(session.events.length, 100);
+  assert.strictEqual(session.events[0].id, 21);
+});
+
+test('subscribers get the session\'s published events until they unsubscribe', () => {
+  const received = [];
+  const unsubscribe = subscribeToSession('ps_1', event => received.push(event.id));
+  publishSessionEvents('ps_2', [{ id: 1 }]);
+  publishSessionEvents('ps_1', [{ id: 1 }, { id: 2 }]);
+  unsubscribe();
+  publishSessionEvents('ps_1', [{ id: 3 }]);
+  assert.deepStrictEqual(received, [1, 2]);
+});
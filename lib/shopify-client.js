@@ -0,0 +1,139 @@
+// GraphQL client for the Shopify Admin and Payments Apps APIs.
+//
+// SHOPIFY_API_VERSION picks the API version (default 2024-07; keep the
+// webhooks api_version in app/shopify.app.toml on the same one). Throttled
+// requests and 429/5xx replies are retried up to SHOPIFY_MAX_RETRIES times
+// (default 4), waiting as long as the query cost extensions say the bucket
+// needs to refill. A 401 means the shop's token is gone (app uninstalled,
+// token revoked); the client reports it through onUnauthorized and fails.
+
+const DEFAULT_API_VERSION = '2024-07';
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+function apiVersion() {
+  return process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+}
+
+function shopifyError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+function backoffDelay(attempt) {
+  const delay = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.min(delay + Math.floor(Math.random() * BASE_RETRY_DELAY_MS), MAX_RETRY_DELAY_MS);
+}
+
+// How long until the shop's cost bucket holds enough points for the query
+// that was throttled, from the `cost` extension Shopify returns with it.
+function throttleDelay(cost, attempt) {
+  const status = cost?.throttleStatus;
+  if (!status || !status.restoreRate) return backoffDelay(attempt);
+  const missing = (cost.requestedQueryCost || 0) - status.currentlyAvailable;
+  return Math.min(Math.max(Math.ceil(missing / status.restoreRate) * 1000, 1000), MAX_RETRY_DELAY_MS);
+}
+
+function retryAfterDelay(response, attempt) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return seconds > 0 ? Math.min(seconds * 1000, MAX_RETRY_DELAY_MS) : backoffDelay(attempt);
+}
+
+function readPath(data, path) {
+  return path.split('.').reduce((value, key) => value?.[key], data);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// `getAccessToken(shop)` returns the shop's token or null; `onUnauthorized(shop)`
+// is called when Shopify refuses it.
+function createShopifyClient({ getAccessToken, onUnauthorized = async () => {}, maxRetries } = {}) {
+  const retries = maxRetries ?? parseInt(process.env.SHOPIFY_MAX_RETRIES || '4', 10);
+
+  // Pass `{ api: 'payments_apps' }` to target the Payments Apps API instead
+  // of the Admin API.
+  async function request(shop, query, variables = {}, options = {}) {
+    const accessToken = await getAccessToken(shop);
+    if (!accessToken) {
+      throw shopifyError('shopify_no_token', `No access token found for shop: ${shop}`);
+    }
+
+    const api = options.api || 'admin';
+    const url = `https://${shop}/${api}/api/${apiVersion()}/graphql.json`;
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < retries;
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken,
+          },
+          body: JSON.stringify({ query, variables })
+        });
+      } catch (error) {
+        if (!canRetry) throw shopifyError('shopify_unavailable', `Shopify API request to ${shop} failed: ${error.message}`);
+        console.warn('Shopify API retry:', { shop, error: error.message, attempt: attempt + 1 });
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      if (response.status === 401) {
+        await onUnauthorized(shop);
+        throw shopifyError('shopify_unauthorized', `Shopify rejected the access token for ${shop}; the app must be reinstalled`, { status: 401 });
+      }
+      if (response.status === 429 || response.status >= 500) {
+        if (!canRetry) {
+          const code = response.status === 429 ? 'shopify_throttled' : 'shopify_unavailable';
+          throw shopifyError(code, `Shopify API request to ${shop} failed with HTTP ${response.status}`, { status: response.status });
+        }
+        console.warn('Shopify API retry:', { shop, status: response.status, attempt: attempt + 1 });
+        await sleep(response.status === 429 ? retryAfterDelay(response, attempt) : backoffDelay(attempt));
+        continue;
+      }
+      if (!response.ok) {
+        throw shopifyError('shopify_http_error', `Shopify API request to ${shop} failed with HTTP ${response.status}`, { status: response.status });
+      }
+
+      const result = await response.json();
+      if (result.errors) {
+        const throttled = result.errors.some(error => error.extensions?.code === 'THROTTLED');
+        if (throttled && canRetry) {
+          const delay = throttleDelay(result.extensions?.cost, attempt);
+          console.warn('Shopify API throttled:', { shop, wait_ms: delay, attempt: attempt + 1 });
+          await sleep(delay);
+          continue;
+        }
+        throw shopifyError(
+          throttled ? 'shopify_throttled' : 'shopify_graphql_error',
+          `GraphQL errors: ${result.errors.map(e => e.message).join(', ')}`,
+          { errors: result.errors }
+        );
+      }
+      return result.data;
+    }
+  }
+
+  // Follows a connection to its end and returns every node. The query takes
+  // $first and $after and selects `nodes` and `pageInfo { hasNextPage
+  // endCursor }` on the connection found at `path` (e.g. 'orders').
+  async function paginate(shop, query, variables = {}, { path, pageSize = 100, maxPages = 50, api } = {}) {
+    const nodes = [];
+    let after = null;
+    for (let page = 0; page < maxPages; page++) {
+      const data = await request(shop, query, { ...variables, first: pageSize, after }, { api });
+      const connection = readPath(data, path);
+      nodes.push(...connection.nodes);
+      if (!connection.pageInfo.hasNextPage) return nodes;
+      after = connection.pageInfo.endCursor;
+    }
+    throw shopifyError('too_many_pages', `More than ${maxPages * pageSize} results for ${path}`);
+  }
+
+  return { request, paginate };
+}
+
+module.exports = { apiVersion, createShopifyClient };
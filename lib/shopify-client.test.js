@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createShopifyClient } = require('./shopify-client');
+
+const SHOP = 's.myshopify.com';
+
+// Answers fetch calls with `replies` in order and records the requests
+function stubFetch(t, replies) {
+  const requests = [];
+  const realFetch = global.fetch;
+  global.fetch = async (url, options) => {
+    requests.push({ url, options, at: Date.now() });
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    const { status = 200, headers = {}, json } = reply;
+    return new Response(JSON.stringify(json), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+  };
+  t.after(() => { global.fetch = realFetch; });
+  return requests;
+}
+
+function client(options = {}) {
+  return createShopifyClient({ getAccessToken: async () => 'shpat_test', maxRetries: 2, ...options });
+}
+
+test('sends the query with the shop\'s token to the versioned endpoint', async t => {
+  const requests = stubFetch(t, [{ json: { data: { shop: { name: 'S' } } } }]);
+  const data = await client().request(SHOP, 'query shop { shop { name } }', { a: 1 }, { api: 'payments_apps' });
+  assert.deepStrictEqual(data, { shop: { name: 'S' } });
+  assert.strictEqual(requests[0].url, `https://${SHOP}/payments_apps/api/2024-07/graphql.json`);
+  assert.strictEqual(requests[0].options.headers['X-Shopify-Access-Token'], 'shpat_test');
+  assert.deepStrictEqual(JSON.parse(requests[0].options.body).variables, { a: 1 });
+});
+
+test('userErrors come back in the data for the caller to handle', async t => {
+  stubFetch(t, [{ json: { data: { draftOrderDelete: { deletedId: null, userErrors: [{ field: ['id'], message: 'Not found' }] } } } }]);
+  const data = await client().request(SHOP, 'mutation draftOrderDelete { x }');
+  assert.deepStrictEqual(data.draftOrderDelete.userErrors, [{ field: ['id'], message: 'Not found' }]);
+});
+
+test('top-level GraphQL errors throw with the messages', async t => {
+  stubFetch(t, [{ json: { errors: [{ message: 'Field x does not exist' }, { message: 'Bad' }] } }]);
+  await assert.rejects(client().request(SHOP, 'query q { x }'), error => {
+    assert.strictEqual(error.code, 'shopify_graphql_error');
+    assert.strictEqual(error.message, 'GraphQL errors: Field x does not exist, Bad');
+    assert.strictEqual(error.errors.length, 2);
+    return true;
+  });
+});
+
+test('a throttled query waits for the cost bucket to refill, then retries', async t => {
+  const throttled = {
+    json: {
+      errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+      extensions: { cost: { requestedQueryCost: 100, throttleStatus: { currentlyAvailable: 50, restoreRate: 50 } } },
+    },
+  };
+  const requests = stubFetch(t, [throttled, { json: { data: { ok: true } } }]);
+  assert.deepStrictEqual(await client().request(SHOP, 'query q { ok }'), { ok: true });
+  // 50 missing points at 50 a second
+  assert.ok(requests[1].at - requests[0].at >= 990);
+});
+
+test('429 and 5xx replies are retried until the retries run out', async t => {
+  const requests = stubFetch(t, [
+    { status: 429, headers: { 'Retry-After': '1' }, json: {} },
+    { status: 503, json: {} },
+    { status: 502, json: {} },
+  ]);
+  await assert.rejects(client().request(SHOP, 'query q { ok }'), error => {
+    assert.strictEqual(error.code, 'shopify_unavailable');
+    assert.strictEqual(error.status, 502);
+    return true;
+  });
+  assert.strictEqual(requests.length, 3);
+  assert.ok(requests[1].at - requests[0].at >= 990);
+});
+
+test('network errors are retried', async t => {
+  const requests = stubFetch(t, [new Error('socket hang up'), { json: { data: { ok: true } } }]);
+  assert.deepStrictEqual(await client().request(SHOP, 'query q { ok }'), { ok: true });
+  assert.strictEqual(requests.length, 2);
+});
+
+test('a 401 reports the token as unauthorized without retrying', async t => {
+  const requests = stubFetch(t, [{ status: 401, json: {} }]);
+  const unauthorized = [];
+  await assert.rejects(
+    client({ onUnauthorized: async shop => unauthorized.push(shop) }).request(SHOP, 'query q { ok }'),
+    { code: 'shopify_unauthorized' },
+  );
+  assert.deepStrictEqual(unauthorized, [SHOP]);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('other HTTP errors and a missing token fail at once', async t => {
+  stubFetch(t, [{ status: 404, json: {} }]);
+  await assert.rejects(client().request(SHOP, 'query q { ok }'), { code: 'shopify_http_error', status: 404 });
+  await assert.rejects(client({ getAccessToken: async () => null }).request(SHOP, 'query q { ok }'), { code: 'shopify_no_token' });
+});
+
+test('follows a connection to its last page', async t => {
+  const page = (ids, hasNextPage, endCursor) => ({ json: { data: { orders: { nodes: ids.map(id => ({ id })), pageInfo: { hasNextPage, endCursor } } } } });
+  const requests = stubFetch(t, [page([1, 2], true, 'c1'), page([3], false, null)]);
+  const nodes = await client().paginate(SHOP, 'query orders { x }', { q: 'x' }, { path: 'orders', pageSize: 2 });
+  assert.deepStrictEqual(nodes.map(node => node.id), [1, 2, 3]);
+  assert.deepStrictEqual(requests.map(request => JSON.parse(request.options.body).variables), [
+    { q: 'x', first: 2, after: null },
+    { q: 'x', first: 2, after: 'c1' },
+  ]);
+});
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+// One JSON file per collection. Writes for a collection are queued so a
+// read-modify-write never interleaves with another, and each write goes to a
+// temp file that is fsynced and renamed over the original, so a crash leaves
+// either the old or the new file, never half of one.
+//
+// The in-memory copy assumes a single server process owns the data directory;
+// acquireLock() enforces that.
+function createFileCollection(file) {
+  let records = null;
+  let loading = null;
+  let queue = Promise.resolve();
+
+  function load() {
+    if (records) return Promise.resolve(records);
+    if (!loading) {
+      loading = fs.readFile(file, 'utf8')
+        .then(data => JSON.parse(data))
+        .catch(error => {
+          // A missing file is an empty collection; anything else (corrupt JSON,
+          // permissions) must surface instead of being overwritten.
+          if (error.code === 'ENOENT') return {};
+          loading = null;
+          throw error;
+        })
+        .then(data => {
+          records = data;
+          return records;
+        });
+    }
+    return loading;
+  }
+
+  async function persist(next) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const handle = await fs.open(tmp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(next, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmp, file);
+    records = next;
+  }
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    async get(id) {
+      const current = await load();
+      return current[id] ? structuredClone(current[id]) : null;
+    },
+
+    async list(options = {}) {
+      const current = await load();
+      return Object.values(current)
+        .filter(record => !options.shop || record.shop === options.shop)
+        .map(record => structuredClone(record));
+    },
+
+    put(id, record) {
+      return enqueue(async () => {
+        const current = await load();
+        await persist({ ...current, [id]: record });
+        return structuredClone(record);
+      });
+    },
+
+    // `mutator` receives a copy of the current record (or null) and returns the
+    // replacement. Returning null or undefined, or throwing, aborts the write.
+    update(id, mutator) {
+      return enqueue(async () => {
+        const current = await load();
+        const existing = current[id] ? structuredClone(current[id]) : null;
+        const next = mutator(existing);
+        if (next == null) return null;
+        await persist({ ...current, [id]: next });
+        return structuredClone(next);
+      });
+    },
+
+    delete(id) {
+      return enqueue(async () => {
+        const current = await load();
+        if (!(id in current)) return false;
+        const next = { ...current };
+        delete next[id];
+        await persist(next);
+        return true;
+      });
+    },
+
+    deleteByShop(shop) {
+      return enqueue(async () => {
+        const current = await load();
+        const next = {};
+        let removed = 0;
+        for (const [id, record] of Object.entries(current)) {
+          if (record.shop === shop) removed++;
+          else next[id] = record;
+        }
+        if (removed > 0) await persist(next);
+        return removed;
+      });
+    },
+  };
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Claims the data directory for this process through a lock file naming its
+// pid. Another process's in-memory copy would overwrite whatever this one
+// writes (and the other way round), so a live holder is an error; a lock left
+// by a process that is gone is taken over.
+function lockDataDir(dir, owner) {
+  const file = path.join(dir, '.lock');
+  fsSync.mkdirSync(dir, { recursive: true });
+  for (;;) {
+    try {
+      fsSync.writeFileSync(file, JSON.stringify({ pid: process.pid, owner, locked_at: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    let holder = null;
+    try {
+      holder = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+    } catch (_) {
+      // Unreadable or half written: treat as stale
+    }
+    if (holder && holder.pid !== process.pid && isRunning(holder.pid)) {
+      const error = new Error(`Data directory ${dir} is in use by ${holder.owner || 'another process'} (pid ${holder.pid}); stop it first`);
+      error.code = 'storage_locked';
+      throw error;
+    }
+    fsSync.rmSync(file, { force: true });
+  }
+
+  process.once('exit', () => {
+    try {
+      if (JSON.parse(fsSync.readFileSync(file, 'utf8')).pid === process.pid) fsSync.rmSync(file, { force: true });
+    } catch (_) {
+      // Already gone
+    }
+  });
+}
+
+function createFileAdapter({ dir }) {
+  const collections = new Map();
+
+  return {
+    name: 'file',
+
+    acquireLock(owner) {
+      lockDataDir(dir, owner);
+    },
+
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createFileCollection(path.join(dir, `${name}.json`)));
+      }
+      return collections.get(name);
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createFileAdapter };
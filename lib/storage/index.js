@@ -0,0 +1,46 @@
+const path = require('path');
+const { createFileAdapter } = require('./file-adapter');
+const { createSqliteAdapter } = require('./sqlite-adapter');
+
+// Storage is a set of named collections of JSON records keyed by id. Every
+// adapter exposes the same async collection API:
+//
+//   get(id)                -> record | null
+//   list({ shop })         -> records, optionally limited to one shop
+//   put(id, record)        -> record
+//   update(id, mutator)    -> atomic read-modify-write; mutator(current|null) returns the new record
+//                             or null/undefined to leave the record as it is (update then returns null)
+//   delete(id)             -> boolean
+//   deleteByShop(shop)     -> number of records removed
+//
+// Writers call storage.acquireLock(owner) first: the file adapter allows one
+// process per data directory and throws a `storage_locked` error otherwise.
+//
+// STORAGE_ADAPTER picks the backend: "file" (default, JSON files in DATA_DIR)
+// or "sqlite" (SQLITE_PATH, defaults to DATA_DIR/cryptocadet.db).
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function createStorage(options = {}) {
+  const adapter = options.adapter || process.env.STORAGE_ADAPTER || 'file';
+  const dataDir = path.resolve(ROOT_DIR, options.dataDir || process.env.DATA_DIR || 'data');
+
+  if (adapter === 'file') {
+    return createFileAdapter({ dir: dataDir });
+  }
+  if (adapter === 'sqlite') {
+    const file = path.resolve(ROOT_DIR, options.sqlitePath || process.env.SQLITE_PATH || path.join(dataDir, 'cryptocadet.db'));
+    return createSqliteAdapter({ file });
+  }
+  throw new Error(`Unknown STORAGE_ADAPTER: ${adapter}`);
+}
+
+let storage = null;
+
+// Process-wide storage, created from the environment on first use.
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+module.exports = { createStorage, getStorage };
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('.');
+
+for (const adapter of ['file', 'sqlite']) {
+  async function withCollection(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `cryptocadet-${adapter}-`));
+    const storage = createStorage({ adapter, dataDir: dir });
+    try {
+      await fn(storage.collection('audit_log'));
+    } finally {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  test(`${adapter}: update writes what the mutator returns`, async () => {
+    await withCollection(async records => {
+      assert.deepStrictEqual(await records.update('a', current => current || { id: 'a', shop: 's', n: 1 }), { id: 'a', shop: 's', n: 1 });
+      assert.deepStrictEqual(await records.update('a', current => ({ ...current, n: current.n + 1 })), { id: 'a', shop: 's', n: 2 });
+      assert.deepStrictEqual(await records.list({ shop: 's' }), [{ id: 'a', shop: 's', n: 2 }]);
+    });
+  });
+
+  test(`${adapter}: a mutator returning null or undefined writes nothing`, async () => {
+    await withCollection(async records => {
+      assert.strictEqual(await records.update('missing', current => current && { ...current, n: 1 }), null);
+      assert.strictEqual(await records.update('missing', () => undefined), null);
+      assert.strictEqual(await records.get('missing'), null);
+      assert.deepStrictEqual(await records.list(), []);
+
+      await records.put('a', { id: 'a', shop: 's', n: 1 });
+      assert.strictEqual(await records.update('a', () => null), null);
+      assert.deepStrictEqual(await records.get('a'), { id: 'a', shop: 's', n: 1 });
+    });
+  });
+
+  test(`${adapter}: a mutator that throws writes nothing`, async () => {
+    await withCollection(async records => {
+      await records.put('a', { id: 'a', shop: 's', n: 1 });
+      await assert.rejects(records.update('a', () => { throw new Error('no'); }), /no/);
+      assert.deepStrictEqual(await records.get('a'), { id: 'a', shop: 's', n: 1 });
+    });
+  });
+}
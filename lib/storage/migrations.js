@@ -0,0 +1,79 @@
+// Schema migrations for the SQLite adapter. Append new entries; never edit or
+// reorder one that has shipped. Each collection is a table of JSON documents
+// keyed by id, with the owning shop pulled out so it can be indexed.
+
+function createCollectionTable(db, table) {
+  db.exec(`
+    CREATE TABLE ${table} (
+      id TEXT PRIMARY KEY,
+      shop TEXT,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX ${table}_shop ON ${table} (shop);
+  `);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial collections',
+    up(db) {
+      for (const table of ['shops', 'tokens', 'merchant_configs', 'payment_sessions', 'webhook_receipts']) {
+        createCollectionTable(db, table);
+      }
+    },
+  },
+  {
+    version: 2,
+    name: 'merchant settings versions',
+    up(db) {
+      createCollectionTable(db, 'merchant_settings_versions');
+    },
+  },
+  {
+    version: 3,
+    name: 'used transactions',
+    up(db) {
+      createCollectionTable(db, 'used_transactions');
+    },
+  },
+  {
+    version: 4,
+    name: 'deposit addresses',
+    up(db) {
+      createCollectionTable(db, 'deposit_addresses');
+    },
+  },
+  {
+    version: 5,
+    name: 'merchant webhook deliveries',
+    up(db) {
+      createCollectionTable(db, 'webhook_deliveries');
+    },
+  },
+  {
+    version: 6,
+    name: 'reconciliation reports',
+    up(db) {
+      createCollectionTable(db, 'reconciliation_reports');
+    },
+  },
+  {
+    version: 7,
+    name: 'privacy audit log and customer data exports',
+    up(db) {
+      createCollectionTable(db, 'audit_log');
+      createCollectionTable(db, 'data_exports');
+    },
+  },
+  {
+    version: 8,
+    name: 'background jobs',
+    up(db) {
+      createCollectionTable(db, 'jobs');
+    },
+  },
+];
+
+module.exports = { MIGRATIONS, createCollectionTable };
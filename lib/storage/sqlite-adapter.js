@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS } = require('./migrations');
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`STORAGE_ADAPTER=sqlite needs the better-sqlite3 package (${error.message})`);
+  }
+}
+
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`Applied storage migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+function createSqliteCollection(db, table) {
+  const statements = {
+    get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+    all: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+    byShop: db.prepare(`SELECT data FROM ${table} WHERE shop = ? ORDER BY rowid`),
+    upsert: db.prepare(`
+      INSERT INTO ${table} (id, shop, data, updated_at) VALUES (@id, @shop, @data, @updated_at)
+      ON CONFLICT (id) DO UPDATE SET shop = excluded.shop, data = excluded.data, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    deleteByShop: db.prepare(`DELETE FROM ${table} WHERE shop = ?`),
+  };
+
+  function read(id) {
+    const row = statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function write(id, record) {
+    statements.upsert.run({
+      id,
+      shop: record.shop || null,
+      data: JSON.stringify(record),
+      updated_at: new Date().toISOString(),
+    });
+    return record;
+  }
+
+  // `mutator` must be synchronous: it runs inside the write transaction.
+  // Returning null or undefined leaves the record as it is.
+  const update = db.transaction((id, mutator) => {
+    const next = mutator(read(id));
+    return next == null ? null : write(id, next);
+  });
+
+  return {
+    async get(id) {
+      return read(id);
+    },
+
+    async list(options = {}) {
+      const rows = options.shop ? statements.byShop.all(options.shop) : statements.all.all();
+      return rows.map(row => JSON.parse(row.data));
+    },
+
+    async put(id, record) {
+      return write(id, record);
+    },
+
+    async update(id, mutator) {
+      return update.immediate(id, mutator);
+    },
+
+    async delete(id) {
+      return statements.delete.run(id).changes > 0;
+    },
+
+    async deleteByShop(shop) {
+      return statements.deleteByShop.run(shop).changes;
+    },
+  };
+}
+
+function createSqliteAdapter({ file }) {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const tables = new Set(
+    db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name)
+  );
+  const collections = new Map();
+
+  return {
+    name: 'sqlite',
+
+    // SQLite serialises writers itself and every read goes to the database,
+    // so the server and scripts can share it.
+    acquireLock() {},
+
+    collection(name) {
+      if (!tables.has(name) || name === 'schema_migrations') {
+        throw new Error(`Unknown storage collection: ${name}`);
+      }
+      if (!collections.has(name)) collections.set(name, createSqliteCollection(db, name));
+      return collections.get(name);
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteAdapter };
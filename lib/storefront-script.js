@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'extensions', 'checkout-extension.js');
+// The template ends by invoking itself with this placeholder
+const CONFIG_PLACEHOLDER = '(__CRYPTOCADET_CONFIG__)';
+
+// Built-in placement selectors, tried in order when a merchant has not set
+// their own for a page.
+const DEFAULT_SELECTORS = {
+  cart: [
+    'button[name="checkout"]',
+    '.cart__checkout-button',
+    'form[action*="/checkout"] [type="submit"]',
+    '.cart__checkout',
+    '.cart-footer button',
+  ],
+  product: [
+    'button[name="add"][type="submit"]',
+    '.product-form__buttons button[type="submit"]',
+    'form[action*="/cart/add"] button[type="submit"]',
+    'form[action*="/cart/add"] input[type="submit"]',
+    'button[name="add"]',
+    '.product-form__submit',
+    '.btn-product-form',
+  ],
+};
+
+let template = null;
+
+function loadTemplate() {
+  if (!template) template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  return template;
+}
+
+function appUrl() {
+  return (process.env.APP_URL || '').replace(/\/$/, '');
+}
+
+// `app_url` is where the script calls the API; `redirect_base` is where it
+// sends the buyer to pay, the merchant's own domain when they set one.
+function buildStorefrontConfig(shop, settings, version) {
+  const placement = settings.placement || {};
+  return {
+    shop,
+    version,
+    app_url: appUrl(),
+    redirect_base: settings.redirect_base_url || appUrl(),
+    label: settings.button.label,
+    background_color: settings.button.background_color,
+    text_color: settings.button.text_color,
+    enabled_pages: settings.enabled_pages,
+    selectors: {
+      cart: placement.cart_selector ? [placement.cart_selector] : DEFAULT_SELECTORS.cart,
+      product: placement.product_selector ? [placement.product_selector] : DEFAULT_SELECTORS.product,
+    },
+  };
+}
+
+// Returns the script body for a config plus a strong ETag derived from it, so
+// browsers revalidate cheaply and pick up settings changes on the next load.
+function renderStorefrontScript(config) {
+  // JSON is valid JS; escaping "<" keeps merchant text from closing a tag if a
+  // theme ever inlines the script
+  const json = JSON.stringify(config).replace(/</g, '\\u003c');
+  const body = loadTemplate().replace(CONFIG_PLACEHOLDER, () => `(${json})`);
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 16);
+  return { body, etag: `"v${config.version}-${hash}"` };
+}
+
+module.exports = { DEFAULT_SELECTORS, buildStorefrontConfig, renderStorefrontScript };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withDefaults } = require('./merchant-settings');
+const { buildStorefrontConfig, renderStorefrontScript } = require('./storefront-script');
+
+function withAppUrl(value, fn) {
+  const previous = process.env.APP_URL;
+  process.env.APP_URL = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.APP_URL;
+    else process.env.APP_URL = previous;
+  }
+}
+
+test('buyers are sent to APP_URL unless the merchant set a domain', () => {
+  withAppUrl('https://app.example.com/', () => {
+    const config = buildStorefrontConfig('shop.myshopify.com', withDefaults({}), 1);
+    assert.strictEqual(config.app_url, 'https://app.example.com');
+    assert.strictEqual(config.redirect_base, 'https://app.example.com');
+
+    const own = buildStorefrontConfig('shop.myshopify.com', withDefaults({ redirect_base_url: 'https://pay.example.com' }), 2);
+    assert.strictEqual(own.app_url, 'https://app.example.com');
+    assert.strictEqual(own.redirect_base, 'https://pay.example.com');
+  });
+});
+
+test('the rendered script redirects to the configured base', () => {
+  withAppUrl('https://app.example.com', () => {
+    const config = buildStorefrontConfig('shop.myshopify.com', withDefaults({ redirect_base_url: 'https://pay.example.com' }), 1);
+    const { body, etag } = renderStorefrontScript(config);
+    assert.match(body, /"redirect_base":"https:\/\/pay\.example\.com"/);
+    assert.match(body, /config\.redirect_base \+ '\/pay\/'/);
+    assert.ok(etag);
+  });
+});
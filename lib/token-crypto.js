@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Access tokens are stored as AES-256-GCM envelopes tagged with the id of the
+// key that sealed them, so keys can be rotated without a flag day:
+//
+//   TOKEN_ENCRYPTION_KEYS=2025a:<base64 32 bytes>,2026a:<base64 32 bytes>
+//   TOKEN_ENCRYPTION_KEY_ID=2026a   (defaults to the last key listed)
+//
+// Old keys stay listed until `npm run tokens:rotate` has re-sealed every
+// record under the active one.
+
+const ALGORITHM = 'aes-256-gcm';
+
+function loadKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    const [kid, encoded] = entry.trim().split(':');
+    if (!kid || !encoded) continue;
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) throw new Error(`Token encryption key ${kid} must be 32 bytes (base64 encoded)`);
+    keys.set(kid, key);
+  }
+  return keys;
+}
+
+function activeKeyId(keys) {
+  const kid = process.env.TOKEN_ENCRYPTION_KEY_ID || [...keys.keys()].pop();
+  if (!kid || !keys.has(kid)) {
+    throw new Error('No active token encryption key: set TOKEN_ENCRYPTION_KEYS (and TOKEN_ENCRYPTION_KEY_ID)');
+  }
+  return kid;
+}
+
+// `context` (the shop domain) is bound in as associated data, so an envelope
+// copied onto another shop's record fails to decrypt.
+function encryptToken(plaintext, context) {
+  const keys = loadKeys();
+  const kid = activeKeyId(keys);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(kid), iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+function decryptToken(envelope, context) {
+  const keys = loadKeys();
+  const key = keys.get(envelope.kid);
+  if (!key) throw new Error(`Token encryption key ${envelope.kid} is not configured`);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+function currentKeyId() {
+  return activeKeyId(loadKeys());
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+module.exports = { encryptToken, decryptToken, currentKeyId, generateKey };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encryptToken, decryptToken, currentKeyId, generateKey } = require('./token-crypto');
+
+const OLD_KEY = generateKey();
+const NEW_KEY = generateKey();
+
+function withKeys(keys, activeKeyId, fn) {
+  const previous = { keys: process.env.TOKEN_ENCRYPTION_KEYS, kid: process.env.TOKEN_ENCRYPTION_KEY_ID };
+  process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  if (activeKeyId) process.env.TOKEN_ENCRYPTION_KEY_ID = activeKeyId;
+  else delete process.env.TOKEN_ENCRYPTION_KEY_ID;
+  try {
+    return fn();
+  } finally {
+    for (const [name, value] of [['TOKEN_ENCRYPTION_KEYS', previous.keys], ['TOKEN_ENCRYPTION_KEY_ID', previous.kid]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+test('a token round-trips and is not stored in the clear', () => {
+  withKeys(`old:${OLD_KEY}`, null, () => {
+    const envelope = encryptToken('shpat_secret', 'a.myshopify.com');
+    assert.strictEqual(envelope.kid, 'old');
+    assert.doesNotMatch(JSON.stringify(envelope), /shpat_secret/);
+    assert.strictEqual(decryptToken(envelope, 'a.myshopify.com'), 'shpat_secret');
+    // A fresh IV every time
+    assert.notStrictEqual(encryptToken('shpat_secret', 'a.myshopify.com').iv, envelope.iv);
+  });
+});
+
+test('an envelope copied onto another shop does not decrypt', () => {
+  withKeys(`old:${OLD_KEY}`, null, () => {
+    const envelope = encryptToken('shpat_secret', 'a.myshopify.com');
+    assert.throws(() => decryptToken(envelope, 'b.myshopify.com'), /authenticate/);
+  });
+});
+
+test('a tampered envelope does not decrypt', () => {
+  withKeys(`old:${OLD_KEY}`, null, () => {
+    const envelope = encryptToken('shpat_secret', 'a.myshopify.com');
+    const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    assert.throws(() => decryptToken({ ...envelope, ciphertext: ciphertext.toString('base64') }, 'a.myshopify.com'));
+  });
+});
+
+test('an envelope sealed with a key no longer configured is refused by name', () => {
+  const envelope = withKeys(`old:${OLD_KEY}`, null, () => encryptToken('shpat_secret', 'a.myshopify.com'));
+  withKeys(`new:${NEW_KEY}`, null, () => {
+    assert.throws(() => decryptToken(envelope, 'a.myshopify.com'), /Token encryption key old is not configured/);
+  });
+});
+
+test('after rotation new tokens use the active key and old ones still decrypt', () => {
+  const envelope = withKeys(`old:${OLD_KEY}`, null, () => encryptToken('shpat_secret', 'a.myshopify.com'));
+  withKeys(`old:${OLD_KEY},new:${NEW_KEY}`, null, () => {
+    assert.strictEqual(currentKeyId(), 'new');
+    assert.strictEqual(encryptToken('shpat_other', 'a.myshopify.com').kid, 'new');
+    assert.strictEqual(decryptToken(envelope, 'a.myshopify.com'), 'shpat_secret');
+  });
+  withKeys(`old:${OLD_KEY},new:${NEW_KEY}`, 'old', () => {
+    assert.strictEqual(encryptToken('shpat_other', 'a.myshopify.com').kid, 'old');
+  });
+});
+
+test('refuses missing or malformed keys', () => {
+  withKeys('', null, () => {
+    assert.throws(() => encryptToken('shpat_secret', 'a.myshopify.com'), /No active token encryption key/);
+  });
+  withKeys(`new:${NEW_KEY}`, 'old', () => {
+    assert.throws(() => currentKeyId(), /No active token encryption key/);
+  });
+  withKeys('short:AAAA', null, () => {
+    assert.throws(() => currentKeyId(), /must be 32 bytes/);
+  });
+});
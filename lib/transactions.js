@@ -0,0 +1,175 @@
+const { getAsset, getChain, explorerTxUrl } = require('./chains');
+
+// The merchant's view of payment sessions as transactions: filters from the
+// admin query string, one flat row per session, cursor pagination and CSV.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const AMOUNT_PATTERN = /^\d+(?:\.\d{1,2})?$/;
+
+const CSV_COLUMNS = [
+  ['created_at', 'Date'],
+  ['session_id', 'Session'],
+  ['order_name', 'Order'],
+  ['status', 'Status'],
+  ['fiat_amount', 'Fiat amount'],
+  ['currency', 'Currency'],
+  ['crypto_amount', 'Crypto amount'],
+  ['symbol', 'Asset'],
+  ['chain', 'Chain'],
+  ['rate', 'Rate'],
+  ['tx_hashes', 'Transaction hashes'],
+  ['confirmations', 'Confirmations'],
+];
+
+function parseDate(value, field, errors, endOfDay) {
+  if (!value) return null;
+  const text = String(value).trim();
+  // A bare date as the upper bound means up to the end of that day (UTC)
+  const date = new Date(DATE_ONLY_PATTERN.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    errors.push({ field, message: 'Must be a date like 2024-05-31 or an ISO timestamp' });
+    return null;
+  }
+  return date.toISOString();
+}
+
+function parseFilterAmount(value, field, errors) {
+  if (value === undefined || value === '') return null;
+  if (!AMOUNT_PATTERN.test(String(value))) {
+    errors.push({ field, message: 'Must be a positive amount with at most 2 decimals' });
+    return null;
+  }
+  return Number(value);
+}
+
+// Cursors are opaque to clients: the sort key of the last row they saw
+function encodeCursor(row) {
+  return Buffer.from(`${row.created_at}|${row.session_id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [created_at, session_id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  return created_at && session_id ? { created_at, session_id } : null;
+}
+
+// Reads filters from a query string. `statuses` is every session status, so
+// a typo is reported instead of silently matching nothing.
+function parseTransactionFilters(query, { statuses }) {
+  const errors = [];
+  const filters = {};
+
+  if (query.status) {
+    filters.statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = filters.statuses.filter(status => !statuses.includes(status));
+    if (unknown.length > 0) errors.push({ field: 'status', message: `Unknown statuses: ${unknown.join(', ')}` });
+  }
+  if (query.asset) {
+    filters.asset = String(query.asset);
+    if (!getAsset(filters.asset)) errors.push({ field: 'asset', message: `Unsupported asset: ${filters.asset}` });
+  }
+  if (query.chain) {
+    filters.chain = String(query.chain);
+    if (!getChain(filters.chain)) errors.push({ field: 'chain', message: `Unsupported chain: ${filters.chain}` });
+  }
+  filters.from = parseDate(query.from, 'from', errors, false);
+  filters.to = parseDate(query.to, 'to', errors, true);
+  filters.min_amount = parseFilterAmount(query.min_amount, 'min_amount', errors);
+  filters.max_amount = parseFilterAmount(query.max_amount, 'max_amount', errors);
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push({ field: 'limit', message: `Must be from 1 to ${MAX_PAGE_SIZE}` });
+  }
+  filters.limit = limit;
+  if (query.cursor) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) errors.push({ field: 'cursor', message: 'Invalid cursor' });
+  }
+  return { filters, errors };
+}
+
+// Shopify admin links for the session's order, or its draft order until the
+// payment completes it
+function orderUrl(shop, session) {
+  const id = session.order_id || session.draft_order_id;
+  if (!id) return null;
+  const numericId = String(id).split('/').pop();
+  return `https://${shop}/admin/${session.order_id ? 'orders' : 'draft_orders'}/${numericId}`;
+}
+
+function transactionRow(shop, session) {
+  const payment = session.payment || null;
+  const asset = payment ? getAsset(payment.asset) : null;
+  const transfers = payment?.transfers || [];
+  return {
+    session_id: session.id,
+    created_at: session.created_at,
+    status: session.status,
+    fiat_amount: session.amount,
+    currency: session.currency,
+    asset: payment?.asset || null,
+    symbol: asset?.symbol || null,
+    chain: payment?.chain || null,
+    crypto_amount: payment?.amount || null,
+    rate: payment ? session.quote?.assets?.[payment.asset]?.rate || null : null,
+    confirmations: payment?.confirmations ?? null,
+    tx_hashes: transfers.map(transfer => transfer.transaction_id),
+    explorer_urls: transfers.map(transfer => explorerTxUrl(payment.chain, transfer.transaction_id)).filter(Boolean),
+    order_name: session.order_name || session.draft_order_name || null,
+    order_url: orderUrl(shop, session),
+    test_mode: session.test_mode || false,
+  };
+}
+
+function matchesFilters(row, filters) {
+  if (filters.statuses && !filters.statuses.includes(row.status)) return false;
+  if (filters.asset && row.asset !== filters.asset) return false;
+  if (filters.chain && row.chain !== filters.chain) return false;
+  if (filters.from && row.created_at < filters.from) return false;
+  if (filters.to && row.created_at > filters.to) return false;
+  if (filters.min_amount !== null && Number(row.fiat_amount) < filters.min_amount) return false;
+  if (filters.max_amount !== null && Number(row.fiat_amount) > filters.max_amount) return false;
+  return true;
+}
+
+// Newest first, ties broken by session id so pages never overlap
+function compareRows(a, b) {
+  return b.created_at.localeCompare(a.created_at) || b.session_id.localeCompare(a.session_id);
+}
+
+function isAfterCursor(row, cursor) {
+  return compareRows({ created_at: cursor.created_at, session_id: cursor.session_id }, row) < 0;
+}
+
+// Filters and sorts every row. Without a limit (CSV export) all of them are
+// returned; otherwise one page after the cursor and the cursor for the next.
+function selectTransactions(rows, filters, { paginate = true } = {}) {
+  const matching = rows.filter(row => matchesFilters(row, filters)).sort(compareRows);
+  if (!paginate) return { rows: matching, next_cursor: null };
+
+  const start = filters.cursor ? matching.filter(row => isAfterCursor(row, filters.cursor)) : matching;
+  const page = start.slice(0, filters.limit);
+  return {
+    rows: page,
+    next_cursor: start.length > filters.limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? value.join(' ') : value === null || value === undefined ? '' : String(value);
+  // Quote anything a spreadsheet could split on, and defuse formula injection
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function transactionsCsv(rows) {
+  const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(row[key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseTransactionFilters, transactionRow, selectTransactions, transactionsCsv };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransactionFilters, transactionRow, selectTransactions, transactionsCsv } = require('./transactions');
+
+const STATUSES = ['pending', 'confirmed', 'rejected', 'expired'];
+const SHOP = 's.myshopify.com';
+
+function row(id, createdAt, overrides = {}) {
+  return {
+    session_id: id,
+    created_at: createdAt,
+    status: 'confirmed',
+    fiat_amount: '15.00',
+    currency: 'USD',
+    asset: 'ethereum:ETH',
+    symbol: 'ETH',
+    chain: 'ethereum',
+    crypto_amount: '0.005',
+    rate: '3000',
+    confirmations: 12,
+    tx_hashes: [],
+    order_name: null,
+    ...overrides,
+  };
+}
+
+const rows = [
+  row('ps_a', '2024-05-01T10:00:00.000Z'),
+  row('ps_b', '2024-05-31T23:00:00.000Z', { status: 'pending', asset: null, chain: null, fiat_amount: '5.00' }),
+  row('ps_c', '2024-06-01T00:00:00.000Z', { asset: 'polygon:USDC', chain: 'polygon', fiat_amount: '120.50' }),
+  row('ps_d', '2024-06-01T00:00:00.000Z', { status: 'expired' }),
+];
+
+function select(query, options) {
+  const { filters, errors } = parseTransactionFilters(query, { statuses: STATUSES });
+  assert.deepStrictEqual(errors, []);
+  return selectTransactions(rows, filters, options);
+}
+
+const ids = result => result.rows.map(selected => selected.session_id);
+
+test('filters by status, asset, chain, dates and fiat amount', () => {
+  assert.deepStrictEqual(ids(select({ status: 'pending,expired' })), ['ps_d', 'ps_b']);
+  assert.deepStrictEqual(ids(select({ asset: 'polygon:USDC' })), ['ps_c']);
+  assert.deepStrictEqual(ids(select({ chain: 'ethereum' })), ['ps_d', 'ps_a']);
+  // A bare end date covers the whole day
+  assert.deepStrictEqual(ids(select({ from: '2024-05-02', to: '2024-05-31' })), ['ps_b']);
+  assert.deepStrictEqual(ids(select({ min_amount: '10', max_amount: '100' })), ['ps_d', 'ps_a']);
+});
+
+test('reports every invalid filter', () => {
+  const { errors } = parseTransactionFilters({
+    status: 'confirmed,paid', asset: 'ethereum:NOPE', chain: 'dogecoin', from: 'yesterday', min_amount: '-1', limit: '500', cursor: 'xx',
+  }, { statuses: STATUSES });
+  assert.deepStrictEqual(errors.map(error => error.field), ['status', 'asset', 'chain', 'from', 'min_amount', 'limit', 'cursor']);
+  assert.match(errors[0].message, /paid/);
+});
+
+test('pages newest first without overlap on equal timestamps', () => {
+  const first = select({ limit: '2' });
+  assert.deepStrictEqual(ids(first), ['ps_d', 'ps_c']);
+  const second = select({ limit: '2', cursor: first.next_cursor });
+  assert.deepStrictEqual(ids(second), ['ps_b', 'ps_a']);
+  assert.strictEqual(second.next_cursor, null);
+  // The CSV export takes every row
+  assert.strictEqual(select({ limit: '1' }, { paginate: false }).rows.length, 4);
+});
+
+test('a session becomes a row with its transfers and order links', () => {
+  const paid = transactionRow(SHOP, {
+    id: 'ps_1',
+    created_at: '2024-06-01T00:00:00.000Z',
+    status: 'confirmed',
+    amount: '15.00',
+    currency: 'USD',
+    order_id: 'gid://shopify/Order/42',
+    order_name: '#1042',
+    quote: { assets: { 'ethereum:ETH': { rate: '3000' } } },
+    payment: { asset: 'ethereum:ETH', chain: 'ethereum', amount: '0.005', confirmations: 3, transfers: [{ transaction_id: '0xabc' }] },
+  });
+  assert.strictEqual(paid.rate, '3000');
+  assert.deepStrictEqual(paid.tx_hashes, ['0xabc']);
+  assert.deepStrictEqual(paid.explorer_urls, ['https://etherscan.io/tx/0xabc']);
+  assert.strictEqual(paid.order_url, `https://${SHOP}/admin/orders/42`);
+
+  const unpaid = transactionRow(SHOP, { id: 'ps_2', created_at: '2024-06-01T00:00:00.000Z', status: 'pending', draft_order_id: 'gid://shopify/DraftOrder/7' });
+  assert.strictEqual(unpaid.crypto_amount, null);
+  assert.deepStrictEqual(unpaid.tx_hashes, []);
+  assert.strictEqual(unpaid.order_url, `https://${SHOP}/admin/draft_orders/7`);
+});
+
+test('CSV cells are quoted and formulas defused', () => {
+  const csv = transactionsCsv([
+    row('ps_1', '2024-06-01T00:00:00.000Z', { order_name: 'Order, "special"', tx_hashes: ['0xa', '0xb'] }),
+    row('ps_2', '2024-06-01T00:00:00.000Z', { order_name: '=HYPERLINK("http://evil")', confirmations: null }),
+    row('ps_3', '2024-06-01T00:00:00.000Z', { order_name: 'line\nbreak' }),
+  ]);
+  const lines = csv.split('\r\n');
+  assert.strictEqual(lines[0], 'Date,Session,Order,Status,Fiat amount,Currency,Crypto amount,Asset,Chain,Rate,Transaction hashes,Confirmations');
+  assert.strictEqual(lines[1], '2024-06-01T00:00:00.000Z,ps_1,"Order, ""special""",confirmed,15.00,USD,0.005,ETH,ethereum,3000,0xa 0xb,12');
+  assert.strictEqual(lines[2], '2024-06-01T00:00:00.000Z,ps_2,"\'=HYPERLINK(""http://evil"")",confirmed,15.00,USD,0.005,ETH,ethereum,3000,,');
+  // Rows end in CRLF, so a bare newline inside a quoted cell stays in its row
+  assert.match(lines[3], /^2024-06-01T00:00:00\.000Z,ps_3,"line\nbreak",confirmed,/);
+  assert.strictEqual(lines[lines.length - 1], '');
+});
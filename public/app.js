@@ -2,9 +2,10 @@
 (function () {
     const urlParams = new URLSearchParams(window.location.search);
     const shop = urlParams.get('shop');
+    const host = urlParams.get('host');
   
-    if (!shop) {
-      console.error('Missing shop param in URL');
+    if (!shop || !host) {
+      console.error('Missing shop or host param in URL');
       return;
     }
   
@@ -16,40 +17,705 @@
     // Get App Bridge from global (loaded via CDN)
     const AppBridge = window['app-bridge'];
     const createApp = AppBridge.createApp;
+    const getSessionToken = AppBridge.utilities.getSessionToken;
   
     const app = createApp({
       apiKey: window.SHOPIFY_API_KEY,
-      shopOrigin: shop,
+      host: host,
       forceRedirect: true,
     });
+
+    // Every admin API call carries a fresh App Bridge session token; the
+    // server derives the shop from it.
+    async function authenticatedFetch(url, options = {}) {
+      const token = await getSessionToken(app);
+      return fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` },
+      });
+    }
   
     // Handle button click
     const activateBtn = document.getElementById('activate-btn');
+    const deactivateBtn = document.getElementById('deactivate-btn');
     const statusDiv = document.getElementById('activation-status');
+    const methodStatus = document.getElementById('payment-method-status');
+
+    // Messages can carry server or network error text, so they are set as text
+    function showStatus(message, className) {
+      const paragraph = document.createElement('p');
+      if (className) paragraph.className = className;
+      paragraph.textContent = message;
+      statusDiv.replaceChildren(paragraph);
+    }
+
+    // Shows the script tag state as Shopify reports it, not what we last stored
+    async function loadPaymentMethodStatus() {
+      try {
+        const response = await authenticatedFetch('/payment-method-status');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error);
+
+        if (data.active) {
+          const since = data.activated_at ? ` since ${new Date(data.activated_at).toLocaleString()}` : '';
+          methodStatus.textContent = `🟢 Active${since} (script tag ${data.script_tag.id.split('/').pop()})`;
+        } else {
+          methodStatus.textContent = '⚪ Not active: the crypto button is not shown in your store';
+        }
+        if (data.script_tag && data.script_tag.src !== data.expected_src) {
+          methodStatus.textContent += ' · script tag points at an old URL, activate again to fix it';
+        }
+        activateBtn.textContent = data.active ? 'Re-check Installation' : 'Activate Crypto Payment Method';
+        deactivateBtn.hidden = !data.active;
+      } catch (err) {
+        methodStatus.textContent = `Could not load status: ${err.message}`;
+      }
+    }
+
+    if (deactivateBtn) {
+      deactivateBtn.addEventListener('click', async () => {
+        showStatus('Deactivating...');
+        try {
+          const response = await authenticatedFetch('/deactivate-payment-method', { method: 'POST' });
+          const data = await response.json();
+          if (data.success) showStatus('Crypto payment method deactivated.', 'success');
+          else showStatus(`❌ Failed: ${data.error || 'Unknown'}`, 'error');
+        } catch (err) {
+          showStatus(`❌ Error: ${err.message}`, 'error');
+        }
+        loadPaymentMethodStatus();
+      });
+    }
   
     if (activateBtn) {
       activateBtn.addEventListener('click', async () => {
-        statusDiv.innerHTML = '<p>Activating...</p>';
+        showStatus('Activating...');
         try {
-          const response = await fetch('/activate-payment-method', {
+          const response = await authenticatedFetch('/activate-payment-method', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ shop }),
           });
   
           const data = await response.json();
           if (data.success) {
-            statusDiv.innerHTML =
-              '<p class="success">✅ Crypto payment method activated!</p>';
+            showStatus('✅ Crypto payment method activated!', 'success');
+            loadPaymentMethodStatus();
           } else {
-            statusDiv.innerHTML = `<p style="color:red;">❌ Failed: ${
-              data.error || 'Unknown'
-            }</p>`;
+            showStatus(`❌ Failed: ${data.error || 'Unknown'}`, 'error');
+          }
+        } catch (err) {
+          showStatus(`❌ Error: ${err.message}`, 'error');
+        }
+      });
+    }
+
+    loadPaymentMethodStatus();
+
+    // Lists the webhook subscriptions Shopify has for the shop; loading it
+    // also re-registers any that went missing
+    const subscriptionStatus = document.getElementById('webhook-subscriptions');
+
+    async function loadWebhookSubscriptions() {
+      try {
+        const response = await authenticatedFetch('/webhook-subscriptions');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.details || data.error);
+
+        const list = document.createElement('ul');
+        data.expected.forEach((expected) => {
+          const live = data.subscriptions.find((s) => s.topic === expected.topic && s.callback_url === expected.callback_url);
+          const item = document.createElement('li');
+          item.textContent = `${live ? '🟢' : '🔴'} ${expected.topic} → ${expected.callback_url}`;
+          list.appendChild(item);
+        });
+        const { created, updated, removed } = data.repaired;
+        const fixed = created.length + updated.length + removed;
+        subscriptionStatus.replaceChildren(list);
+        if (fixed > 0) subscriptionStatus.append(`Repaired ${fixed} subscription${fixed === 1 ? '' : 's'} just now.`);
+      } catch (err) {
+        subscriptionStatus.textContent = `Could not check webhook subscriptions: ${err.message}`;
+      }
+    }
+
+    if (subscriptionStatus) loadWebhookSubscriptions();
+
+    // Transactions
+    const filterForm = document.getElementById('transaction-filters');
+    const transactionRows = document.getElementById('transaction-rows');
+    const transactionsStatus = document.getElementById('transactions-status');
+    const moreTransactionsBtn = document.getElementById('more-transactions-btn');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    let nextCursor = null;
+
+    function transactionQuery(extra = {}) {
+      const params = new URLSearchParams();
+      Array.from(filterForm.elements).forEach((input) => {
+        if (input.name && input.value.trim()) params.set(input.name, input.value.trim());
+      });
+      Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+      return params.toString();
+    }
+
+    function showFilterErrors(data) {
+      const details = (data.errors || []).map((e) => `${e.field}: ${e.message}`).join('; ');
+      transactionsStatus.textContent = `❌ ${data.error}${details ? ` (${details})` : ''}`;
+      transactionsStatus.className = 'error';
+    }
+
+    function link(text, href) {
+      const anchor = document.createElement('a');
+      anchor.textContent = text;
+      anchor.href = href;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener';
+      return anchor;
+    }
+
+    function renderTransaction(row) {
+      const tr = document.createElement('tr');
+      const cells = [
+        new Date(row.created_at).toLocaleString(),
+        row.order_url ? link(row.order_name || 'Order', row.order_url) : (row.order_name || '—'),
+        row.status.replace(/_/g, ' ') + (row.test_mode ? ' (test)' : ''),
+        `${row.fiat_amount} ${row.currency}`,
+        row.crypto_amount ? `${row.crypto_amount} ${row.symbol}` : '—',
+      ];
+      cells.forEach((content) => {
+        const td = document.createElement('td');
+        td.append(content);
+        tr.appendChild(td);
+      });
+      const txCell = document.createElement('td');
+      row.tx_hashes.forEach((hash, index) => {
+        const label = `${hash.slice(0, 10)}…`;
+        txCell.append(row.explorer_urls[index] ? link(label, row.explorer_urls[index]) : label, ' ');
+      });
+      tr.appendChild(txCell);
+      transactionRows.appendChild(tr);
+    }
+
+    async function loadTransactions(append) {
+      const response = await authenticatedFetch(`/transactions?${transactionQuery(append && nextCursor ? { cursor: nextCursor } : {})}`);
+      const data = await response.json();
+      if (!response.ok) return showFilterErrors(data);
+      if (!append) transactionRows.replaceChildren();
+      data.transactions.forEach(renderTransaction);
+      nextCursor = data.next_cursor;
+      moreTransactionsBtn.hidden = !nextCursor;
+      transactionsStatus.textContent = transactionRows.children.length ? '' : 'No transactions match these filters.';
+      transactionsStatus.className = '';
+    }
+
+    // The export needs the session token header, so it is fetched and saved
+    // from a blob rather than opened as a plain link
+    async function exportTransactions() {
+      const response = await authenticatedFetch(`/transactions.csv?${transactionQuery()}`);
+      if (!response.ok) return showFilterErrors(await response.json());
+      const url = URL.createObjectURL(await response.blob());
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = `crypto-transactions-${new Date().toISOString().slice(0, 10)}.csv`;
+      anchor.click();
+      URL.revokeObjectURL(url);
+    }
+
+    if (filterForm) {
+      filterForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadTransactions(false);
+      });
+      moreTransactionsBtn.addEventListener('click', () => loadTransactions(true));
+      exportCsvBtn.addEventListener('click', exportTransactions);
+      loadTransactions(false).catch((err) => {
+        transactionsStatus.textContent = `❌ Could not load transactions: ${err.message}`;
+        transactionsStatus.className = 'error';
+      });
+    }
+
+    // Reconciliation
+    const reconciliationForm = document.getElementById('reconciliation-form');
+    const reconciliationStatus = document.getElementById('reconciliation-status');
+    const flagList = document.getElementById('reconciliation-flags');
+    const RECONCILIATION_POLL_MS = 2000;
+
+    function showReconciliationMessage(text, isError) {
+      reconciliationStatus.textContent = text;
+      reconciliationStatus.className = isError ? 'error' : '';
+    }
+
+    function renderReport(report) {
+      flagList.replaceChildren();
+      const period = `${report.from.slice(0, 10)} to ${report.to.slice(0, 10)}`;
+      if (report.status === 'running') return showReconciliationMessage(`Reconciling ${period}…`);
+      if (report.status === 'failed') return showReconciliationMessage(`❌ Reconciliation of ${period} failed: ${report.error}`, true);
+
+      const { orders_checked: orders, payments_checked: payments } = report.summary;
+      const open = report.flags.filter((flag) => flag.status === 'open').length;
+      showReconciliationMessage(`${period}: ${orders} orders and ${payments} payments checked, ${open} open of ${report.flags.length} flags.`);
+      report.flags.forEach((flag) => {
+        const item = document.createElement('li');
+        const subject = [flag.order_name, flag.session_id].filter(Boolean).join(' · ');
+        item.textContent = `${subject}: ${flag.message} `;
+        if (flag.status !== 'open') {
+          item.append(`(${flag.status}${flag.resolution.note ? `: ${flag.resolution.note}` : ''})`);
+        } else {
+          flag.actions.forEach((action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'link-button';
+            button.textContent = action === 'resync' ? 'Resync with Shopify' : 'Dismiss';
+            button.addEventListener('click', () => resolveFlag(report.id, flag.id, action));
+            item.append(button, ' ');
+          });
+        }
+        flagList.appendChild(item);
+      });
+    }
+
+    async function loadReport(reportId) {
+      const response = await authenticatedFetch(`/reconciliation/${encodeURIComponent(reportId)}`);
+      const { report } = await response.json();
+      renderReport(report);
+      if (report.status === 'running') setTimeout(() => loadReport(reportId), RECONCILIATION_POLL_MS);
+    }
+
+    async function resolveFlag(reportId, flagId, action) {
+      const note = action === 'dismiss' ? window.prompt('Note for the record (optional)') : null;
+      if (note === null && action === 'dismiss') return;
+      const response = await authenticatedFetch(`/reconciliation/${encodeURIComponent(reportId)}/flags/${encodeURIComponent(flagId)}/resolve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, note }),
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        return showReconciliationMessage(`❌ ${data.message || data.error}`, true);
+      }
+      await loadReport(reportId);
+    }
+
+    if (reconciliationForm) {
+      reconciliationForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const response = await authenticatedFetch('/reconciliation', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ from: reconciliationForm.elements.from.value, to: reconciliationForm.elements.to.value }),
+        });
+        const data = await response.json();
+        if (!response.ok) return showReconciliationMessage(`❌ ${data.message || data.error}`, true);
+        renderReport(data.report);
+        setTimeout(() => loadReport(data.report.id), RECONCILIATION_POLL_MS);
+      });
+
+      // Show the latest report on load
+      authenticatedFetch('/reconciliation')
+        .then((response) => response.json())
+        .then(({ reports }) => { if (reports.length) loadReport(reports[0].id); })
+        .catch((err) => showReconciliationMessage(`❌ Could not load reports: ${err.message}`, true));
+    }
+
+    // Refunds
+    const refundFilters = document.getElementById('refund-filters');
+    const refundRows = document.getElementById('refund-rows');
+    const refundsStatus = document.getElementById('refunds-status');
+    const REFUND_REASONS = { shopify: 'Shopify refund', overpayment: 'Overpayment', underpayment: 'Refused underpayment' };
+
+    function showRefundsMessage(text, isError) {
+      refundsStatus.textContent = text;
+      refundsStatus.className = isError ? 'error' : '';
+    }
+
+    function refundButton(text, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'link-button';
+      button.textContent = text;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+
+    function renderRefund(refund) {
+      const row = document.createElement('tr');
+      const fiat = refund.fiat_amount ? ` (${refund.fiat_amount} ${refund.currency})` : '';
+      const destination = refund.refund_address
+        || (refund.suggested_address ? `paid from ${refund.suggested_address}` : '—');
+      [
+        new Date(refund.created_at).toLocaleString(),
+        refund.order_name || refund.session_id,
+        REFUND_REASONS[refund.source] || refund.source,
+        `${refund.amount} ${refund.asset.split(':')[1]}${fiat}${refund.capped ? ', capped at what was paid' : ''}`,
+        destination,
+        refund.status.replace(/_/g, ' ') + (refund.last_error ? ` (${refund.last_error})` : ''),
+      ].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actions = document.createElement('td');
+      if (refund.status === 'awaiting_address' || refund.status === 'ready') {
+        const label = refund.refund_address ? 'Change address' : 'Set address';
+        actions.append(refundButton(label, () => setRefundAddress(refund)), ' ');
+      }
+      if (refund.status === 'ready' || refund.status === 'sent') {
+        const label = refund.transaction_id ? 'Check again' : 'Attach transaction';
+        actions.append(refundButton(label, () => attachRefundTransaction(refund)), ' ');
+      }
+      if (refund.status !== 'completed' && refund.status !== 'cancelled') {
+        actions.append(refundButton('Cancel', () => cancelRefund(refund)));
+      }
+      row.appendChild(actions);
+      refundRows.appendChild(row);
+    }
+
+    async function loadRefunds() {
+      const status = refundFilters.elements.status.value;
+      const response = await authenticatedFetch(`/refunds${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+      const { refunds } = await response.json();
+      refundRows.replaceChildren();
+      refunds.forEach(renderRefund);
+      showRefundsMessage(refunds.length ? '' : 'No refunds.');
+    }
+
+    async function refundAction(refund, action, body) {
+      const path = `/payments/sessions/${encodeURIComponent(refund.session_id)}/refunds/${encodeURIComponent(refund.id)}/${action}`;
+      const response = await authenticatedFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      await loadRefunds();
+      if (!response.ok) showRefundsMessage(`❌ ${data.message || data.error}`, true);
+    }
+
+    function setRefundAddress(refund) {
+      const address = window.prompt('Address to send the refund to', refund.refund_address || refund.suggested_address || '');
+      if (address) refundAction(refund, 'address', { address: address.trim() });
+    }
+
+    function attachRefundTransaction(refund) {
+      const transactionId = refund.transaction_id || window.prompt(`Hash of the transaction sending ${refund.amount} to ${refund.refund_address}`);
+      if (transactionId) refundAction(refund, 'transaction', { transaction_id: transactionId.trim() });
+    }
+
+    function cancelRefund(refund) {
+      const note = window.prompt('Why is this refund cancelled? (optional)');
+      if (note !== null) refundAction(refund, 'cancel', { note: note.trim() || undefined });
+    }
+
+    if (refundFilters) {
+      refundFilters.elements.status.addEventListener('change', () => loadRefunds());
+      loadRefunds().catch((err) => showRefundsMessage(`❌ Could not load refunds: ${err.message}`, true));
+    }
+
+    // Privacy requests
+    const exportRows = document.getElementById('data-exports');
+    const auditList = document.getElementById('audit-log');
+
+    async function downloadExport(record) {
+      const response = await authenticatedFetch(`/data-exports/${encodeURIComponent(record.id)}/download`);
+      if (!response.ok) return loadPrivacyRequests();
+      const url = URL.createObjectURL(await response.blob());
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = `customer-data-${record.customer_id || record.id}.json`;
+      anchor.click();
+      URL.revokeObjectURL(url);
+      await loadPrivacyRequests();
+    }
+
+    async function loadPrivacyRequests() {
+      const [exportsResponse, auditResponse] = await Promise.all([
+        authenticatedFetch('/data-exports'),
+        authenticatedFetch('/audit-log'),
+      ]);
+      const { exports } = await exportsResponse.json();
+      const { entries } = await auditResponse.json();
+
+      exportRows.replaceChildren();
+      exports.forEach((record) => {
+        const row = document.createElement('tr');
+        [
+          new Date(record.created_at).toLocaleString(),
+          record.customer_id ? String(record.customer_id) : 'unknown',
+          String(record.session_ids.length),
+          record.expired ? 'expired' : new Date(record.expires_at).toLocaleDateString(),
+        ].forEach((text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        const actions = document.createElement('td');
+        if (!record.expired) {
+          const download = document.createElement('button');
+          download.type = 'button';
+          download.className = 'link-button';
+          download.textContent = record.downloaded_at ? 'Download again' : 'Download';
+          download.addEventListener('click', () => downloadExport(record));
+          actions.appendChild(download);
+        }
+        row.appendChild(actions);
+        exportRows.appendChild(row);
+      });
+
+      auditList.replaceChildren();
+      entries.forEach((entry) => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(entry.created_at).toLocaleString()} · ${entry.action.replace(/_/g, ' ')} (${entry.actor})`;
+        auditList.appendChild(item);
+      });
+    }
+
+    if (exportRows) {
+      loadPrivacyRequests().catch((err) => console.error('Could not load privacy requests:', err));
+    }
+
+    // Payment settings
+    const settingsForm = document.getElementById('settings-form');
+    const settingsStatus = document.getElementById('settings-status');
+    const walletFields = document.getElementById('wallet-fields');
+    const assetFields = document.getElementById('asset-fields');
+    const versionList = document.getElementById('settings-versions');
+    const xpubStatus = document.getElementById('xpub-status');
+    const endpointFields = document.getElementById('webhook-endpoints');
+    const webhookSecret = document.getElementById('webhook-secret');
+    const rotateSecretBtn = document.getElementById('rotate-secret-btn');
+    const deliveryRows = document.getElementById('webhook-deliveries');
+
+    function showSettingsMessage(text, isError) {
+      settingsStatus.textContent = text;
+      settingsStatus.className = isError ? 'error' : 'success';
+    }
+
+    // One block per saved endpoint plus an empty one for adding another
+    function renderWebhookEndpoints(endpoints, events) {
+      endpointFields.replaceChildren();
+      [...endpoints, { url: '', events: [] }].forEach((endpoint, index) => {
+        const block = document.createElement('div');
+        block.className = 'webhook-endpoint';
+        const urlLabel = document.createElement('label');
+        urlLabel.className = 'field';
+        urlLabel.textContent = index < endpoints.length ? 'Endpoint URL ' : 'New endpoint URL ';
+        const urlInput = document.createElement('input');
+        urlInput.name = `webhook_endpoints.${index}.url`;
+        urlInput.placeholder = 'https://…';
+        urlInput.value = endpoint.url;
+        urlLabel.appendChild(urlInput);
+        block.appendChild(urlLabel);
+
+        events.forEach((eventType) => {
+          const eventLabel = document.createElement('label');
+          eventLabel.className = 'checkbox';
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.name = `webhook_endpoints.${index}.events`;
+          checkbox.value = eventType;
+          checkbox.checked = endpoint.events.includes(eventType);
+          eventLabel.append(checkbox, ` ${eventType}`);
+          block.appendChild(eventLabel);
+        });
+        endpointFields.appendChild(block);
+      });
+    }
+
+    function showWebhookSecret(secret) {
+      webhookSecret.textContent = secret || 'none yet, add an endpoint first';
+      rotateSecretBtn.hidden = !secret;
+    }
+
+    function renderSettings(data) {
+      const { settings, chains } = data;
+      walletFields.replaceChildren();
+      assetFields.replaceChildren();
+
+      chains.forEach((chain) => {
+        const walletLabel = document.createElement('label');
+        walletLabel.className = 'field';
+        walletLabel.textContent = `${chain.name} `;
+        const walletInput = document.createElement('input');
+        walletInput.name = `wallets.${chain.key}`;
+        walletInput.placeholder = '0x…';
+        walletInput.value = settings.wallets[chain.key] || '';
+        walletLabel.appendChild(walletInput);
+        walletFields.appendChild(walletLabel);
+
+        chain.assets.forEach((assetId) => {
+          const assetLabel = document.createElement('label');
+          assetLabel.className = 'checkbox';
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.name = 'accepted_assets';
+          checkbox.value = assetId;
+          checkbox.checked = settings.accepted_assets.includes(assetId);
+          assetLabel.append(checkbox, ` ${assetId.split(':')[1]} on ${chain.name}`);
+          assetFields.appendChild(assetLabel);
+        });
+      });
+
+      settingsForm.elements.xpub.value = settings.xpub || '';
+      const deposits = data.deposit_addresses;
+      settingsForm.elements.address_gap_limit.value = settings.address_gap_limit || '';
+      settingsForm.elements.address_gap_limit.placeholder = String(deposits ? deposits.gap_limit : '');
+      xpubStatus.className = deposits && deposits.at_gap_limit ? 'error' : '';
+      xpubStatus.textContent = !deposits ? '' : deposits.at_gap_limit
+        ? `The last ${deposits.unpaid_streak} derived addresses are unpaid, so new crypto checkouts are refused. Raise your wallet's address gap limit, then the one above to match.`
+        : `${deposits.next_index} addresses derived so far.`;
+      settingsForm.elements.min_order_amount.value = settings.min_order_amount || '';
+      settingsForm.elements.max_order_amount.value = settings.max_order_amount || '';
+      settingsForm.elements.underpayment_tolerance_percent.value = settings.underpayment_tolerance_percent;
+      settingsForm.elements.overpayment_policy.value = settings.overpayment_policy;
+      settingsForm.elements.refund_rate_policy.value = settings.refund_rate_policy;
+      settingsForm.elements['button.label'].value = settings.button.label;
+      settingsForm.elements['button.background_color'].value = settings.button.background_color;
+      settingsForm.elements['button.text_color'].value = settings.button.text_color;
+      settingsForm.elements.redirect_base_url.value = settings.redirect_base_url || '';
+      settingsForm.querySelectorAll('input[name="enabled_pages"]').forEach((checkbox) => {
+        checkbox.checked = settings.enabled_pages.includes(checkbox.value);
+      });
+      settingsForm.elements['placement.cart_selector'].value = settings.placement.cart_selector;
+      settingsForm.elements['placement.product_selector'].value = settings.placement.product_selector;
+      renderWebhookEndpoints(settings.webhook_endpoints, data.webhook_events);
+      showWebhookSecret(data.webhook_secret);
+    }
+
+    function readSettingsForm() {
+      const settings = { wallets: {}, accepted_assets: [], button: {}, enabled_pages: [], placement: {} };
+      const endpoints = [];
+      Array.from(settingsForm.elements).forEach((input) => {
+        if (!input.name) return;
+        if (input.name === 'accepted_assets' || input.name === 'enabled_pages') {
+          if (input.checked) settings[input.name].push(input.value);
+        } else if (input.name.startsWith('webhook_endpoints.')) {
+          const [, index, key] = input.name.split('.');
+          endpoints[index] = endpoints[index] || { url: '', events: [] };
+          if (key === 'url') endpoints[index].url = input.value.trim();
+          else if (input.checked) endpoints[index].events.push(input.value);
+        } else if (input.name.startsWith('placement.')) {
+          settings.placement[input.name.slice('placement.'.length)] = input.value.trim();
+        } else if (input.name.startsWith('wallets.')) {
+          settings.wallets[input.name.slice('wallets.'.length)] = input.value.trim();
+        } else if (input.name.startsWith('button.')) {
+          settings.button[input.name.slice('button.'.length)] = input.value;
+        } else {
+          settings[input.name] = input.value.trim();
+        }
+      });
+      settings.webhook_endpoints = endpoints.filter((endpoint) => endpoint.url);
+      return settings;
+    }
+
+    async function loadDeliveries() {
+      const response = await authenticatedFetch('/merchant-webhooks/deliveries');
+      const { deliveries } = await response.json();
+      deliveryRows.replaceChildren();
+      deliveries.forEach((delivery) => {
+        const row = document.createElement('tr');
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        const outcome = last ? (last.status_code ? ` (HTTP ${last.status_code})` : ` (${last.error})`) : '';
+        const retry = delivery.status === 'pending' && delivery.next_attempt_at
+          ? `, next try ${new Date(delivery.next_attempt_at).toLocaleTimeString()}` : '';
+        [
+          new Date(delivery.created_at).toLocaleString(),
+          delivery.event,
+          delivery.url,
+          `${delivery.status}${outcome}${retry}`,
+          String(delivery.attempts.length),
+        ].forEach((text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        const actions = document.createElement('td');
+        const redeliver = document.createElement('button');
+        redeliver.type = 'button';
+        redeliver.className = 'link-button';
+        redeliver.textContent = 'Redeliver';
+        redeliver.addEventListener('click', () => redeliverWebhook(delivery.id));
+        actions.appendChild(redeliver);
+        row.appendChild(actions);
+        deliveryRows.appendChild(row);
+      });
+    }
+
+    async function redeliverWebhook(deliveryId) {
+      await authenticatedFetch(`/merchant-webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`, { method: 'POST' });
+      // Give the first attempt a moment before showing the log again
+      setTimeout(loadDeliveries, 1000);
+    }
+
+    if (rotateSecretBtn) {
+      rotateSecretBtn.addEventListener('click', async () => {
+        if (!window.confirm('Your systems must switch to the new secret to keep verifying webhooks. Rotate it?')) return;
+        const response = await authenticatedFetch('/merchant-webhooks/secret', { method: 'POST' });
+        const data = await response.json();
+        if (response.ok) showWebhookSecret(data.webhook_secret);
+      });
+    }
+
+    async function loadVersions() {
+      const response = await authenticatedFetch('/merchant-settings/versions');
+      const { versions } = await response.json();
+      versionList.replaceChildren();
+      versions.forEach((entry, index) => {
+        const item = document.createElement('li');
+        const when = new Date(entry.created_at).toLocaleString();
+        const note = entry.rolled_back_from ? ` (rollback to v${entry.rolled_back_from})` : '';
+        item.textContent = `v${entry.version} · ${when}${note} `;
+        if (index > 0) {
+          const rollback = document.createElement('button');
+          rollback.type = 'button';
+          rollback.className = 'link-button';
+          rollback.textContent = 'Restore';
+          rollback.addEventListener('click', () => rollbackSettings(entry.version));
+          item.appendChild(rollback);
+        }
+        versionList.appendChild(item);
+      });
+    }
+
+    async function loadSettings() {
+      const response = await authenticatedFetch('/merchant-settings');
+      renderSettings(await response.json());
+      await Promise.all([loadVersions(), loadDeliveries()]);
+    }
+
+    async function rollbackSettings(version) {
+      const response = await authenticatedFetch('/merchant-settings/rollback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version }),
+      });
+      const data = await response.json();
+      if (!response.ok) return showSettingsMessage(`❌ ${data.error}`, true);
+      showSettingsMessage(`✅ Restored settings from v${version}`);
+      await loadSettings();
+    }
+
+    if (settingsForm) {
+      settingsForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showSettingsMessage('Saving...');
+        try {
+          const response = await authenticatedFetch('/merchant-settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(readSettingsForm()),
+          });
+          const data = await response.json();
+          if (!response.ok) {
+            const details = (data.errors || []).map((e) => `${e.field}: ${e.message}`).join('; ');
+            return showSettingsMessage(`❌ ${data.error}${details ? ` (${details})` : ''}`, true);
           }
+          showSettingsMessage(`✅ Settings saved (v${data.version})`);
+          await loadSettings();
         } catch (err) {
-          statusDiv.innerHTML = `<p style="color:red;">❌ Error: ${err.message}</p>`;
+          showSettingsMessage(`❌ Error: ${err.message}`, true);
         }
       });
+
+      loadSettings().catch((err) => showSettingsMessage(`❌ Could not load settings: ${err.message}`, true));
     }
   })();
   
\ No newline at end of file
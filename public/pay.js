@@ -0,0 +1,141 @@
+//public/pay.js
+(function () {
+    const sessionId = document.body.dataset.sessionId;
+    const returnUrl = document.body.dataset.returnUrl;
+    const renderedStatus = document.body.dataset.status;
+    const statusEl = document.getElementById('pay-status');
+    const countdown = document.getElementById('quote-countdown');
+    const requoteBtn = document.getElementById('requote-btn');
+    const options = document.getElementById('pay-options');
+    const txForm = document.getElementById('tx-form');
+
+    const PAID = ['confirmed', 'overpaid'];
+    const FINAL = ['confirmed', 'overpaid', 'rejected', 'expired', 'underpaid'];
+    const POLL_MS = 5000;
+
+    function finish() {
+      statusEl.textContent = 'Payment complete';
+      statusEl.className = 'pay-status success';
+      if (returnUrl) {
+        statusEl.textContent += '. Taking you back to the store…';
+        setTimeout(() => { window.location.href = returnUrl; }, 3000);
+      }
+    }
+
+    // Quote countdown. Once it runs out the locked amounts are no longer
+    // valid, so they are hidden until the buyer asks for a new quote.
+    if (countdown) {
+      const expiresAt = new Date(countdown.dataset.expiresAt).getTime();
+      const tick = () => {
+        const left = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+        if (left === 0) {
+          countdown.textContent = 'This quote has expired.';
+          options.hidden = true;
+          if (txForm) txForm.hidden = true;
+          if (requoteBtn) requoteBtn.hidden = false;
+          clearInterval(timer);
+          return;
+        }
+        const minutes = Math.floor(left / 60);
+        const seconds = String(left % 60).padStart(2, '0');
+        countdown.textContent = `Amounts locked for ${minutes}:${seconds}`;
+      };
+      const timer = setInterval(tick, 1000);
+      tick();
+    }
+
+    if (requoteBtn) {
+      requoteBtn.addEventListener('click', async () => {
+        requoteBtn.disabled = true;
+        const response = await fetch(`/payments/sessions/${encodeURIComponent(sessionId)}/quote`, { method: 'POST' });
+        if (response.ok) return window.location.reload();
+        const data = await response.json().catch(() => ({}));
+        statusEl.textContent = data.message || 'Could not get a new quote, please try again.';
+        statusEl.className = 'pay-status error';
+        requoteBtn.disabled = false;
+      });
+    }
+
+    document.querySelectorAll('[data-copy]').forEach((button) => {
+      button.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(button.dataset.copy);
+        const label = button.textContent;
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = label; }, 1500);
+      });
+    });
+
+    if (txForm) {
+      const message = document.getElementById('tx-message');
+      txForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        message.textContent = 'Checking the transaction…';
+        message.className = '';
+        const response = await fetch('/payments/confirm', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            session_id: sessionId,
+            asset: txForm.elements.asset.value,
+            transaction_id: txForm.elements.transaction_id.value.trim(),
+          }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (data.data && data.data.status !== renderedStatus) return window.location.reload();
+        message.textContent = data.message || data.error || 'Could not check the transaction.';
+        message.className = response.ok ? 'success' : 'error';
+      });
+    }
+
+    // Returns true once there is nothing more to watch for
+    function showSession(session) {
+      if (PAID.includes(session.status)) {
+        finish();
+        return true;
+      }
+      if (session.status !== renderedStatus) {
+        window.location.reload();
+        return true;
+      }
+      return false;
+    }
+
+    // Live status: re-render when the session moves on, e.g. a watcher saw
+    // the payment arrive. Browsers without EventSource fall back to polling.
+    function watch() {
+      const url = `/payments/sessions/${encodeURIComponent(sessionId)}/events`;
+      const events = new EventSource(url);
+      const read = (handler) => (event) => handler(JSON.parse(event.data).session);
+
+      const onStatus = read((session) => { if (showSession(session)) events.close(); });
+
+      events.addEventListener('snapshot', onStatus);
+      events.addEventListener('status', onStatus);
+      // More money arrived or the amounts were re-quoted: the page is stale
+      events.addEventListener('payment', () => window.location.reload());
+      events.addEventListener('quote', () => window.location.reload());
+      events.addEventListener('confirmations', read((session) => {
+        const { confirmations, required_confirmations: required } = session.payment;
+        if (session.status === 'awaiting_confirmations') {
+          statusEl.textContent = `Payment received, ${confirmations} of ${required} confirmations`;
+        }
+      }));
+    }
+
+    async function poll() {
+      try {
+        const response = await fetch(`/payments/sessions/${encodeURIComponent(sessionId)}`);
+        if (response.ok && showSession(await response.json())) return;
+      } catch (err) {
+        console.error('CryptoCadet: status check failed', err);
+      }
+      setTimeout(poll, POLL_MS);
+    }
+
+    if (PAID.includes(renderedStatus)) {
+      finish();
+    } else if (!FINAL.includes(renderedStatus)) {
+      if (window.EventSource) watch();
+      else setTimeout(poll, POLL_MS);
+    }
+})();
@@ -0,0 +1,35 @@
+// Applies the data retention policy (lib/retention.js) to every shop once.
+// The server already does this daily; this is for a dry run, or for a run
+// while the server is down.
+//
+//   npm run data:retention              apply the policy
+//   npm run data:retention -- --dry-run report what would change
+//
+// With the file storage adapter it refuses to run while the server is up,
+// which would overwrite its changes.
+
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { getStorage } = require('../lib/storage');
+const { applyRetention } = require('../lib/retention');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const storage = getStorage();
+  storage.acquireLock('data:retention');
+
+  const { shops, sessionRetentionDays } = await applyRetention(storage, { dryRun });
+  for (const [shop, details] of shops) {
+    console.log(`  ${shop}: ${details.data_exports_deleted} exports deleted, ${details.sessions_redacted} sessions and ${details.webhook_deliveries_redacted} webhook deliveries redacted, ${details.transaction_records_unlinked} transaction records unlinked`);
+  }
+  console.log(`${dryRun ? 'Dry run: ' : ''}retention applied to ${shops.size} shops${sessionRetentionDays ? '' : ' (SESSION_RETENTION_DAYS not set, sessions kept)'}`);
+  await storage.close();
+}
+
+main().catch(error => {
+  console.error('Retention failed:', error.message);
+  process.exit(1);
+});
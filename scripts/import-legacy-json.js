@@ -0,0 +1,78 @@
+// Imports the JSON files the server used to keep in the app directory
+// (merchant-configs.json, shop-tokens.json, payment-sessions.json,
+// webhook-receipts.json) into the configured storage adapter.
+//
+//   npm run storage:import -- [source-dir] [--overwrite]
+//
+// Records that already exist in storage are kept unless --overwrite is given.
+
+const fs = require('fs').promises;
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { getStorage } = require('../lib/storage');
+
+const LEGACY_FILES = [
+  { file: 'merchant-configs.json', collection: 'merchant_configs' },
+  { file: 'shop-tokens.json', collection: 'tokens' },
+  { file: 'payment-sessions.json', collection: 'payment_sessions' },
+  { file: 'webhook-receipts.json', collection: 'webhook_receipts' },
+];
+
+async function readLegacyFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const overwrite = args.includes('--overwrite');
+  const sourceDir = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..'));
+  const storage = getStorage();
+  storage.acquireLock('storage:import');
+  console.log(`Importing legacy JSON from ${sourceDir} into ${storage.name} storage`);
+
+  for (const { file, collection } of LEGACY_FILES) {
+    const records = await readLegacyFile(path.join(sourceDir, file));
+    if (!records) {
+      console.log(`  ${file}: not found, skipped`);
+      continue;
+    }
+
+    const target = storage.collection(collection);
+    let imported = 0;
+    let skipped = 0;
+    for (const [id, record] of Object.entries(records)) {
+      if (!overwrite && await target.get(id)) {
+        skipped++;
+        continue;
+      }
+      await target.put(id, record);
+      imported++;
+    }
+
+    // Installed shops are tracked separately from their tokens
+    if (collection === 'tokens') {
+      const shops = storage.collection('shops');
+      for (const [shop, token] of Object.entries(records)) {
+        if (!overwrite && await shops.get(shop)) continue;
+        await shops.put(shop, { shop, installed_at: token.created_at || new Date().toISOString() });
+      }
+    }
+
+    console.log(`  ${file}: ${imported} imported, ${skipped} already present`);
+  }
+
+  await storage.close();
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
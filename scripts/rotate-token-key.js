@@ -0,0 +1,93 @@
+// Re-encrypts every stored access token under the active key
+// (TOKEN_ENCRYPTION_KEY_ID), including legacy plaintext records.
+//
+//   npm run tokens:rotate                    re-seal all tokens
+//   npm run tokens:rotate -- --check         list records not yet under the active key
+//   npm run tokens:rotate -- --generate-key  print a fresh key to add to TOKEN_ENCRYPTION_KEYS
+//
+// Stop the server first when it uses the file storage adapter: it keeps the
+// tokens in memory and its next write would put the old envelopes back. The
+// script refuses to run while the server holds the data directory.
+//
+// Keep the previous key in TOKEN_ENCRYPTION_KEYS until --check reports every
+// record under the active key; removing it earlier locks those shops out.
+
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { getStorage } = require('../lib/storage');
+const { encryptToken, decryptToken, currentKeyId, generateKey } = require('../lib/token-crypto');
+
+async function main() {
+  if (process.argv.includes('--generate-key')) {
+    console.log(generateKey());
+    return;
+  }
+
+  const kid = currentKeyId();
+  const storage = getStorage();
+  storage.acquireLock('tokens:rotate');
+  const tokens = storage.collection('tokens');
+
+  if (process.argv.includes('--check')) {
+    const stale = await staleRecords(tokens, kid);
+    reportStale(stale, kid);
+    await storage.close();
+    if (stale.length > 0) process.exitCode = 1;
+    return;
+  }
+  let rotated = 0;
+  let current = 0;
+  let failed = 0;
+
+  for (const record of await tokens.list()) {
+    const envelope = record.access_token_encrypted;
+    if (envelope && envelope.kid === kid) {
+      current++;
+      continue;
+    }
+
+    try {
+      const plaintext = envelope ? decryptToken(envelope, record.shop) : record.access_token;
+      if (!plaintext) throw new Error('record has no token');
+      await tokens.update(record.shop, existing => {
+        const { access_token, ...rest } = existing;
+        return { ...rest, access_token_encrypted: encryptToken(plaintext, record.shop), rotated_at: new Date().toISOString() };
+      });
+      rotated++;
+    } catch (error) {
+      console.error(`  ${record.shop}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`Tokens under key ${kid}: ${rotated} re-encrypted, ${current} already current, ${failed} failed`);
+  // Read back what was written rather than trusting the counters
+  const stale = await staleRecords(tokens, kid);
+  reportStale(stale, kid);
+  await storage.close();
+  if (failed > 0 || stale.length > 0) process.exitCode = 1;
+}
+
+// Records still sealed under another key, or still in plaintext
+async function staleRecords(tokens, kid) {
+  return (await tokens.list())
+    .filter(record => record.access_token_encrypted?.kid !== kid)
+    .map(record => ({ shop: record.shop, kid: record.access_token_encrypted?.kid || 'plaintext' }));
+}
+
+function reportStale(stale, kid) {
+  if (stale.length === 0) {
+    console.log(`Every token is sealed under ${kid}; older keys can be removed from TOKEN_ENCRYPTION_KEYS`);
+    return;
+  }
+  for (const record of stale) console.error(`  ${record.shop}: still under ${record.kid}`);
+  console.error(`${stale.length} tokens are not under ${kid}; keep their keys in TOKEN_ENCRYPTION_KEYS`);
+}
+
+main().catch(error => {
+  console.error('Rotation failed:', error.message);
+  process.exit(1);
+});
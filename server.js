@@ -1,13 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 
+// Loaded before the lib modules, some of which read configuration when required
 dotenv.config();
 
+const { getStorage } = require('./lib/storage');
+const { encryptToken, decryptToken } = require('./lib/token-crypto');
+const { formatUnits } = require('ethers');
+const QRCode = require('qrcode');
+const { CHAINS, getAsset, listAssets, normalizeAddress, paymentUri } = require('./lib/chains');
+const { withDefaults, validateSettings, checkOrderAmount } = require('./lib/merchant-settings');
+const { buildStorefrontConfig, renderStorefrontScript } = require('./lib/storefront-script');
+const { getRateProvider } = require('./lib/rates');
+const { buildQuote, isQuoteExpired, convertToUnits } = require('./lib/quotes');
+const { listTransfers, verifyTransfer } = require('./lib/evm');
+const { xpubFingerprint, deriveAddress, gapLimit } = require('./lib/hd-wallet');
+const { MERCHANT_WEBHOOK_EVENTS, maxAttempts, retryDelaySeconds, generateWebhookSecret, checkEndpointHost, sendDelivery } = require('./lib/merchant-webhooks');
+const { parseTransactionFilters, transactionRow, selectTransactions, transactionsCsv } = require('./lib/transactions');
+const { reconcile, indexSessions, sessionForOrder, isOurGateway } = require('./lib/reconciliation');
+const { createShopifyClient } = require('./lib/shopify-client');
+const { sessionSnapshot, recordSessionEvents, publishSessionEvents, subscribeToSession } = require('./lib/session-events');
+const { orderGids, sessionsForOrders, claimId, unlinkedClaimId, redactSession, redactDelivery, deliverySessionId, unlinkSessionTransactions, buildCustomerExport } = require('./lib/privacy');
+const { recordAuditEvent, listAuditEvents } = require('./lib/audit-log');
+const { applyRetention } = require('./lib/retention');
+const { createScheduler } = require('./lib/scheduler');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -51,22 +73,37 @@ app.use((req, res, next) => {
 });
 
 // CORS
+const adminCorsOptions = {
+  origin: [
+    'https://admin.shopify.com',
+    /\.myshopify\.com$/,
+    'http://localhost:3000',
+    'https://localhost:3000',
+    /\.ngrok-free\.app$/,
+    /\.ngrok\.io$/,
+  ],
+  credentials: true,
+};
+
 app.use(
-  cors({
-    origin: [
-      'https://admin.shopify.com',
-      /\.myshopify\.com$/,
-      'http://localhost:3000',
-      'https://localhost:3000',
-      /\.ngrok-free\.app$/,
-      /\.ngrok\.io$/,
-    ],
-    credentials: true,
+  cors((req, callback) => {
+    // Storefront endpoints are called from merchants' own (often custom) domains
+    if (req.path.startsWith('/storefront/')) return callback(null, { origin: '*' });
+    // So is the session event stream, which the storefront can watch too
+    if (/^\/payments\/sessions\/[^/]+\/events$/.test(req.path)) return callback(null, { origin: '*' });
+    callback(null, adminCorsOptions);
   })
 );
 
-app.use(express.json({ limit: '1mb' }));
+// Keep the raw bytes around: webhook HMACs are computed over the exact payload
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser(process.env.SHOPIFY_API_SECRET));
 
 // Serve static assets
 app.use('/static', express.static(path.join(__dirname, 'public')));
@@ -74,93 +111,955 @@ app.use('/static', express.static(path.join(__dirname, 'public')));
 // --------------------
 // Storage Functions
 // --------------------
+const storage = getStorage();
+
 async function storeMerchantConfig(shop, config) {
-  const configPath = path.join(__dirname, 'merchant-configs.json');
-  let configs = {};
-  try {
-    const data = await fs.readFile(configPath, 'utf8');
-    configs = JSON.parse(data);
-  } catch (_) {}
-  configs[shop] = { ...configs[shop], ...config, shop, updated_at: new Date().toISOString() };
-  await fs.writeFile(configPath, JSON.stringify(configs, null, 2));
-  return configs[shop];
+  return storage.collection('merchant_configs').update(shop, current => ({
+    ...current,
+    ...config,
+    shop,
+    updated_at: new Date().toISOString()
+  }));
 }
 
 async function getMerchantConfig(shop) {
-  try {
-    const configPath = path.join(__dirname, 'merchant-configs.json');
-    const data = await fs.readFile(configPath, 'utf8');
-    const configs = JSON.parse(data);
-    return configs[shop] || null;
-  } catch {
-    return null;
-  }
+  return storage.collection('merchant_configs').get(shop);
 }
 
-async function storeShopToken(shop, accessToken) {
-  const tokenPath = path.join(__dirname, 'shop-tokens.json');
-  let tokens = {};
-  try {
-    const data = await fs.readFile(tokenPath, 'utf8');
-    tokens = JSON.parse(data);
-  } catch (_) {}
-  tokens[shop] = {
-    access_token: accessToken,
-    shop: shop,
+async function deleteMerchantConfig(shop) {
+  await storage.collection('merchant_configs').delete(shop);
+}
+
+async function getMerchantSettings(shop) {
+  const config = await getMerchantConfig(shop);
+  return withDefaults(config?.settings);
+}
+
+// Settings are versioned: every save (rollbacks included) writes a new
+// numbered snapshot and the merchant config points at the live one.
+async function saveMerchantSettings(shop, settings, meta = {}) {
+  const config = await storage.collection('merchant_configs').update(shop, current => ({
+    ...current,
+    shop,
+    settings,
+    settings_version: (current?.settings_version || 0) + 1,
+    // Created with the first endpoint and kept until the merchant rotates it
+    webhook_secret: current?.webhook_secret || (settings.webhook_endpoints?.length ? generateWebhookSecret() : null),
+    updated_at: new Date().toISOString()
+  }));
+  const id = `${shop}:${config.settings_version}`;
+  await storage.collection('merchant_settings_versions').put(id, {
+    id,
+    shop,
+    version: config.settings_version,
+    settings,
+    ...meta,
     created_at: new Date().toISOString()
-  };
-  await fs.writeFile(tokenPath, JSON.stringify(tokens, null, 2));
+  });
+  return config;
+}
+
+async function listMerchantSettingsVersions(shop) {
+  const versions = await storage.collection('merchant_settings_versions').list({ shop });
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+async function getMerchantSettingsVersion(shop, version) {
+  return storage.collection('merchant_settings_versions').get(`${shop}:${version}`);
+}
+
+async function storeShopToken(shop, accessToken, scope) {
+  const now = new Date().toISOString();
+  await storage.collection('tokens').put(shop, {
+    access_token_encrypted: encryptToken(accessToken, shop),
+    scope: scope || null,
+    shop: shop,
+    created_at: now
+  });
+  await storage.collection('shops').update(shop, current => ({
+    ...current,
+    shop,
+    installed_at: current?.installed_at && !current.uninstalled_at ? current.installed_at : now,
+    uninstalled_at: null,
+    scope: scope || null
+  }));
   console.log(`Stored access token for shop: ${shop}`);
 }
 
-// Also update your getShopAccessToken function to add debugging:
+async function deleteShopToken(shop) {
+  await storage.collection('tokens').delete(shop);
+  const shops = storage.collection('shops');
+  if (await shops.get(shop)) {
+    await shops.update(shop, current => ({ ...current, uninstalled_at: new Date().toISOString() }));
+  }
+  console.log(`Removed access token for shop: ${shop}`);
+}
+
+// Shopify refused the token (401): keep the record for the audit trail but
+// stop using it until the merchant reinstalls, which stores a fresh one.
+async function markShopTokenInvalid(shop) {
+  const tokens = storage.collection('tokens');
+  if (!(await tokens.get(shop))) return;
+  await tokens.update(shop, current => ({ ...current, invalid_at: current.invalid_at || new Date().toISOString() }));
+  console.warn(`Access token for ${shop} was rejected by Shopify; the app must be reinstalled`);
+}
 
 async function getShopAccessToken(shop) {
   try {
-    const tokenPath = path.join(__dirname, 'shop-tokens.json');
-    console.log('Looking for access token for shop:', shop);
-    console.log('Token file path:', tokenPath);
-    
-    const data = await fs.readFile(tokenPath, 'utf8');
-    const tokens = JSON.parse(data);
-    
-    console.log('Available shops in token file:', Object.keys(tokens));
-    console.log('Requested shop exists:', shop in tokens);
-    
-    const token = tokens[shop]?.access_token || null;
-    console.log('Token found:', token ? 'YES' : 'NO');
-    
+    const record = await storage.collection('tokens').get(shop);
+    if (record?.invalid_at) return null;
+    // Records written before encryption keep a plaintext token until rotated
+    const token = record?.access_token_encrypted
+      ? decryptToken(record.access_token_encrypted, shop)
+      : record?.access_token || null;
+    console.log('Access token lookup:', { shop, found: token ? 'YES' : 'NO' });
     return token;
   } catch (error) {
-    console.log('Error reading token file:', error.message);
+    console.log('Error reading access token:', error.message);
     return null;
   }
 }
 
+// --------------------
+// Payment Sessions
+// --------------------
+
+// Allowed lifecycle moves. Terminal states have no outgoing transitions.
+//
+// A session collects one or more transfers toward its quote. Short of the
+// target it is partially_paid and the buyer can top up until the quote
+// expires, after which it is underpaid and waits for the merchant to accept
+// or refuse the shortfall. Paid in full it waits for confirmations, then
+// ends confirmed, or overpaid when more than the quote arrived.
+const SESSION_TRANSITIONS = {
+  pending: ['partially_paid', 'awaiting_confirmations', 'confirmed', 'overpaid', 'rejected', 'expired'],
+  partially_paid: ['awaiting_confirmations', 'confirmed', 'overpaid', 'underpaid', 'rejected', 'expired'],
+  awaiting_confirmations: ['confirmed', 'overpaid', 'rejected', 'expired'],
+  underpaid: ['confirmed', 'rejected'],
+  confirmed: [],
+  overpaid: [],
+  rejected: [],
+  expired: [],
+};
+
+// Statuses where the order counts as paid
+const PAID_STATUSES = ['confirmed', 'overpaid'];
+// ...and those still taking new transfers
+const PAYABLE_STATUSES = ['pending', 'partially_paid', 'awaiting_confirmations'];
+
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.REQUIRED_CONFIRMATIONS || '1', 10);
+
+function sessionNotFound(sessionId) {
+  const error = new Error(`Payment session not found: ${sessionId}`);
+  error.code = 'session_not_found';
+  return error;
+}
+
+async function storePaymentSession(session) {
+  const now = new Date().toISOString();
+  const stored = await storage.collection('payment_sessions').put(session.id, {
+    ...session,
+    status: session.status || 'pending',
+    history: session.history || [{ status: session.status || 'pending', at: now }],
+    created_at: session.created_at || now,
+    updated_at: now,
+  });
+  await emitMerchantEvent(stored.shop, 'session.created', { session: merchantSessionPayload(stored) });
+  return stored;
+}
+
+async function getPaymentSession(sessionId) {
+  return storage.collection('payment_sessions').get(sessionId);
+}
+
+// Every change to a stored session goes through here, so what the change
+// means for the buyer is recorded as session events and streamed to anyone
+// watching /payments/sessions/:id/events once the write has landed, and
+// merchant webhooks go out for the changes merchants subscribe to.
+async function updateSessionRecord(sessionId, mutator) {
+  let events = [];
+  let before = null;
+  const updated = await storage.collection('payment_sessions').update(sessionId, session => {
+    before = session;
+    const next = mutator(session);
+    if (!session || next === session) return next;
+    const recorded = recordSessionEvents(session, next);
+    events = recorded.events;
+    return recorded.session;
+  });
+  publishSessionEvents(sessionId, events);
+  for (const event of merchantEventsForChange(before, updated)) {
+    await emitMerchantEvent(updated.shop, event.type, event.data);
+  }
+  return updated;
+}
+
+// Moves a session to a new status, refusing anything SESSION_TRANSITIONS does
+// not allow. Errors carry a `code` so routes can map them to HTTP statuses.
+async function transitionPaymentSession(sessionId, status, updates = {}) {
+  return updateSessionRecord(sessionId, session => {
+    if (!session) throw sessionNotFound(sessionId);
+    return applyTransition(session, status, updates);
+  });
+}
+
+// The session moved to `status`, for mutators that decide on the stored
+// record whether to move it at all
+function applyTransition(session, status, updates = {}) {
+  const allowed = SESSION_TRANSITIONS[session.status] || [];
+  if (!allowed.includes(status)) {
+    const error = new Error(`Cannot move payment session from ${session.status} to ${status}`);
+    error.code = 'invalid_transition';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ...session,
+    ...updates,
+    status,
+    history: [...(session.history || []), { status, at: now }],
+    updated_at: now,
+  };
+}
+
+async function updatePaymentSession(sessionId, updates) {
+  return updateSessionRecord(sessionId, session => {
+    if (!session) throw sessionNotFound(sessionId);
+    return { ...session, ...updates, updated_at: new Date().toISOString() };
+  });
+}
+
+async function findPaymentSessions(predicate, options = {}) {
+  const sessions = await storage.collection('payment_sessions').list(options);
+  return sessions.filter(predicate);
+}
+
+const SESSION_ERROR_STATUS = {
+  session_not_found: 404,
+  invalid_transition: 409,
+  quote_expired: 409,
+  asset_mismatch: 409,
+  refund_not_found: 404,
+  tx_already_used: 409,
+  session_closed: 409,
+  tx_failed: 422,
+  tx_too_old: 422,
+  recipient_mismatch: 422,
+  amount_insufficient: 422,
+  asset_not_quoted: 422,
+  no_receiving_address: 422,
+  // The chain could not be read; nothing is known about the payment yet
+  rpc_not_configured: 503,
+  rpc_error: 503,
+  chain_mismatch: 503,
+};
+
+function sessionErrorStatus(error) {
+  return SESSION_ERROR_STATUS[error.code] || 500;
+}
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Each on-chain transaction pays for one session only. Claims are keyed by
+// chain and hash; confirming the same session again with its own
+// transaction is fine. A redacted session's claims no longer name it and are
+// kept under a hash of the transaction hash, but still refuse the transaction.
+async function claimTransaction(chain, txHash, session) {
+  if (await storage.collection('used_transactions').get(unlinkedClaimId(chain, txHash))) {
+    const error = new Error(`Transaction ${txHash} already paid for another session`);
+    error.code = 'tx_already_used';
+    throw error;
+  }
+  const id = claimId(chain, txHash);
+  return storage.collection('used_transactions').update(id, current => {
+    if (current && current.session_id !== session.id) {
+      const error = new Error(`Transaction ${txHash} already paid for ${current.session_id ? `session ${current.session_id}` : 'another session'}`);
+      error.code = 'tx_already_used';
+      throw error;
+    }
+    return current || {
+      id,
+      shop: session.shop,
+      chain,
+      tx_hash: txHash,
+      session_id: session.id,
+      claimed_at: new Date().toISOString()
+    };
+  });
+}
+
+// Drops the session's claim on a transaction it did not end up recording,
+// so the transaction can still pay for the session that accepts it
+async function releaseTransaction(chain, txHash, sessionId) {
+  const id = claimId(chain, txHash);
+  const session = await getPaymentSession(sessionId);
+  const recorded = (session?.payment?.transfers || [])
+    .some(transfer => transfer.transaction_id?.toLowerCase() === txHash.toLowerCase());
+  const claim = await storage.collection('used_transactions').get(id);
+  if (claim?.session_id === sessionId && !recorded) {
+    await storage.collection('used_transactions').delete(id);
+  }
+}
 
 // --------------------
-// Shopify API Functions
+// Quotes
 // --------------------
-async function makeShopifyRequest(shop, query, variables = {}) {
-  const accessToken = await getShopAccessToken(shop);
-  if (!accessToken) {
-    throw new Error(`No access token found for shop: ${shop}`);
+
+// Prices a session in every asset the merchant accepts. Returns null when the
+// merchant accepts nothing yet. A rate provider outage is logged and leaves
+// the session unquoted rather than failing checkout; the buyer can ask for a
+// quote again once rates are back.
+async function quoteForSession(session) {
+  if (!session.shop) return null;
+  const settings = await getMerchantSettings(session.shop);
+  if (settings.accepted_assets.length === 0) return null;
+  try {
+    return await buildQuote({
+      amount: session.amount,
+      currency: session.currency,
+      assetIds: settings.accepted_assets,
+      provider: getRateProvider()
+    });
+  } catch (error) {
+    console.error('Quote failed:', { session_id: session.id, message: error.message });
+    return null;
   }
+}
 
-  const response = await fetch(`https://${shop}/admin/api/2024-07/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': accessToken,
-    },
-    body: JSON.stringify({ query, variables })
+// Replaces the quote on a pending session once the old one has expired. A
+// quote that is still valid is returned as is, so buyers cannot refresh
+// until the rate moves their way.
+async function requotePaymentSession(sessionId) {
+  const session = await getPaymentSession(sessionId);
+  if (!session) throw sessionNotFound(sessionId);
+  if (session.quote && !isQuoteExpired(session.quote)) {
+    return { session, requoted: false };
+  }
+
+  const quote = await quoteForSession(session);
+  if (!quote) {
+    throw new Error('No exchange rates available for this payment');
+  }
+  const updated = await updateSessionRecord(sessionId, current => {
+    if (!current) throw sessionNotFound(sessionId);
+    if (current.status !== 'pending') {
+      const error = new Error(`Cannot re-quote a payment session that is ${current.status}`);
+      error.code = 'invalid_transition';
+      throw error;
+    }
+    return { ...current, quote, updated_at: new Date().toISOString() };
+  });
+  return { session: updated, requoted: true };
+}
+
+// Picks the quoted line a confirm call is paying against. The lock holds for
+// the first payment and any top-ups; once the full amount is in, later calls
+// only re-read confirmations and the quote no longer matters. All transfers
+// for a session must be in the same asset.
+function quotedAssetForPayment(session, assetId) {
+  if (!session.quote) {
+    const error = new Error('Payment session has no quote; request one before paying');
+    error.code = 'asset_not_quoted';
+    throw error;
+  }
+
+  if (['pending', 'partially_paid', 'underpaid'].includes(session.status) && isQuoteExpired(session.quote)) {
+    const error = new Error(session.status === 'pending'
+      ? `Quote expired at ${session.quote.expires_at}; request a new quote before paying`
+      : `Quote expired at ${session.quote.expires_at}; the remaining amount can no longer be topped up`);
+    error.code = 'quote_expired';
+    throw error;
+  }
+  if (session.payment && assetId && assetId !== session.payment.asset) {
+    const error = new Error(`This session is being paid in ${session.payment.asset}; send the rest in the same asset`);
+    error.code = 'asset_mismatch';
+    throw error;
+  }
+
+  const lines = Object.values(session.quote.assets);
+  const wanted = assetId || session.payment?.asset;
+  const line = wanted ? session.quote.assets[wanted] : (lines.length === 1 ? lines[0] : null);
+  if (!line) {
+    const error = new Error(assetId
+      ? `Asset ${assetId} is not part of this quote`
+      : 'Missing asset: this quote covers more than one asset');
+    error.code = 'asset_not_quoted';
+    throw error;
+  }
+  return line;
+}
+
+// Adds up the transfers a session has received against its quoted line.
+// A session is only as confirmed as its shallowest transfer.
+function summarizePayment(session, quoted, transfers, recipient) {
+  const paidUnits = transfers.reduce((sum, transfer) => sum + BigInt(transfer.amount_units), 0n);
+  const targetUnits = BigInt(quoted.amount_units);
+  const remainingUnits = paidUnits < targetUnits ? targetUnits - paidUnits : 0n;
+  return {
+    transaction_id: transfers[0].transaction_id,
+    chain: quoted.chain,
+    asset: quoted.asset,
+    quote_id: session.quote.id,
+    quoted_amount: quoted.amount,
+    quoted_amount_units: quoted.amount_units,
+    amount: formatUnits(paidUnits, quoted.decimals),
+    amount_units: paidUnits.toString(),
+    remaining: formatUnits(remainingUnits, quoted.decimals),
+    remaining_units: remainingUnits.toString(),
+    crypto_address: recipient,
+    confirmations: Math.min(...transfers.map(transfer => transfer.confirmations)),
+    required_confirmations: REQUIRED_CONFIRMATIONS,
+    transfers
+  };
+}
+
+// Where a payment stands against the quote and the merchant's tolerance
+function paymentStatus(payment, settings) {
+  const paid = BigInt(payment.amount_units);
+  const target = BigInt(payment.quoted_amount_units);
+  const toleranceBasisPoints = BigInt(Math.round(Number(settings.underpayment_tolerance_percent || 0) * 100));
+  const floor = target - (target * toleranceBasisPoints) / 10000n;
+
+  if (paid < floor) return 'partially_paid';
+  if (payment.confirmations < REQUIRED_CONFIRMATIONS) return 'awaiting_confirmations';
+  return paid > target ? 'overpaid' : 'confirmed';
+}
+
+// Extra fields recorded when a payment settles off the exact quote
+function settlementDetails(payment, status, settings) {
+  const paid = BigInt(payment.amount_units);
+  const target = BigInt(payment.quoted_amount_units);
+  const decimals = getAsset(payment.asset).decimals;
+
+  if (status === 'overpaid') {
+    const excess = paid - target;
+    const policy = settings.overpayment_policy;
+    return {
+      overpayment: {
+        amount: formatUnits(excess, decimals),
+        amount_units: excess.toString(),
+        asset: payment.asset,
+        policy
+      }
+    };
+  }
+  if (status === 'confirmed' && paid < target) {
+    const shortfall = target - paid;
+    return {
+      underpayment: {
+        amount: formatUnits(shortfall, decimals),
+        amount_units: shortfall.toString(),
+        asset: payment.asset,
+        accepted: 'within_tolerance',
+        tolerance_percent: settings.underpayment_tolerance_percent
+      }
+    };
+  }
+  return {};
+}
+
+// A partially paid session whose quote ran out can no longer be topped up;
+// it becomes underpaid and waits for the merchant.
+async function closeExpiredPartialPayment(session) {
+  if (session.status !== 'partially_paid' || !isQuoteExpired(session.quote)) return session;
+  const closed = await transitionPaymentSession(session.id, 'underpaid', {
+    underpaid_at: new Date().toISOString()
+  });
+  console.log('Partial payment closed as underpaid:', { session_id: session.id, remaining: closed.payment.remaining });
+  return closed;
+}
+
+// A session that is settled, expired or rejected takes no new transfers; its
+// own transfers can still be checked again for confirmations. Refusing
+// before anything is claimed leaves a late payment unclaimed, so it can
+// still be matched to a session that accepts it.
+function checkPayable(session, transactionId) {
+  if (PAYABLE_STATUSES.includes(session.status)) return;
+  const known = (session.payment?.transfers || [])
+    .some(transfer => transfer.transaction_id?.toLowerCase() === transactionId.toLowerCase());
+  if (known) return;
+  const error = new Error(`Payment session is ${session.status} and takes no more payments`);
+  error.code = 'session_closed';
+  throw error;
+}
+
+// What the buyer still has to send, while they still can
+function topUpFor(session) {
+  if (session.status !== 'partially_paid' || isQuoteExpired(session.quote)) return null;
+  return {
+    asset: session.payment.asset,
+    amount: session.payment.remaining,
+    amount_units: session.payment.remaining_units,
+    address: session.payment.crypto_address,
+    expires_at: session.quote.expires_at
+  };
+}
+
+// --------------------
+// Deposit Addresses
+// --------------------
+
+function addressGapLimit(settings) {
+  return settings?.address_gap_limit || gapLimit();
+}
+
+// Gives a session its own receive address when the merchant registered an
+// xpub, or returns null to keep paying into the fixed wallet. Indexes come
+// from a per-key counter on the merchant config; an index whose address is
+// already on record (say the config was reset by a reinstall) is skipped, so
+// an address never serves two sessions.
+//
+// An address past the gap limit would not show up in the merchant's wallet,
+// so once that many in a row are unpaid the session is refused with an
+// `address_gap_limit` error until one is paid or the merchant raises the
+// limit in their settings.
+async function allocateDepositAddress(shop, sessionId) {
+  const settings = await getMerchantSettings(shop);
+  if (!settings.xpub) return null;
+  const fingerprint = xpubFingerprint(settings.xpub);
+  const limit = addressGapLimit(settings);
+
+  for (;;) {
+    let index;
+    await storage.collection('merchant_configs').update(shop, current => {
+      const counters = { ...current?.address_indexes };
+      const counter = counters[fingerprint] || { next_index: 0, last_paid_index: -1 };
+      index = counter.next_index;
+      if (index - counter.last_paid_index > limit) {
+        const error = new Error(`The last ${limit} deposit addresses are unpaid; raise the address gap limit to take more payments`);
+        error.code = 'address_gap_limit';
+        throw error;
+      }
+      counters[fingerprint] = { ...counter, next_index: index + 1 };
+      return { ...current, shop, address_indexes: counters };
+    });
+
+    const derived = deriveAddress(settings.xpub, index);
+    const id = derived.address.toLowerCase();
+    const record = await storage.collection('deposit_addresses').update(id, current => current || {
+      id,
+      shop,
+      address: derived.address,
+      index,
+      path: derived.path,
+      xpub_fingerprint: fingerprint,
+      session_id: sessionId,
+      created_at: new Date().toISOString()
+    });
+    if (record.session_id !== sessionId) continue;
+    return { address: record.address, index, path: record.path, xpub_fingerprint: fingerprint };
+  }
+}
+
+async function findDepositAddress(address) {
+  return storage.collection('deposit_addresses').get(String(address).toLowerCase());
+}
+
+// Records that a deposit address received its payment, which resets the
+// unpaid streak the gap limit counts.
+async function markDepositAddressPaid(session, transactionId) {
+  const deposit = session.deposit_address;
+  if (!deposit) return;
+  await storage.collection('deposit_addresses').update(deposit.address.toLowerCase(), current => ({
+    ...current,
+    paid_at: current?.paid_at || new Date().toISOString(),
+    transaction_id: transactionId
+  }));
+  await storage.collection('merchant_configs').update(session.shop, current => {
+    const counters = { ...current?.address_indexes };
+    const counter = counters[deposit.xpub_fingerprint];
+    if (!counter) return current;
+    counters[deposit.xpub_fingerprint] = { ...counter, last_paid_index: Math.max(counter.last_paid_index, deposit.index) };
+    return { ...current, address_indexes: counters };
+  });
+}
+
+// Where the merchant's current xpub stands against the wallet gap limit
+function depositAddressStatus(config) {
+  const xpub = config?.settings?.xpub;
+  if (!xpub) return null;
+  const counter = config.address_indexes?.[xpubFingerprint(xpub)] || { next_index: 0, last_paid_index: -1 };
+  const unpaidStreak = counter.next_index - 1 - counter.last_paid_index;
+  const limit = addressGapLimit(config.settings);
+  return {
+    next_index: counter.next_index,
+    last_paid_index: counter.last_paid_index,
+    unpaid_streak: unpaidStreak,
+    gap_limit: limit,
+    at_gap_limit: unpaidStreak >= limit
+  };
+}
+
+// --------------------
+// Refunds
+// --------------------
+
+// Crypto refunds live on the payment session they pay back, each with its
+// own status history:
+//
+//   awaiting_address -> ready -> sent -> completed
+//
+// and cancelled from any state before completed. Refunds come from Shopify
+// refunds of an order we were paid for, or from an overpayment or refused
+// underpayment the merchant owes back.
+const REFUND_TRANSITIONS = {
+  awaiting_address: ['ready', 'cancelled'],
+  ready: ['ready', 'sent', 'completed', 'cancelled'],
+  sent: ['sent', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+function refundNotFound(refundId) {
+  const error = new Error(`Refund not found: ${refundId}`);
+  error.code = 'refund_not_found';
+  return error;
+}
+
+// Base units still refundable: what arrived, less refunds not cancelled
+function refundableUnits(session) {
+  const paid = BigInt(session.payment?.amount_units || '0');
+  const refunded = (session.refunds || [])
+    .filter(refund => refund.status !== 'cancelled')
+    .reduce((sum, refund) => sum + BigInt(refund.amount_units), 0n);
+  return paid > refunded ? paid - refunded : 0n;
+}
+
+// Adds a refund to a session, capped at what is still refundable. The
+// buyer's address is unknown at first; the address they paid from is only a
+// suggestion, since it is often an exchange's hot wallet.
+async function queueRefund(session, { source, amount_units, shopify_refund_id, fiat, note }) {
+  const asset = getAsset(session.payment.asset);
+  const now = new Date().toISOString();
+  let refund = null;
+  await updateSessionRecord(session.id, current => {
+    if (!current) throw sessionNotFound(session.id);
+    if (shopify_refund_id && (current.refunds || []).some(r => r.shopify_refund_id === shopify_refund_id)) {
+      return current;
+    }
+    const refundable = refundableUnits(current);
+    const wanted = BigInt(amount_units);
+    const units = wanted > refundable ? refundable : wanted;
+    refund = {
+      id: `refund_${crypto.randomBytes(6).toString('hex')}`,
+      source,
+      shopify_refund_id: shopify_refund_id || null,
+      ...fiat,
+      asset: asset.id,
+      amount: formatUnits(units, asset.decimals),
+      amount_units: units.toString(),
+      capped: units < wanted,
+      refund_address: null,
+      suggested_address: current.payment.transfers?.[0]?.from || null,
+      transaction_id: null,
+      status: 'awaiting_address',
+      history: [{ status: 'awaiting_address', at: now, note: note || null }],
+      created_at: now,
+      updated_at: now
+    };
+    return { ...current, refunds: [...(current.refunds || []), refund], updated_at: now };
+  });
+  if (refund) console.log('Refund queued:', { session_id: session.id, refund_id: refund.id, source, amount: refund.amount });
+  return refund;
+}
+
+// Applies a change to one refund, enforcing REFUND_TRANSITIONS for status
+// changes and appending to its history.
+async function updateRefund(sessionId, refundId, status, updates = {}, note = null) {
+  let refund = null;
+  await updateSessionRecord(sessionId, session => {
+    if (!session) throw sessionNotFound(sessionId);
+    const refunds = session.refunds || [];
+    const index = refunds.findIndex(r => r.id === refundId);
+    if (index === -1) throw refundNotFound(refundId);
+
+    const current = refunds[index];
+    if (!REFUND_TRANSITIONS[current.status].includes(status)) {
+      const error = new Error(`Cannot move refund from ${current.status} to ${status}`);
+      error.code = 'invalid_transition';
+      throw error;
+    }
+    const now = new Date().toISOString();
+    refund = {
+      ...current,
+      ...updates,
+      status,
+      history: [...current.history, { status, at: now, note }],
+      updated_at: now
+    };
+    const next = [...refunds];
+    next[index] = refund;
+    return { ...session, refunds: next, updated_at: now };
+  });
+  return refund;
+}
+
+// Crypto owed for a fiat refund. With the original_quote policy the buyer
+// gets back the same rate they paid at; with current_rate the amount is
+// priced afresh. A refund in another currency than the quote can only be
+// priced afresh.
+async function cryptoForFiatRefund(session, fiatAmount, currency, policy) {
+  const line = session.quote.assets[session.payment.asset];
+  const asset = getAsset(session.payment.asset);
+  if (policy === 'original_quote' && currency === session.quote.currency) {
+    return { units: convertToUnits(fiatAmount, line.rate, asset), rate: line.rate, rate_basis: 'original_quote' };
+  }
+  const rates = await getRateProvider().getRates([asset.symbol], currency);
+  if (!rates[asset.symbol]) throw new Error(`No ${asset.symbol} rate in ${currency} to price the refund`);
+  const rate = rates[asset.symbol];
+  return { units: convertToUnits(fiatAmount, rate, asset), rate, rate_basis: 'current_rate' };
+}
+
+// Checks a refund transaction on chain: it must pay the refund address at
+// least the refund amount. Returns the refund's next status, or throws a
+// coded error when the transaction can never complete it.
+async function verifyRefundTransaction(session, refund, transactionId) {
+  const verification = await verifyTransfer({
+    asset: getAsset(refund.asset),
+    txHash: transactionId,
+    recipient: refund.refund_address,
+    notBefore: refund.created_at
+  });
+  if (verification.status === 'not_found') return { status: 'sent', confirmations: 0 };
+  if (verification.status === 'rejected') {
+    const error = new Error(verification.message);
+    error.code = verification.reason_code;
+    throw error;
+  }
+
+  const transfer = verification.transfer;
+  if (transfer.amount_units < BigInt(refund.amount_units)) {
+    const error = new Error(`Transaction sends ${formatUnits(transfer.amount_units, getAsset(refund.asset).decimals)}, refund is ${refund.amount}`);
+    error.code = 'amount_insufficient';
+    throw error;
+  }
+  // One outgoing transaction settles one refund
+  await claimTransaction(getAsset(refund.asset).chain, transfer.tx_hash, { id: `${session.id}:${refund.id}`, shop: session.shop });
+  return {
+    status: transfer.confirmations >= REQUIRED_CONFIRMATIONS ? 'completed' : 'sent',
+    confirmations: transfer.confirmations
+  };
+}
+
+// --------------------
+// Merchant Webhooks
+// --------------------
+
+// How often pending deliveries are looked at for a retry
+const WEBHOOK_RETRY_SWEEP_MS = 30 * 1000;
+// A delivery being sent is leased so a sweep does not send it a second time
+const WEBHOOK_SEND_LEASE_MS = 60 * 1000;
+
+// What merchants see of a session in webhook payloads
+function merchantSessionPayload(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    amount: session.amount,
+    currency: session.currency,
+    test_mode: session.test_mode || false,
+    shopify_session_id: session.shopify_session_id || null,
+    draft_order_id: session.draft_order_id || null,
+    order_id: session.order_id || null,
+    order_name: session.order_name || session.draft_order_name || null,
+    payment: session.payment || null,
+    created_at: session.created_at,
+    updated_at: session.updated_at,
+  };
+}
+
+// Merchant events for one write to a session
+function merchantEventsForChange(before, after) {
+  if (!before || !after) return [];
+  const events = [];
+  if (PAID_STATUSES.includes(after.status) && !PAID_STATUSES.includes(before.status)) {
+    events.push({ type: 'payment.confirmed', data: { session: merchantSessionPayload(after) } });
+  }
+  if (after.status === 'rejected' && before.status !== 'rejected') {
+    events.push({ type: 'payment.rejected', data: { session: merchantSessionPayload(after) } });
+  }
+  for (const refund of after.refunds || []) {
+    const previous = (before.refunds || []).find(r => r.id === refund.id);
+    if (refund.status === 'completed' && previous?.status !== 'completed') {
+      events.push({ type: 'refund.completed', data: { session: merchantSessionPayload(after), refund } });
+    }
+  }
+  return events;
+}
+
+// Queues one delivery per merchant endpoint subscribed to the event and
+// sends them in the background. A failure here is logged, never thrown:
+// payments must not fail because a merchant's webhook setup is broken.
+async function emitMerchantEvent(shop, type, data) {
+  if (!shop) return [];
+  try {
+    const settings = await getMerchantSettings(shop);
+    const endpoints = settings.webhook_endpoints.filter(endpoint => endpoint.events.includes(type));
+    if (endpoints.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const event = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, type, shop, created_at: now, data };
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      deliveries.push(await queueMerchantDelivery({ shop, url: endpoint.url, event }));
+    }
+    return deliveries;
+  } catch (error) {
+    console.error('Queueing merchant webhook failed:', { shop, type, error: error.message });
+    return [];
+  }
+}
+
+async function queueMerchantDelivery({ shop, url, event, redelivery_of = null }) {
+  const id = `whd_${crypto.randomBytes(8).toString('hex')}`;
+  const now = new Date().toISOString();
+  const delivery = await storage.collection('webhook_deliveries').put(id, {
+    id,
+    shop,
+    event: event.type,
+    event_id: event.id,
+    url,
+    payload: event,
+    redelivery_of,
+    status: 'pending',
+    attempts: [],
+    next_attempt_at: now,
+    delivered_at: null,
+    created_at: now,
+    updated_at: now
+  });
+  attemptMerchantDelivery(delivery.id).catch(error => {
+    console.error('Merchant webhook delivery failed:', { delivery_id: delivery.id, error: error.message });
+  });
+  return delivery;
+}
+
+// Sends a pending delivery that is due and records the attempt. Failed
+// attempts are retried with exponential backoff until maxAttempts(), after
+// which the delivery is failed and only a manual redelivery sends it again.
+async function attemptMerchantDelivery(deliveryId) {
+  const deliveries = storage.collection('webhook_deliveries');
+  const now = Date.now();
+  let claimed = false;
+  const delivery = await deliveries.update(deliveryId, current => {
+    if (!current || current.status !== 'pending' || new Date(current.next_attempt_at).getTime() > now) return current;
+    claimed = true;
+    return { ...current, next_attempt_at: new Date(now + WEBHOOK_SEND_LEASE_MS).toISOString() };
   });
+  if (!claimed) return delivery;
+
+  const config = await getMerchantConfig(delivery.shop);
+  const result = config?.webhook_secret
+    ? await sendDelivery(delivery, config.webhook_secret)
+    : { ok: false, status_code: null, response: null, error: 'No webhook secret for this shop', duration_ms: 0 };
+
+  const updated = await deliveries.update(deliveryId, current => {
+    // Deleted while it was being sent (shop/redact); nothing to record
+    if (!current) return null;
+    const at = new Date().toISOString();
+    const attempts = [...current.attempts, { at, ...result }];
+    const status = result.ok ? 'delivered' : attempts.length >= maxAttempts() ? 'failed' : 'pending';
+    return {
+      ...current,
+      status,
+      attempts,
+      next_attempt_at: status === 'pending'
+        ? new Date(Date.now() + retryDelaySeconds(attempts.length) * 1000).toISOString()
+        : null,
+      delivered_at: result.ok ? at : null,
+      updated_at: at
+    };
+  });
+  if (!updated) return null;
+  const log = result.ok ? console.log : console.warn;
+  log('Merchant webhook attempt:', {
+    delivery_id: deliveryId,
+    event: updated.event,
+    status: updated.status,
+    status_code: result.status_code,
+    error: result.error
+  });
+  return updated;
+}
+
+async function retryDueMerchantDeliveries() {
+  const now = Date.now();
+  const due = (await storage.collection('webhook_deliveries').list())
+    .filter(delivery => delivery.status === 'pending' && new Date(delivery.next_attempt_at).getTime() <= now);
+  for (const delivery of due) {
+    await attemptMerchantDelivery(delivery.id);
+  }
+}
+
+async function listMerchantDeliveries(shop, { status, limit = 100 } = {}) {
+  const deliveries = await storage.collection('webhook_deliveries').list({ shop });
+  return deliveries
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+// --------------------
+// Webhook Receipts
+// --------------------
+
+// Receipts only need to outlive Shopify's retry window (48 hours).
+const WEBHOOK_RECEIPT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const WEBHOOK_RECEIPT_SWEEP_MS = 60 * 60 * 1000;
+// A receipt still processing after this long belongs to a process that died
+// mid-handler, and the next delivery takes it over
+const WEBHOOK_PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// Takes the receipt for a delivery before its handler runs, so two copies of
+// the same webhook arriving together are handled once. Returns null when the
+// receipt was taken, otherwise the receipt already held.
+async function claimWebhookReceipt(webhookId, receipt) {
+  let existing = null;
+  const now = Date.now();
+  await storage.collection('webhook_receipts').update(webhookId, current => {
+    const stale = current?.status === 'processing' && Date.parse(current.received_at) + WEBHOOK_PROCESSING_LEASE_MS < now;
+    if (current && !stale) {
+      existing = current;
+      return null;
+    }
+    return { ...receipt, id: webhookId, status: 'processing', received_at: new Date(now).toISOString() };
+  });
+  return existing;
+}
 
-  const result = await response.json();
-  if (result.errors) {
-    throw new Error(`GraphQL errors: ${result.errors.map(e => e.message).join(', ')}`);
+async function completeWebhookReceipt(webhookId) {
+  await storage.collection('webhook_receipts').update(webhookId, current => current && { ...current, status: 'processed' });
+}
+
+// A failed handler gives its receipt back so Shopify's retry runs it again
+async function releaseWebhookReceipt(webhookId) {
+  await storage.collection('webhook_receipts').delete(webhookId);
+}
+
+// Run by the scheduler, off the webhook request path
+async function deleteExpiredWebhookReceipts() {
+  const receipts = storage.collection('webhook_receipts');
+  const cutoff = Date.now() - WEBHOOK_RECEIPT_TTL_MS;
+  for (const existing of await receipts.list()) {
+    if (Date.parse(existing.received_at) < cutoff) await receipts.delete(existing.id);
   }
-  return result.data;
+}
+
+// --------------------
+// Shopify API Functions
+// --------------------
+// Every Admin and Payments Apps API call goes through this client; see
+// lib/shopify-client.js for the API version, retries and throttling.
+const shopify = createShopifyClient({
+  getAccessToken: getShopAccessToken,
+  onUnauthorized: markShopTokenInvalid
+});
+
+// Pass `{ api: 'payments_apps' }` to target the Payments Apps API instead of
+// the Admin API; both accept the same offline access token.
+async function makeShopifyRequest(shop, query, variables = {}, options = {}) {
+  return shopify.request(shop, query, variables, options);
 }
 
 // **** UPDATED: This function is not used for this goal, but kept for future reference
@@ -173,6 +1072,19 @@ async function makeShopifyRequest(shop, query, variables = {}) {
 //   };
 // }
 
+// Where the storefront script is served from. Script tags are scoped to this
+// app, but older installs may still point at a previous host, so ours are
+// recognised by path.
+const STOREFRONT_SCRIPT_URL = process.env.STOREFRONT_SCRIPT_URL || 'https://shopify.cryptocadet.app/checkout-extension.js';
+
+function isOurScriptTag(scriptTag) {
+  try {
+    return new URL(scriptTag.src).pathname.endsWith('/checkout-extension.js');
+  } catch (_) {
+    return false;
+  }
+}
+
 // **** NEW: Function to create the script tag
 async function createScriptTag(shop) {
   const mutation = `
@@ -193,7 +1105,7 @@ async function createScriptTag(shop) {
 
   const variables = {
     input: {
-      src: "https://shopify.cryptocadet.app/checkout-extension.js",
+      src: STOREFRONT_SCRIPT_URL,
       displayScope: "ALL"
     }
   };
@@ -212,337 +1124,2399 @@ async function createScriptTag(shop) {
   }
 }
 
-// --------------------
-// Routes
-// --------------------
-
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    app: 'cryptocadet-payment-gateway',
-    shopify_api_key: process.env.SHOPIFY_API_KEY ? 'configured' : 'missing',
-  });
-});
-
-// Root endpoint
-app.get('/', (req, res) => {
-  const shop = req.query.shop || '';
-
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>CryptoCadet Payment Gateway</title>
-      <link rel="stylesheet" href="/static/style.css">
+async function listScriptTags(shop) {
+  const query = `
+    query scriptTags($first: Int!, $after: String) {
+      scriptTags(first: $first, after: $after) {
+        nodes {
+          id
+          src
+          displayScope
+          createdAt
+          updatedAt
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+  return shopify.paginate(shop, query, {}, { path: 'scriptTags', pageSize: 50 });
+}
+
+async function updateScriptTag(shop, id) {
+  const mutation = `
+    mutation scriptTagUpdate($id: ID!, $input: ScriptTagInput!) {
+      scriptTagUpdate(id: $id, input: $input) {
+        scriptTag {
+          id
+          src
+          displayScope
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { id, input: { src: STOREFRONT_SCRIPT_URL, displayScope: 'ALL' } });
+  if (data.scriptTagUpdate.userErrors.length > 0) {
+    throw new Error(`Script tag errors: ${data.scriptTagUpdate.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.scriptTagUpdate.scriptTag;
+}
+
+async function deleteScriptTag(shop, id) {
+  const mutation = `
+    mutation scriptTagDelete($id: ID!) {
+      scriptTagDelete(id: $id) {
+        deletedScriptTagId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { id });
+  if (data.scriptTagDelete.userErrors.length > 0) {
+    throw new Error(`Script tag errors: ${data.scriptTagDelete.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.scriptTagDelete.deletedScriptTagId;
+}
+
+// Leaves the shop with exactly one script tag for our storefront script:
+// reuses an existing one (repointing it if its src is stale), deletes any
+// duplicates, and only creates a tag when none exists.
+async function ensureScriptTag(shop) {
+  const ours = (await listScriptTags(shop)).filter(isOurScriptTag);
+  ours.sort((a, b) => Number(b.src === STOREFRONT_SCRIPT_URL) - Number(a.src === STOREFRONT_SCRIPT_URL));
+  const [existing, ...duplicates] = ours;
+
+  for (const duplicate of duplicates) {
+    await deleteScriptTag(shop, duplicate.id);
+  }
+
+  if (!existing) {
+    return { scriptTag: await createScriptTag(shop), created: true, removed: duplicates.length };
+  }
+  if (existing.src !== STOREFRONT_SCRIPT_URL || existing.displayScope !== 'ALL') {
+    return { scriptTag: await updateScriptTag(shop, existing.id), updated: true, removed: duplicates.length };
+  }
+  return { scriptTag: existing, removed: duplicates.length };
+}
+
+async function removeScriptTags(shop) {
+  const ours = (await listScriptTags(shop)).filter(isOurScriptTag);
+  for (const scriptTag of ours) {
+    await deleteScriptTag(shop, scriptTag.id);
+  }
+  return ours.length;
+}
+
+// Webhook topics the app handles, each delivered to APP_URL/webhooks/<topic>
+const WEBHOOK_TOPICS = {
+  ORDERS_CREATE: 'orders/create',
+  ORDERS_PAID: 'orders/paid',
+  ORDERS_CANCELLED: 'orders/cancelled',
+  REFUNDS_CREATE: 'refunds/create',
+  APP_UNINSTALLED: 'app/uninstalled',
+};
+
+function webhookCallbackUrl(topic) {
+  const appUrl = (process.env.APP_URL || '').replace(/\/$/, '');
+  if (!appUrl) throw new Error('APP_URL is not set; webhooks need a public callback URL');
+  return `${appUrl}/webhooks/${WEBHOOK_TOPICS[topic]}`;
+}
+
+// Like script tags, subscriptions from an older host are recognised by path
+function isOurWebhookSubscription(subscription) {
+  const callbackUrl = subscription.endpoint?.callbackUrl;
+  if (!callbackUrl || !WEBHOOK_TOPICS[subscription.topic]) return false;
+  try {
+    return new URL(callbackUrl).pathname === `/webhooks/${WEBHOOK_TOPICS[subscription.topic]}`;
+  } catch (_) {
+    return false;
+  }
+}
+
+const WEBHOOK_SUBSCRIPTION_FIELDS = `
+  id
+  topic
+  format
+  createdAt
+  updatedAt
+  endpoint {
+    __typename
+    ... on WebhookHttpEndpoint { callbackUrl }
+  }
+`;
+
+async function listWebhookSubscriptions(shop) {
+  const query = `
+    query webhookSubscriptions($first: Int!, $after: String) {
+      webhookSubscriptions(first: $first, after: $after) {
+        nodes {${WEBHOOK_SUBSCRIPTION_FIELDS}}
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+  return shopify.paginate(shop, query, {}, { path: 'webhookSubscriptions' });
+}
+
+async function createWebhookSubscription(shop, topic) {
+  const mutation = `
+    mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {${WEBHOOK_SUBSCRIPTION_FIELDS}}
+        userErrors { field message }
+      }
+    }
+  `;
+  const variables = { topic, webhookSubscription: { callbackUrl: webhookCallbackUrl(topic), format: 'JSON' } };
+  const data = await makeShopifyRequest(shop, mutation, variables);
+  if (data.webhookSubscriptionCreate.userErrors.length > 0) {
+    throw new Error(`Webhook subscription errors: ${data.webhookSubscriptionCreate.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.webhookSubscriptionCreate.webhookSubscription;
+}
+
+async function updateWebhookSubscription(shop, subscription) {
+  const mutation = `
+    mutation webhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {${WEBHOOK_SUBSCRIPTION_FIELDS}}
+        userErrors { field message }
+      }
+    }
+  `;
+  const variables = { id: subscription.id, webhookSubscription: { callbackUrl: webhookCallbackUrl(subscription.topic), format: 'JSON' } };
+  const data = await makeShopifyRequest(shop, mutation, variables);
+  if (data.webhookSubscriptionUpdate.userErrors.length > 0) {
+    throw new Error(`Webhook subscription errors: ${data.webhookSubscriptionUpdate.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.webhookSubscriptionUpdate.webhookSubscription;
+}
+
+async function deleteWebhookSubscription(shop, id) {
+  const mutation = `
+    mutation webhookSubscriptionDelete($id: ID!) {
+      webhookSubscriptionDelete(id: $id) {
+        deletedWebhookSubscriptionId
+        userErrors { field message }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { id });
+  if (data.webhookSubscriptionDelete.userErrors.length > 0) {
+    throw new Error(`Webhook subscription errors: ${data.webhookSubscriptionDelete.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.webhookSubscriptionDelete.deletedWebhookSubscriptionId;
+}
+
+// Leaves the shop subscribed to every topic in WEBHOOK_TOPICS exactly once,
+// pointing at the current APP_URL: reuses what exists, repoints subscriptions
+// left on an old host, deletes duplicates and creates what is missing. The
+// subscription ids are stored on the shop record.
+async function ensureWebhookSubscriptions(shop) {
+  const ours = (await listWebhookSubscriptions(shop)).filter(isOurWebhookSubscription);
+  const result = { subscriptions: {}, created: [], updated: [], removed: 0 };
+
+  for (const topic of Object.keys(WEBHOOK_TOPICS)) {
+    const callbackUrl = webhookCallbackUrl(topic);
+    const existing = ours.filter(subscription => subscription.topic === topic);
+    existing.sort((a, b) => Number(b.endpoint.callbackUrl === callbackUrl) - Number(a.endpoint.callbackUrl === callbackUrl));
+    const [keep, ...duplicates] = existing;
+
+    for (const duplicate of duplicates) {
+      await deleteWebhookSubscription(shop, duplicate.id);
+      result.removed++;
+    }
+    if (!keep) {
+      result.subscriptions[topic] = (await createWebhookSubscription(shop, topic)).id;
+      result.created.push(topic);
+    } else if (keep.endpoint.callbackUrl !== callbackUrl) {
+      result.subscriptions[topic] = (await updateWebhookSubscription(shop, keep)).id;
+      result.updated.push(topic);
+    } else {
+      result.subscriptions[topic] = keep.id;
+    }
+  }
+
+  await storage.collection('shops').update(shop, current => ({
+    ...current,
+    shop,
+    webhook_subscriptions: result.subscriptions,
+    webhooks_checked_at: new Date().toISOString()
+  }));
+  if (result.created.length || result.updated.length || result.removed) {
+    console.log('Webhook subscriptions repaired:', { shop, created: result.created, updated: result.updated, removed: result.removed });
+  }
+  return result;
+}
+
+// --------------------
+// Draft Orders
+// --------------------
+async function createDraftOrder(shop, { items, currency, discountCodes, sessionId }) {
+  const mutation = `
+    mutation draftOrderCreate($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder {
+          id
+          name
+          totalPriceSet {
+            shopMoney { amount currencyCode }
+            presentmentMoney { amount currencyCode }
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  const input = {
+    lineItems: items.map(item => ({
+      variantId: `gid://shopify/ProductVariant/${item.variant_id}`,
+      quantity: item.quantity
+    })),
+    customAttributes: [{ key: 'cryptocadet_session_id', value: sessionId }],
+    tags: ['cryptocadet']
+  };
+  if (currency) input.presentmentCurrencyCode = currency;
+  if (discountCodes && discountCodes.length > 0) input.discountCodes = discountCodes;
+
+  const data = await makeShopifyRequest(shop, mutation, { input });
+  if (data.draftOrderCreate.userErrors.length > 0) {
+    throw new Error(`Draft order errors: ${data.draftOrderCreate.userErrors.map(e => e.message).join(', ')}`);
+  }
+  return data.draftOrderCreate.draftOrder;
+}
+
+async function deleteDraftOrder(shop, draftOrderId) {
+  const mutation = `
+    mutation draftOrderDelete($input: DraftOrderDeleteInput!) {
+      draftOrderDelete(input: $input) {
+        deletedId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { input: { id: draftOrderId } });
+  return data.draftOrderDelete;
+}
+
+async function completeDraftOrder(shop, draftOrderId) {
+  const mutation = `
+    mutation draftOrderComplete($id: ID!) {
+      draftOrderComplete(id: $id, paymentPending: false) {
+        draftOrder {
+          id
+          order { id name }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { id: draftOrderId });
+  return data.draftOrderComplete;
+}
+
+// --------------------
+// Payments Apps API
+// --------------------
+const PAYMENT_SESSION_FIELDS = `
+  paymentSession {
+    id
+    state {
+      ... on PaymentSessionStateResolved { code }
+      ... on PaymentSessionStateRejected { code reason merchantMessage }
+      ... on PaymentSessionStatePending { code reason }
+    }
+    nextAction {
+      action
+      context {
+        ... on PaymentSessionActionsRedirect { redirectUrl }
+      }
+    }
+  }
+  userErrors {
+    field
+    message
+  }
+`;
+
+// How long Shopify keeps a session pending while we wait for block confirmations.
+const PENDING_EXPIRY_MS = parseInt(process.env.PAYMENT_PENDING_EXPIRY_HOURS || '24', 10) * 60 * 60 * 1000;
+
+async function resolveShopifyPaymentSession(shop, gid) {
+  const mutation = `
+    mutation paymentSessionResolve($id: ID!) {
+      paymentSessionResolve(id: $id) {${PAYMENT_SESSION_FIELDS}}
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { id: gid }, { api: 'payments_apps' });
+  return data.paymentSessionResolve;
+}
+
+async function rejectShopifyPaymentSession(shop, gid, code, merchantMessage) {
+  const mutation = `
+    mutation paymentSessionReject($id: ID!, $reason: PaymentSessionRejectionReasonInput!) {
+      paymentSessionReject(id: $id, reason: $reason) {${PAYMENT_SESSION_FIELDS}}
+    }
+  `;
+  const variables = { id: gid, reason: { code, merchantMessage } };
+  const data = await makeShopifyRequest(shop, mutation, variables, { api: 'payments_apps' });
+  return data.paymentSessionReject;
+}
+
+async function pendShopifyPaymentSession(shop, gid) {
+  const mutation = `
+    mutation paymentSessionPending($id: ID!, $pendingExpiresAt: DateTime!, $reason: PaymentSessionStatePendingReason!) {
+      paymentSessionPending(id: $id, pendingExpiresAt: $pendingExpiresAt, reason: $reason) {${PAYMENT_SESSION_FIELDS}}
+    }
+  `;
+  const variables = {
+    id: gid,
+    pendingExpiresAt: new Date(Date.now() + PENDING_EXPIRY_MS).toISOString(),
+    reason: 'NETWORK_ACTION_REQUIRED'
+  };
+  const data = await makeShopifyRequest(shop, mutation, variables, { api: 'payments_apps' });
+  return data.paymentSessionPending;
+}
+
+// Stores what Shopify answered. A storage failure is only logged, so the
+// caller still gets the outcome of a call Shopify did act on.
+async function recordShopifyOutcome(sessionId, updates) {
+  try {
+    await updatePaymentSession(sessionId, updates);
+  } catch (error) {
+    console.error(`Recording the Shopify outcome failed for ${sessionId}:`, error.message);
+  }
+}
+
+// Reports a local status change to Shopify and records the outcome on the
+// session. Never throws: a failed call is stored so it can be retried later.
+async function notifyShopifyOfSession(session, options = {}) {
+  if (session.draft_order_id) return completeSessionDraftOrder(session);
+  if (!session.shopify_session_id || !session.shop) return null;
+
+  // An underpaid session stays pending in Shopify until the merchant decides
+  const actions = {
+    confirmed: 'resolve',
+    overpaid: 'resolve',
+    partially_paid: 'pending',
+    awaiting_confirmations: 'pending',
+    rejected: 'reject',
+    expired: 'reject',
+  };
+  const action = actions[session.status];
+  if (!action) return null;
+
+  const outcome = { action, at: new Date().toISOString() };
+  try {
+    let result;
+    if (action === 'resolve') {
+      result = await resolveShopifyPaymentSession(session.shop, session.shopify_session_id);
+    } else if (action === 'pending') {
+      result = await pendShopifyPaymentSession(session.shop, session.shopify_session_id);
+    } else {
+      result = await rejectShopifyPaymentSession(
+        session.shop,
+        session.shopify_session_id,
+        options.reasonCode || 'PROCESSING_ERROR',
+        session.reason
+      );
+    }
+    outcome.user_errors = result.userErrors || [];
+    outcome.ok = outcome.user_errors.length === 0;
+    outcome.state = result.paymentSession?.state || null;
+    outcome.redirect_url = result.paymentSession?.nextAction?.context?.redirectUrl || null;
+  } catch (error) {
+    console.error(`Shopify ${action} failed for ${session.id}:`, error.message);
+    outcome.ok = false;
+    outcome.user_errors = [];
+    outcome.error = error.message;
+  }
+
+  await recordShopifyOutcome(session.id, { shopify: outcome });
+  return outcome;
+}
+
+// Storefront checkouts have no Shopify payment session; a confirmed payment
+// turns their draft order into a paid order instead.
+async function completeSessionDraftOrder(session) {
+  if (!PAID_STATUSES.includes(session.status)) return null;
+
+  const outcome = { action: 'complete_draft_order', at: new Date().toISOString() };
+  const updates = {};
+  try {
+    const result = await completeDraftOrder(session.shop, session.draft_order_id);
+    outcome.user_errors = result.userErrors || [];
+    outcome.ok = outcome.user_errors.length === 0;
+    const order = result.draftOrder?.order;
+    if (order) {
+      updates.order_id = order.id;
+      updates.order_name = order.name;
+    }
+  } catch (error) {
+    console.error(`Draft order completion failed for ${session.id}:`, error.message);
+    outcome.ok = false;
+    outcome.user_errors = [];
+    outcome.error = error.message;
+  }
+
+  await recordShopifyOutcome(session.id, { ...updates, shopify: outcome });
+  return outcome;
+}
+
+// --------------------
+// Reconciliation
+// --------------------
+
+// Bounds a report so one run stays a handful of Admin API pages
+const RECONCILIATION_MAX_DAYS = 93;
+const RECONCILIATION_PAGE_SIZE = 100;
+const RECONCILIATION_MAX_PAGES = 50;
+
+const RECONCILIATION_ORDERS_QUERY = `
+  query reconciliationOrders($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+      nodes {
+        id
+        name
+        createdAt
+        cancelledAt
+        displayFinancialStatus
+        paymentGatewayNames
+        tags
+        customAttributes { key value }
+        totalPriceSet { presentmentMoney { amount currencyCode } }
+        transactions(first: 10) { paymentId }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+async function fetchOrdersCreatedBetween(shop, from, to) {
+  try {
+    return await shopify.paginate(shop, RECONCILIATION_ORDERS_QUERY, { query: `created_at:>='${from}' created_at:<='${to}'` }, {
+      path: 'orders',
+      pageSize: RECONCILIATION_PAGE_SIZE,
+      maxPages: RECONCILIATION_MAX_PAGES
+    });
+  } catch (error) {
+    if (error.code !== 'too_many_pages') throw error;
+    throw new Error(`More than ${RECONCILIATION_MAX_PAGES * RECONCILIATION_PAGE_SIZE} orders in the period; reconcile a shorter range`);
+  }
+}
+
+async function markOrderAsPaid(shop, orderId) {
+  const mutation = `
+    mutation orderMarkAsPaid($input: OrderMarkAsPaidInput!) {
+      orderMarkAsPaid(input: $input) {
+        order { id displayFinancialStatus }
+        userErrors { field message }
+      }
+    }
+  `;
+  const data = await makeShopifyRequest(shop, mutation, { input: { id: orderId } });
+  const userErrors = data.orderMarkAsPaid.userErrors;
+  return { action: 'mark_order_paid', ok: userErrors.length === 0, user_errors: userErrors, at: new Date().toISOString() };
+}
+
+// Reports run in the background; the admin polls until the status leaves
+// `running`.
+async function startReconciliation(shop, from, to) {
+  const id = `recon_${crypto.randomBytes(6).toString('hex')}`;
+  const report = await storage.collection('reconciliation_reports').put(id, {
+    id,
+    shop,
+    from,
+    to,
+    status: 'running',
+    summary: null,
+    flags: [],
+    error: null,
+    started_at: new Date().toISOString(),
+    finished_at: null
+  });
+  runReconciliation(report).catch(error => console.error('Reconciliation failed:', { report_id: id, error: error.message }));
+  return report;
+}
+
+async function runReconciliation(report) {
+  const reports = storage.collection('reconciliation_reports');
+  try {
+    const [orders, sessions] = await Promise.all([
+      fetchOrdersCreatedBetween(report.shop, report.from, report.to),
+      findPaymentSessions(() => true, { shop: report.shop })
+    ]);
+    const { flags, summary } = reconcile({ orders, sessions, from: report.from, to: report.to, paidStatuses: PAID_STATUSES });
+    await reports.update(report.id, current => ({ ...current, status: 'completed', flags, summary, finished_at: new Date().toISOString() }));
+    console.log('Reconciliation completed:', { shop: report.shop, report_id: report.id, ...summary });
+  } catch (error) {
+    await reports.update(report.id, current => ({ ...current, status: 'failed', error: error.message, finished_at: new Date().toISOString() }));
+    throw error;
+  }
+}
+
+// Re-sends our side of a flagged payment to Shopify. A session Shopify never
+// heard about gets the usual notification again (resolving its payment
+// session or completing its draft order); a storefront order that exists but
+// is still pending is marked as paid.
+async function resyncFlaggedPayment(shop, flag) {
+  const session = await getShopSession(shop, flag.session_id);
+  if (!PAID_STATUSES.includes(session.status)) {
+    const error = new Error(`Payment session is ${session.status}, not paid`);
+    error.code = 'invalid_transition';
+    throw error;
+  }
+  if (flag.kind === 'shopify_pending' && !session.shopify_session_id) {
+    return markOrderAsPaid(shop, flag.order_id);
+  }
+  return notifyShopifyOfSession(session);
+}
+
+// --------------------
+// Privacy Requests
+// --------------------
+// Shopify's mandatory privacy webhooks: customers/data_request,
+// customers/redact and shop/redact. lib/privacy.js decides what a customer's
+// data is and what redaction keeps; every request and every export download
+// is written to the audit log.
+//
+// DATA_EXPORT_RETENTION_DAYS (default 30) is how long an export stays
+// downloadable; `npm run data:retention` deletes expired ones.
+
+const DATA_EXPORT_RETENTION_DAYS = parseInt(process.env.DATA_EXPORT_RETENTION_DAYS || '30', 10);
+
+// Every collection holding a shop's records. The audit log is left out on
+// purpose: it is the proof the rest was removed.
+const SHOP_DATA_COLLECTIONS = [
+  'payment_sessions',
+  'used_transactions',
+  'deposit_addresses',
+  'webhook_deliveries',
+  'webhook_receipts',
+  'reconciliation_reports',
+  'data_exports',
+  'merchant_settings_versions',
+  'merchant_configs',
+  'tokens',
+  'shops'
+];
+
+const ORDERS_PAYMENTS_QUERY = `
+  query ordersPayments($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Order { id transactions(first: 10) { paymentId } }
+    }
+  }
+`;
+// nodes() takes at most 250 ids
+const ORDERS_PER_LOOKUP = 100;
+
+// The sessions paid for the given orders. Payments app sessions only get an
+// order id once orders/create was matched to them, so for orders no session
+// is linked to, Shopify is asked which payments they hold.
+async function findCustomerSessions(shop, orderIds) {
+  const sessions = await findPaymentSessions(() => true, { shop });
+  const linked = new Set(sessions.map(session => session.order_id));
+  const unlinked = orderGids(orderIds).filter(id => !linked.has(id));
+  const paymentIds = [];
+  if (sessions.some(session => session.shopify_payment_id && !session.order_id)) {
+    for (let i = 0; i < unlinked.length; i += ORDERS_PER_LOOKUP) {
+      const data = await makeShopifyRequest(shop, ORDERS_PAYMENTS_QUERY, { ids: unlinked.slice(i, i + ORDERS_PER_LOOKUP) });
+      for (const order of data.nodes || []) {
+        paymentIds.push(...(order?.transactions || []).map(transaction => transaction.paymentId).filter(Boolean));
+      }
+    }
+  }
+  return sessionsForOrders(sessions, orderIds, paymentIds);
+}
+
+async function deliveriesForSessions(shop, sessionIds) {
+  const ids = new Set(sessionIds);
+  const deliveries = await storage.collection('webhook_deliveries').list({ shop });
+  return deliveries.filter(delivery => ids.has(deliverySessionId(delivery)));
+}
+
+// Builds the bundle for a customers/data_request and keeps it for the
+// merchant to download from the admin and pass on to the customer.
+async function exportCustomerData(shop, request) {
+  const sessions = await findCustomerSessions(shop, request.orders_requested);
+  const deliveries = await deliveriesForSessions(shop, sessions.map(session => session.id));
+  const bundle = buildCustomerExport({ shop, request, sessions, deliveries });
+
+  const id = `export_${crypto.randomBytes(6).toString('hex')}`;
+  const now = new Date();
+  const record = await storage.collection('data_exports').put(id, {
+    id,
+    shop,
+    data_request_id: bundle.data_request_id,
+    customer_id: bundle.customer.id,
+    orders_requested: bundle.orders_requested,
+    session_ids: sessions.map(session => session.id),
+    bundle,
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + DATA_EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    downloaded_at: null
+  });
+  await recordAuditEvent(storage, {
+    shop,
+    action: 'customer_data_exported',
+    actor: 'shopify',
+    details: {
+      export_id: id,
+      data_request_id: bundle.data_request_id,
+      customer_id: bundle.customer.id,
+      orders_requested: bundle.orders_requested,
+      session_ids: record.session_ids,
+      webhook_deliveries: deliveries.length
+    }
+  });
+  return record;
+}
+
+// customers/redact: strips the customer's identifying fields from their
+// sessions and from the merchant webhooks sent about them, and unlinks
+// their transactions from the claims and deposit addresses that name them.
+async function redactCustomerData(shop, request) {
+  const sessions = await findCustomerSessions(shop, request.orders_to_redact);
+  for (const session of sessions) {
+    await updateSessionRecord(session.id, current => current && redactSession(current));
+  }
+  const transactionsUnlinked = await unlinkSessionTransactions(storage, shop, sessions.map(session => session.id));
+  const deliveries = await deliveriesForSessions(shop, sessions.map(session => session.id));
+  for (const delivery of deliveries) {
+    await storage.collection('webhook_deliveries').update(delivery.id, current => current && redactDelivery(current));
+  }
+  // Exports already made for this customer would keep the data around
+  const exports = (await storage.collection('data_exports').list({ shop }))
+    .filter(record => request.customer?.id && record.customer_id === request.customer.id);
+  for (const record of exports) await storage.collection('data_exports').delete(record.id);
+
+  await recordAuditEvent(storage, {
+    shop,
+    action: 'customer_data_redacted',
+    actor: 'shopify',
+    details: {
+      customer_id: request.customer?.id ?? null,
+      orders_to_redact: orderGids(request.orders_to_redact),
+      session_ids: sessions.map(session => session.id),
+      transaction_records_unlinked: transactionsUnlinked,
+      webhook_deliveries: deliveries.length,
+      data_exports_deleted: exports.length
+    }
+  });
+}
+
+// shop/redact arrives 48 hours after uninstall: nothing of the shop is kept
+// but the audit log.
+async function deleteShopData(shop) {
+  const removed = {};
+  for (const name of SHOP_DATA_COLLECTIONS) {
+    removed[name] = await storage.collection(name).deleteByShop(shop);
+  }
+  await recordAuditEvent(storage, { shop, action: 'shop_data_deleted', actor: 'shopify', details: { removed } });
+  return removed;
+}
+
+function dataExportSummary(record) {
+  const { bundle, ...summary } = record;
+  return { ...summary, expired: Date.parse(record.expires_at) <= Date.now() };
+}
+
+// --------------------
+// Background Jobs
+// --------------------
+// Sweeps run as recurring jobs on the scheduler (lib/scheduler.js) and
+// enqueue one job per session, keyed by session id, so a session is never
+// worked on twice at once and a failure only retries that session. Every
+// handler re-reads the session and does nothing once it has moved on.
+//
+// A pending session expires once its quote has been expired for
+// SESSION_EXPIRY_GRACE_MINUTES (default 15) without the buyer asking for a
+// new one.
+
+const SESSION_EXPIRY_GRACE_MS = parseInt(process.env.SESSION_EXPIRY_GRACE_MINUTES || '15', 10) * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 1000;
+// How often the data retention policy (lib/retention.js) is applied
+const RETENTION_SWEEP_MS = 24 * 60 * 60 * 1000;
+
+const scheduler = createScheduler({ storage });
+
+function isPastPaymentWindow(session, now = Date.now()) {
+  const windowEnd = Date.parse(session.quote?.expires_at || session.created_at);
+  return session.status === 'pending' && windowEnd + SESSION_EXPIRY_GRACE_MS <= now;
+}
+
+// Expires the session, rejects its Shopify payment session and deletes its
+// draft order. Each step is skipped once done, so a retry picks up where a
+// failed run stopped.
+async function expirePaymentSession(sessionId) {
+  if (!(await getPaymentSession(sessionId))) return;
+  // The window is checked on the record being written: a payment or a new
+  // quote that landed since the sweep read it keeps the session open
+  let expired = false;
+  const session = await updateSessionRecord(sessionId, current => {
+    if (!current) throw sessionNotFound(sessionId);
+    if (!isPastPaymentWindow(current)) return current;
+    expired = true;
+    return applyTransition(current, 'expired', {
+      reason: 'Payment window expired',
+      expired_at: new Date().toISOString()
+    });
+  });
+  if (expired) console.log('Payment session expired:', { session_id: sessionId });
+  if (session.status !== 'expired') return;
+
+  if (session.shopify_session_id && !(session.shopify?.action === 'reject' && session.shopify.ok)) {
+    const outcome = await notifyShopifyOfSession(session);
+    if (!outcome?.ok) throw new Error(`Shopify rejection failed: ${outcome?.error || 'user errors'}`);
+  }
+  if (session.draft_order_id && !session.draft_order_deleted_at) {
+    const result = await deleteDraftOrder(session.shop, session.draft_order_id);
+    const userErrors = result.userErrors || [];
+    if (userErrors.length > 0) throw new Error(`Draft order deletion failed: ${userErrors.map(e => e.message).join(', ')}`);
+    await updatePaymentSession(sessionId, { draft_order_deleted_at: new Date().toISOString() });
+  }
+}
+
+// Asks the chain again about every transfer still short of the required
+// confirmations; confirmSessionPayment moves the session on once they are in.
+async function recheckConfirmations(sessionId) {
+  const session = await getPaymentSession(sessionId);
+  if (session?.status !== 'awaiting_confirmations') return;
+  for (const transfer of session.payment.transfers) {
+    if (transfer.confirmations >= REQUIRED_CONFIRMATIONS) continue;
+    const outcome = await confirmSessionPayment(sessionId, transfer.transaction_id, session.payment.asset);
+    if (outcome.result === 'not_found') {
+      console.warn('Transfer awaiting confirmations is no longer on chain:', { session_id: sessionId, transaction_id: transfer.transaction_id });
+    }
+  }
+}
+
+async function sweepPaymentSessions() {
+  const sessions = await findPaymentSessions(session =>
+    ['pending', 'partially_paid', 'awaiting_confirmations'].includes(session.status));
+  for (const session of sessions) {
+    if (isPastPaymentWindow(session)) {
+      await scheduler.enqueue('expire_session', { session_id: session.id }, { uniqueKey: session.id });
+    } else if (session.status === 'partially_paid' && isQuoteExpired(session.quote)) {
+      await closeExpiredPartialPayment(session);
+    } else if (session.status === 'awaiting_confirmations') {
+      await scheduler.enqueue('recheck_confirmations', { session_id: session.id }, { uniqueKey: session.id });
+    }
+  }
+}
+
+scheduler.define('sweep_payment_sessions', () => sweepPaymentSessions());
+scheduler.define('expire_session', ({ session_id }) => expirePaymentSession(session_id));
+scheduler.define('recheck_confirmations', ({ session_id }) => recheckConfirmations(session_id));
+scheduler.define('retry_merchant_webhooks', () => retryDueMerchantDeliveries());
+scheduler.define('delete_expired_webhook_receipts', () => deleteExpiredWebhookReceipts());
+scheduler.define('apply_retention', () => applyRetention(storage));
+
+async function startBackgroundJobs() {
+  await scheduler.every('sweep_payment_sessions', SESSION_SWEEP_MS);
+  await scheduler.every('retry_merchant_webhooks', WEBHOOK_RETRY_SWEEP_MS);
+  await scheduler.every('delete_expired_webhook_receipts', WEBHOOK_RECEIPT_SWEEP_MS);
+  await scheduler.every('apply_retention', RETENTION_SWEEP_MS);
+  scheduler.start();
+}
+
+// --------------------
+// Session Token Auth
+// --------------------
+
+// Clock skew tolerated when checking exp/nbf, in seconds
+const SESSION_TOKEN_LEEWAY = 5;
+
+// Verifies an App Bridge session token (HS256 JWT signed with the app secret)
+// and returns the shop it was issued for.
+function verifySessionToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed session token');
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  const header = JSON.parse(Buffer.from(headerSegment, 'base64url').toString('utf8'));
+  if (header.alg !== 'HS256') throw new Error(`Unsupported session token algorithm: ${header.alg}`);
+
+  const expected = crypto
+    .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
+    .update(`${headerSegment}.${payloadSegment}`)
+    .digest();
+  const provided = Buffer.from(signatureSegment, 'base64url');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    throw new Error('Invalid session token signature');
+  }
+
+  const payload = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || now > payload.exp + SESSION_TOKEN_LEEWAY) {
+    throw new Error('Session token expired');
+  }
+  if (typeof payload.nbf === 'number' && now + SESSION_TOKEN_LEEWAY < payload.nbf) {
+    throw new Error('Session token not yet valid');
+  }
+
+  const audience = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audience.includes(process.env.SHOPIFY_API_KEY)) {
+    throw new Error('Session token audience mismatch');
+  }
+
+  const shop = payload.dest ? new URL(payload.dest).hostname : null;
+  if (!isValidShopDomain(shop)) throw new Error('Session token has an invalid dest shop');
+  if (!payload.iss || new URL(payload.iss).hostname !== shop) {
+    throw new Error('Session token issuer does not match its dest shop');
+  }
+
+  return { shop, payload };
+}
+
+// Admin-facing routes take the shop from the verified token, never from the request.
+function requireSessionToken(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  try {
+    if (!match) throw new Error('Missing bearer session token');
+    const { shop, payload } = verifySessionToken(match[1]);
+    req.shop = shop;
+    req.sessionToken = payload;
+    next();
+  } catch (error) {
+    console.warn('Session token rejected:', error.message);
+    res.setHeader('X-Shopify-Retry-Invalid-Session-Request', '1');
+    res.status(401).json({ error: 'Unauthorized', message: error.message });
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// --------------------
+// Routes
+// --------------------
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    app: 'cryptocadet-payment-gateway',
+    shopify_api_key: process.env.SHOPIFY_API_KEY ? 'configured' : 'missing',
+  });
+});
+
+// Root endpoint
+app.get('/', async (req, res) => {
+  const shop = req.query.shop || '';
+  // No usable token (never installed, or Shopify started refusing it): the
+  // merchant has to go through OAuth again before anything here works
+  const needsReinstall = isValidShopDomain(shop) && !(await getShopAccessToken(shop));
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>CryptoCadet Payment Gateway</title>
+      <link rel="stylesheet" href="/static/style.css">
 
       <script>
         window.SHOPIFY_API_KEY = "${process.env.SHOPIFY_API_KEY}";
       </script>
     </head>
-    <body>
+    <body>
+      <div class="container">
+        <h1>CryptoCadet Payment Gateway</h1>
+        <p><strong>Shop:</strong> ${escapeHtml(shop)}</p>
+        ${needsReinstall ? `
+        <p class="error">CryptoCadet has lost access to your store.
+          <a href="/install?shop=${encodeURIComponent(shop)}" target="_top">Reinstall the app</a> to reconnect it.</p>` : ''}
+
+        <div class="section">
+          <h2>Payment Method Setup</h2>
+          <div id="payment-method-status" class="status-item">Checking status...</div>
+          <button id="activate-btn" class="button">Activate Crypto Payment Method</button>
+          <button id="deactivate-btn" class="button button-secondary">Deactivate</button>
+          <div id="activation-status"></div>
+
+          <h3>Shopify webhooks</h3>
+          <div id="webhook-subscriptions" class="status-item">Checking subscriptions...</div>
+        </div>
+
+        <div class="section">
+          <h2>Transactions</h2>
+          <form id="transaction-filters" class="filters">
+            <label class="field">Status
+              <select name="status">
+                <option value="">Any</option>
+                ${Object.keys(SESSION_TRANSITIONS).map(status => `<option value="${status}">${status.replace(/_/g, ' ')}</option>`).join('')}
+              </select>
+            </label>
+            <label class="field">Chain
+              <select name="chain">
+                <option value="">Any</option>
+                ${Object.entries(CHAINS).map(([key, chain]) => `<option value="${key}">${escapeHtml(chain.name)}</option>`).join('')}
+              </select>
+            </label>
+            <label class="field">Asset
+              <select name="asset">
+                <option value="">Any</option>
+                ${listAssets().map(asset => `<option value="${asset.id}">${asset.symbol} on ${escapeHtml(CHAINS[asset.chain].name)}</option>`).join('')}
+              </select>
+            </label>
+            <label class="field">From <input name="from" type="date"></label>
+            <label class="field">To <input name="to" type="date"></label>
+            <label class="field">Minimum amount <input name="min_amount" inputmode="decimal"></label>
+            <label class="field">Maximum amount <input name="max_amount" inputmode="decimal"></label>
+            <button type="submit" class="button">Filter</button>
+            <button type="button" id="export-csv-btn" class="button button-secondary">Export CSV</button>
+          </form>
+          <div id="transactions-status"></div>
+          <table class="data-table">
+            <thead><tr><th>Date</th><th>Order</th><th>Status</th><th>Amount</th><th>Paid</th><th>Transactions</th></tr></thead>
+            <tbody id="transaction-rows"></tbody>
+          </table>
+          <button type="button" id="more-transactions-btn" class="link-button" hidden>Load more</button>
+        </div>
+
+        <div class="section">
+          <h2>Reconciliation</h2>
+          <p>Match Shopify orders against verified crypto payments for a period.</p>
+          <form id="reconciliation-form" class="filters">
+            <label class="field">From <input name="from" type="date" required></label>
+            <label class="field">To <input name="to" type="date" required></label>
+            <button type="submit" class="button">Run Reconciliation</button>
+          </form>
+          <div id="reconciliation-status"></div>
+          <ul id="reconciliation-flags"></ul>
+        </div>
+
+        <div class="section">
+          <h2>Refunds</h2>
+          <p>Crypto owed back to buyers for Shopify refunds, overpayments and refused underpayments. Send each one from your wallet, then attach the transaction.</p>
+          <form id="refund-filters" class="filters">
+            <label class="field">Status
+              <select name="status">
+                <option value="">Any</option>
+                ${Object.keys(REFUND_TRANSITIONS).map(status => `<option value="${status}">${status.replace(/_/g, ' ')}</option>`).join('')}
+              </select>
+            </label>
+          </form>
+          <div id="refunds-status"></div>
+          <table class="data-table">
+            <thead><tr><th>Queued</th><th>Order</th><th>Reason</th><th>Amount</th><th>Refund to</th><th>Status</th><th></th></tr></thead>
+            <tbody id="refund-rows"></tbody>
+          </table>
+        </div>
+
+        <div class="section">
+          <h2>Payment Settings</h2>
+          <form id="settings-form">
+            <h3>Receiving addresses</h3>
+            <div id="wallet-fields"></div>
+            <label class="field">Extended public key (optional, gives every order its own address)
+              <input name="xpub" placeholder="xpub…" autocomplete="off" spellcheck="false">
+            </label>
+            <label class="field">Address gap limit (raise it only after raising your wallet's to match)
+              <input name="address_gap_limit" inputmode="numeric">
+            </label>
+            <p id="xpub-status"></p>
+
+            <h3>Accepted assets</h3>
+            <div id="asset-fields"></div>
+
+            <h3>Order limits</h3>
+            <label class="field">Minimum order amount <input name="min_order_amount" inputmode="decimal"></label>
+            <label class="field">Maximum order amount <input name="max_order_amount" inputmode="decimal"></label>
+
+            <h3>Payment differences</h3>
+            <label class="field">Underpayment tolerance (%) <input name="underpayment_tolerance_percent" inputmode="decimal"></label>
+            <label class="field">Overpayments
+              <select name="overpayment_policy">
+                <option value="accept_and_flag">Accept and flag the order</option>
+                <option value="mark_for_refund">Mark the excess for refund</option>
+              </select>
+            </label>
+            <label class="field">Refunds are paid back at
+              <select name="refund_rate_policy">
+                <option value="original_quote">The rate the buyer paid at</option>
+                <option value="current_rate">The current rate</option>
+              </select>
+            </label>
+
+            <h3>Button</h3>
+            <label class="field">Label <input name="button.label" maxlength="40"></label>
+            <label class="field">Background colour <input name="button.background_color" type="color"></label>
+            <label class="field">Text colour <input name="button.text_color" type="color"></label>
+
+            <h3>Storefront placement</h3>
+            <label class="field">Payment page domain (optional, must serve this app) <input name="redirect_base_url" placeholder="https://pay.example.com"></label>
+            <label class="checkbox"><input type="checkbox" name="enabled_pages" value="cart"> Cart page</label>
+            <label class="checkbox"><input type="checkbox" name="enabled_pages" value="product"> Product pages</label>
+            <label class="field">Cart button selector (optional) <input name="placement.cart_selector" placeholder="button[name=&quot;checkout&quot;]"></label>
+            <label class="field">Product button selector (optional) <input name="placement.product_selector" placeholder="button[name=&quot;add&quot;]"></label>
+
+            <h3>Webhooks</h3>
+            <p>Send signed payment events to your own systems, such as an ERP or fulfilment service.</p>
+            <div id="webhook-endpoints"></div>
+
+            <button type="submit" class="button">Save Settings</button>
+          </form>
+          <div id="settings-status"></div>
+
+          <h3>History</h3>
+          <ul id="settings-versions"></ul>
+        </div>
+
+        <div class="section">
+          <h2>Webhook Deliveries</h2>
+          <p>Signing secret: <code id="webhook-secret">none yet, add an endpoint first</code>
+            <button type="button" class="link-button" id="rotate-secret-btn" hidden>Rotate</button></p>
+          <table class="data-table">
+            <thead><tr><th>Sent</th><th>Event</th><th>Endpoint</th><th>Status</th><th>Attempts</th><th></th></tr></thead>
+            <tbody id="webhook-deliveries"></tbody>
+          </table>
+        </div>
+
+        <div class="section">
+          <h2>Privacy Requests</h2>
+          <p>Customer data requested through Shopify, ready to pass on to the customer. Exports are deleted after ${DATA_EXPORT_RETENTION_DAYS} days.</p>
+          <table class="data-table">
+            <thead><tr><th>Requested</th><th>Customer</th><th>Payments</th><th>Expires</th><th></th></tr></thead>
+            <tbody id="data-exports"></tbody>
+          </table>
+          <h3>Audit log</h3>
+          <ul id="audit-log"></ul>
+        </div>
+      </div>
+
+      <script src="https://unpkg.com/@shopify/app-bridge@3"></script>
+      <script src="/static/app.js"></script>
+    </body>
+    </html>
+  `);
+});
+
+// Install/OAuth flow
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+const OAUTH_STATE_COOKIE = 'shopify_oauth_state';
+
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+// Shopify signs every redirect back to the app: HMAC-SHA256 over the sorted
+// query parameters, excluding `hmac` itself.
+function verifyShopifyQueryHmac(query) {
+  const { hmac, signature, ...params } = query;
+  if (typeof hmac !== 'string') return false;
+
+  const message = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${Array.isArray(params[key]) ? JSON.stringify(params[key]) : params[key]}`)
+    .join('&');
+  const digest = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex');
+  const provided = Buffer.from(hmac, 'utf8');
+  const expected = Buffer.from(digest, 'utf8');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+app.get('/install', (req, res) => {
+  const { shop } = req.query;
+  if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
+  if (!isValidShopDomain(shop)) return res.status(400).json({ error: 'Invalid shop domain' });
+  res.redirect(`/auth?shop=${shop}`);
+});
+
+app.get('/auth', (req, res) => {
+  const { shop } = req.query;
+  if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
+  if (!isValidShopDomain(shop)) return res.status(400).json({ error: 'Invalid shop domain' });
+
+  // Per-install nonce, echoed back by Shopify and checked against the signed cookie
+  const state = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    signed: true,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: 10 * 60 * 1000,
+  });
+
+  // **** UPDATED: Added script tag scopes
+  const scopes = 'write_checkouts,read_checkouts,read_orders,write_orders,read_draft_orders,write_draft_orders,read_script_tags,write_script_tags';
+  const redirectUri = `https://shopify.cryptocadet.app/auth/callback`;
+  const authUrl = `https://${shop}/admin/oauth/authorize?client_id=${process.env.SHOPIFY_API_KEY}&scope=${encodeURIComponent(
+    scopes
+  )}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${state}`;
+  res.redirect(authUrl);
+});
+
+app.get('/auth/callback', async (req, res) => {
+  const { shop, code, state } = req.query;
+  console.log('OAuth callback received:', { shop, code: code ? 'present' : 'missing', state });
+  
+  if (!shop || !code) {
+    console.error('Missing required OAuth params:', { shop, code });
+    return res.status(400).send('Missing shop or code parameter');
+  }
+
+  if (!isValidShopDomain(shop)) {
+    console.error('OAuth callback with invalid shop domain:', shop);
+    return res.status(400).send('Invalid shop domain');
+  }
+
+  if (!verifyShopifyQueryHmac(req.query)) {
+    console.error('OAuth callback HMAC verification failed for shop:', shop);
+    return res.status(400).send('HMAC verification failed');
+  }
+
+  const expectedState = req.signedCookies[OAUTH_STATE_COOKIE];
+  res.clearCookie(OAUTH_STATE_COOKIE);
+  if (!expectedState || expectedState !== state) {
+    console.error('OAuth state mismatch for shop:', shop);
+    return res.status(403).send('OAuth state mismatch, please start the install again');
+  }
+
+  try {
+    console.log(`Making token request to: https://${shop}/admin/oauth/access_token`);
+    
+    const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: process.env.SHOPIFY_API_KEY,
+        client_secret: process.env.SHOPIFY_API_SECRET,
+        code,
+      }),
+    });
+
+    // Never log the token response itself: it carries the access token
+    const tokenData = await tokenResponse.json();
+    console.log('Token response status:', tokenResponse.status, { scope: tokenData.scope });
+
+    if (!tokenResponse.ok) {
+      console.error('Token request failed:', tokenResponse.status, tokenData.error || tokenData.errors);
+      return res.status(400).send('OAuth failed: Shopify refused the token request');
+    }
+
+    if (!tokenData.access_token) {
+      console.error('No access token in token response for shop:', shop);
+      return res.status(400).send('No access token received');
+    }
+
+    // Store the token
+    await storeShopToken(shop, tokenData.access_token, tokenData.scope);
+    
+    // Verify storage worked
+    const storedToken = await getShopAccessToken(shop);
+    console.log('Token storage verification:', storedToken ? 'SUCCESS' : 'FAILED');
+
+    // A failure here must not block the install; the admin page checks the
+    // subscriptions again on every load
+    try {
+      const { created, updated } = await ensureWebhookSubscriptions(shop);
+      console.log('Webhook subscriptions registered:', { shop, created, updated });
+    } catch (error) {
+      console.error('Registering webhook subscriptions failed:', { shop, error: error.message });
+    }
+
+    res.redirect(`https://${shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(500).send(`OAuth error: ${error.message}`);
+  }
+});
+
+// Admin routes (authenticated with App Bridge session tokens)
+app.post('/activate-payment-method', requireSessionToken, async (req, res) => {
+  const shop = req.shop;
+  console.log('Activate payment method request:', { shop });
+
+  try {
+    // Check if we have an access token
+    const accessToken = await getShopAccessToken(shop);
+    console.log('Access token check:', accessToken ? 'FOUND' : 'NOT FOUND');
+    
+    if (!accessToken) {
+      console.error(`No access token found for shop: ${shop}`);
+      return res.status(401).json({ 
+        error: 'No access token found', 
+        shop: shop,
+        message: 'Please reinstall the app by going through the OAuth flow again'
+      });
+    }
+
+    console.log('Ensuring script tag for shop:', shop);
+    const { scriptTag, created, updated, removed } = await ensureScriptTag(shop);
+    console.log('Script tag ready:', { id: scriptTag.id, created: !!created, updated: !!updated, removed });
+    
+    const config = await getMerchantConfig(shop);
+    await storeMerchantConfig(shop, {
+      active: true,
+      script_tag_id: scriptTag.id,
+      activated_at: config?.active ? config.activated_at : new Date().toISOString(),
+      deactivated_at: null,
+    });
+    
+    res.json({ success: true, script_tag_id: scriptTag.id, created: !!created, duplicates_removed: removed });
+  } catch (err) {
+    console.error('Activation failed:', err);
+    res.status(500).json({ error: 'Activation failed', details: err.message });
+  }
+});
+
+
+app.post('/deactivate-payment-method', requireSessionToken, async (req, res) => {
+  const shop = req.shop;
+  console.log('Deactivate payment method request:', { shop });
+
+  try {
+    const removed = await removeScriptTags(shop);
+    await storeMerchantConfig(shop, {
+      active: false,
+      script_tag_id: null,
+      deactivated_at: new Date().toISOString(),
+    });
+    console.log('Payment method deactivated:', { shop, script_tags_removed: removed });
+    res.json({ success: true, script_tags_removed: removed });
+  } catch (err) {
+    console.error('Deactivation failed:', err);
+    res.status(500).json({ error: 'Deactivation failed', details: err.message });
+  }
+});
+
+// Reports the script tag state as Shopify sees it and corrects the stored
+// config when it has drifted (tag deleted elsewhere, duplicates, stale id).
+app.get('/payment-method-status', requireSessionToken, async (req, res) => {
+  const shop = req.shop;
+  try {
+    const config = await getMerchantConfig(shop);
+    const scriptTags = (await listScriptTags(shop)).filter(isOurScriptTag);
+    const live = scriptTags.find(tag => tag.id === config?.script_tag_id) || scriptTags[0] || null;
+    const active = !!live && config?.active !== false;
+
+    const drifted = (live?.id || null) !== (config?.script_tag_id || null) || active !== !!config?.active;
+    if (drifted) {
+      console.log('Correcting script tag drift:', { shop, stored: config?.script_tag_id || null, live: live?.id || null });
+      await storeMerchantConfig(shop, { active, script_tag_id: live?.id || null });
+    }
+
+    res.json({
+      active,
+      script_tag: live,
+      script_tag_count: scriptTags.length,
+      expected_src: STOREFRONT_SCRIPT_URL,
+      drift_corrected: drifted,
+      activated_at: config?.activated_at || null,
+      deactivated_at: config?.deactivated_at || null
+    });
+  } catch (err) {
+    console.error('Status check failed:', err);
+    res.status(500).json({ error: 'Status check failed', details: err.message });
+  }
+});
+
+// Webhook subscriptions as Shopify has them for the shop. Like the payment
+// method status, loading this repairs missing or stale subscriptions first.
+app.get('/webhook-subscriptions', requireSessionToken, async (req, res) => {
+  const shop = req.shop;
+  try {
+    const repair = await ensureWebhookSubscriptions(shop);
+    const subscriptions = await listWebhookSubscriptions(shop);
+    res.json({
+      expected: Object.keys(WEBHOOK_TOPICS).map(topic => ({ topic, callback_url: webhookCallbackUrl(topic) })),
+      subscriptions: subscriptions.map(subscription => ({
+        id: subscription.id,
+        topic: subscription.topic,
+        callback_url: subscription.endpoint?.callbackUrl || null,
+        ours: isOurWebhookSubscription(subscription),
+        created_at: subscription.createdAt
+      })),
+      repaired: { created: repair.created, updated: repair.updated, removed: repair.removed }
+    });
+  } catch (err) {
+    console.error('Webhook subscription check failed:', err);
+    res.status(500).json({ error: 'Webhook subscription check failed', details: err.message });
+  }
+});
+
+// Merchant config
+app.get('/merchant-config', requireSessionToken, async (req, res) => {
+  const config = await getMerchantConfig(req.shop);
+  if (!config) return res.status(404).json({ error: 'Not found' });
+  res.json(config);
+});
+
+// Merchant payment settings
+function describeChains() {
+  return Object.entries(CHAINS).map(([key, chain]) => ({
+    key,
+    name: chain.name,
+    assets: [chain.native.symbol, ...Object.keys(chain.tokens)].map(symbol => `${key}:${symbol}`)
+  }));
+}
+
+app.get('/merchant-settings', requireSessionToken, async (req, res) => {
+  const config = await getMerchantConfig(req.shop);
+  res.json({
+    settings: withDefaults(config?.settings),
+    version: config?.settings_version || 0,
+    chains: describeChains(),
+    deposit_addresses: depositAddressStatus(config),
+    webhook_events: MERCHANT_WEBHOOK_EVENTS,
+    webhook_secret: config?.webhook_secret || null
+  });
+});
+
+app.put('/merchant-settings', requireSessionToken, async (req, res) => {
+  const { settings, errors } = validateSettings(req.body);
+  for (const [index, endpoint] of settings.webhook_endpoints.entries()) {
+    const hostError = await checkEndpointHost(endpoint.url);
+    if (hostError) errors.push({ field: `webhook_endpoints.${index}.url`, message: hostError });
+  }
+  if (errors.length > 0) {
+    return res.status(422).json({ error: 'Invalid settings', errors });
+  }
+  try {
+    const config = await saveMerchantSettings(req.shop, settings);
+    console.log('Merchant settings saved:', { shop: req.shop, version: config.settings_version });
+    res.json({ success: true, settings: config.settings, version: config.settings_version });
+  } catch (error) {
+    console.error('Saving merchant settings failed:', error);
+    res.status(500).json({ error: 'Could not save settings', message: error.message });
+  }
+});
+
+app.get('/merchant-settings/versions', requireSessionToken, async (req, res) => {
+  const versions = await listMerchantSettingsVersions(req.shop);
+  res.json({ versions });
+});
+
+app.post('/merchant-settings/rollback', requireSessionToken, async (req, res) => {
+  const version = parseInt(req.body.version, 10);
+  const snapshot = Number.isInteger(version) ? await getMerchantSettingsVersion(req.shop, version) : null;
+  if (!snapshot) return res.status(404).json({ error: 'Settings version not found' });
+
+  try {
+    // Rolling back writes the old snapshot as a new version, so history is never rewritten
+    const config = await saveMerchantSettings(req.shop, snapshot.settings, { rolled_back_from: version });
+    console.log('Merchant settings rolled back:', { shop: req.shop, to: version, version: config.settings_version });
+    res.json({ success: true, settings: config.settings, version: config.settings_version });
+  } catch (error) {
+    console.error('Settings rollback failed:', error);
+    res.status(500).json({ error: 'Could not roll back settings', message: error.message });
+  }
+});
+
+// Merchant webhooks. Rotating the secret takes effect on the next attempt,
+// retries of older events included.
+app.post('/merchant-webhooks/secret', requireSessionToken, async (req, res) => {
+  const config = await storeMerchantConfig(req.shop, { webhook_secret: generateWebhookSecret() });
+  console.log('Merchant webhook secret rotated:', { shop: req.shop });
+  res.json({ success: true, webhook_secret: config.webhook_secret });
+});
+
+app.get('/merchant-webhooks/deliveries', requireSessionToken, async (req, res) => {
+  const deliveries = await listMerchantDeliveries(req.shop, { status: req.query.status });
+  res.json({ deliveries });
+});
+
+// Sends an event again as a new delivery, whatever became of the original
+app.post('/merchant-webhooks/deliveries/:id/redeliver', requireSessionToken, async (req, res) => {
+  const original = await storage.collection('webhook_deliveries').get(req.params.id);
+  if (!original || original.shop !== req.shop) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  const delivery = await queueMerchantDelivery({
+    shop: req.shop,
+    url: original.url,
+    event: original.payload,
+    redelivery_of: original.id
+  });
+  res.status(202).json({ success: true, delivery });
+});
+
+// Storefront script, rendered per shop from extensions/checkout-extension.js.
+// Shopify appends ?shop= to script tag URLs. The ETag changes with the shop's
+// settings, so browsers revalidate and pick up changes without a new script tag.
+app.get('/checkout-extension.js', async (req, res) => {
+  const { shop } = req.query;
+  res.setHeader('Content-Type', 'application/javascript');
+  res.setHeader('Cache-Control', 'public, no-cache');
+
+  if (!isValidShopDomain(shop)) {
+    return res.send('/* CryptoCadet: missing or invalid shop */');
+  }
+
+  try {
+    const config = await getMerchantConfig(shop);
+    if (config?.active === false) {
+      return res.send('/* CryptoCadet: crypto payments are turned off for this shop */');
+    }
+    const storefrontConfig = buildStorefrontConfig(shop, withDefaults(config?.settings), config?.settings_version || 0);
+    const { body, etag } = renderStorefrontScript(storefrontConfig);
+    res.setHeader('ETag', etag);
+    res.send(body);
+  } catch (error) {
+    console.error('Storefront script render failed:', error);
+    res.status(500).send('/* CryptoCadet: script unavailable */');
+  }
+});
+
+// Payments routes (sessions, confirm, reject)
+
+// The local status change has already happened by the time this runs; a
+// Shopify failure is surfaced to the caller (and kept on the session) rather
+// than undone.
+function sendShopifyOutcome(res, body, shopify) {
+  if (shopify && !shopify.ok) {
+    const status = shopify.user_errors.length > 0 ? 422 : 502;
+    return res.status(status).json({
+      success: false,
+      ...body,
+      error: 'Shopify did not accept the payment session update',
+      user_errors: shopify.user_errors,
+      shopify
+    });
+  }
+  res.json({ success: true, ...body, shopify });
+}
+
+app.post('/payments/sessions', async (req, res) => {
+  try {
+    const { id: paymentId, gid, amount, currency, test, return_url } = req.body;
+    console.log('Creating payment session:', { gid, amount, currency, test });
+    if (!gid || !amount || !currency) {
+      return res.status(400).json({
+        errors: [{ message: 'Missing required fields: gid, amount, currency', code: 'missing_required_fields' }]
+      });
+    }
+    const shop = req.get('Shopify-Shop-Domain') || req.body.shop;
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({
+        errors: [{ message: 'Missing or invalid shop domain', code: 'invalid_shop' }]
+      });
+    }
+    const settings = await getMerchantSettings(shop);
+    const amountError = checkOrderAmount(settings, amount);
+    if (amountError) {
+      return res.status(422).json({ errors: [{ message: amountError, code: 'amount_out_of_range' }] });
+    }
+
+    const session = {
+      id: `crypto_session_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      shop: shop,
+      shopify_session_id: gid,
+      // Shopify's payment id; the order's transactions carry it
+      shopify_payment_id: paymentId || null,
+      amount: amount,
+      currency: currency,
+      test_mode: test || false,
+      status: 'pending',
+      return_url: return_url
+    };
+    let depositAddress;
+    try {
+      depositAddress = await allocateDepositAddress(shop, session.id);
+    } catch (error) {
+      if (error.code !== 'address_gap_limit') throw error;
+      console.warn('Payment session refused:', { shop, reason: error.message });
+      return res.status(422).json({ errors: [{ message: error.message, code: error.code }] });
+    }
+    const paymentSession = await storePaymentSession({
+      ...session,
+      deposit_address: depositAddress,
+      quote: await quoteForSession(session)
+    });
+    console.log('Payment session created:', paymentSession.id);
+    res.json({
+      redirect_url: paymentPageUrl(paymentSession.id, settings),
+      context: {
+        session_id: paymentSession.id,
+        amount: amount,
+        currency: currency,
+        quote: paymentSession.quote,
+        deposit_address: depositAddress?.address || null,
+        derivation_path: depositAddress?.path || null
+      }
+    });
+  } catch (error) {
+    console.error('Payment session creation error:', error);
+    res.status(422).json({
+      errors: [{ message: 'Failed to create payment session', code: 'payment_session_error', details: error.message }]
+    });
+  }
+});
+
+// Storefront checkout: prices a crypto payment from a draft order built out
+// of the buyer's real cart, never from text scraped off the page.
+app.post('/storefront/checkout', async (req, res) => {
+  try {
+    const { shop, items, currency, discount_codes, return_url } = req.body;
+    console.log('Storefront checkout:', { shop, items: Array.isArray(items) ? items.length : 0, currency });
+
+    if (!shop || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Missing required fields: shop, items' });
+    }
+    if (!isValidShopDomain(shop)) {
+      return res.status(400).json({ error: 'Invalid shop domain' });
+    }
+    const merchantConfig = await getMerchantConfig(shop);
+    if (merchantConfig?.active === false) {
+      return res.status(403).json({ error: 'Crypto payments are not active for this shop' });
+    }
+    const lineItems = items.map(item => ({
+      variant_id: String(item.variant_id || ''),
+      quantity: Number(item.quantity)
+    }));
+    const invalid = lineItems.some(item => !/^\d+$/.test(item.variant_id) || !Number.isInteger(item.quantity) || item.quantity < 1);
+    if (invalid) {
+      return res.status(400).json({ error: 'Each item needs a numeric variant_id and a positive integer quantity' });
+    }
+
+    const sessionId = `crypto_session_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const draftOrder = await createDraftOrder(shop, {
+      items: lineItems,
+      currency,
+      discountCodes: Array.isArray(discount_codes) ? discount_codes.filter(Boolean) : [],
+      sessionId
+    });
+    const total = draftOrder.totalPriceSet.presentmentMoney;
+
+    const settings = await getMerchantSettings(shop);
+    const amountError = checkOrderAmount(settings, total.amount);
+    if (amountError) {
+      await deleteDraftOrder(shop, draftOrder.id).catch(error => {
+        console.error('Failed to delete out-of-range draft order:', error.message);
+      });
+      return res.status(422).json({ error: 'Order amount not accepted for crypto payment', message: amountError });
+    }
+
+    let depositAddress;
+    try {
+      depositAddress = await allocateDepositAddress(shop, sessionId);
+    } catch (error) {
+      await deleteDraftOrder(shop, draftOrder.id).catch(deleteError => {
+        console.error('Failed to delete unpayable draft order:', deleteError.message);
+      });
+      if (error.code !== 'address_gap_limit') throw error;
+      console.warn('Storefront checkout refused:', { shop, reason: error.message });
+      return res.status(422).json({ error: 'Crypto payments are paused for this shop', message: error.message });
+    }
+
+    const session = {
+      id: sessionId,
+      shop: shop,
+      draft_order_id: draftOrder.id,
+      draft_order_name: draftOrder.name,
+      amount: total.amount,
+      currency: total.currencyCode,
+      status: 'pending',
+      return_url: return_url
+    };
+    const paymentSession = await storePaymentSession({
+      ...session,
+      deposit_address: depositAddress,
+      quote: await quoteForSession(session)
+    });
+    console.log('Storefront payment session created:', { id: paymentSession.id, draft_order: draftOrder.name });
+
+    res.json({
+      session_id: paymentSession.id,
+      redirect_url: paymentPageUrl(paymentSession.id, settings),
+      amount: total.amount,
+      currency: total.currencyCode,
+      draft_order_id: draftOrder.id,
+      quote: paymentSession.quote,
+      deposit_address: paymentSession.deposit_address?.address || null
+    });
+  } catch (error) {
+    console.error('Storefront checkout error:', error);
+    res.status(422).json({ error: 'Could not start crypto checkout', message: error.message });
+  }
+});
+
+// Anyone holding the session id (the buyer's payment link) can read this, so
+// it carries what the buyer page needs to pay and nothing about the shop's
+// Shopify records, the payer's wallets or refunds. Merchants read the whole
+// record from GET /transactions/:id.
+function publicSessionView(session) {
+  return {
+    ...sessionSnapshot(session),
+    amount: session.amount,
+    currency: session.currency,
+    quote: session.quote || null,
+    deposit_address: session.deposit_address?.address || null,
+    top_up: topUpFor(session)
+  };
+}
+
+app.get('/payments/sessions/:id', async (req, res) => {
+  const session = await getPaymentSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Payment session not found' });
+  res.json(publicSessionView(session));
+});
+
+// --------------------
+// Session Events (SSE)
+// --------------------
+
+// Comment lines keep proxies and load balancers from closing an idle stream
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10);
+
+function writeSessionEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+}
+
+// Streams status changes, confirmation counts, received amounts and quote
+// refreshes of one session. A client reconnecting with Last-Event-ID gets the
+// events it missed; without one, or when they are no longer kept, it gets a
+// `snapshot` of the session to start from.
+app.get('/payments/sessions/:id/events', async (req, res) => {
+  const sessionId = req.params.id;
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.last_event_id || '', 10);
+
+  // Subscribe before reading so nothing published in between is lost; events
+  // already covered by the replay are skipped by id
+  const buffered = [];
+  let lastSent = Number.isInteger(lastEventId) ? lastEventId : 0;
+  let live = false;
+  const send = event => {
+    if (event.id <= lastSent) return;
+    lastSent = event.id;
+    writeSessionEvent(res, event);
+  };
+  const unsubscribe = subscribeToSession(sessionId, event => (live ? send(event) : buffered.push(event)));
+
+  let session;
+  try {
+    session = await getPaymentSession(sessionId);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+  if (!session) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Payment session not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const kept = session.events || [];
+  const seq = session.event_seq || 0;
+  const canResume = Number.isInteger(lastEventId) && lastEventId <= seq &&
+    (lastEventId >= seq || kept.some(event => event.id === lastEventId + 1));
+  if (canResume) {
+    kept.forEach(send);
+  } else {
+    lastSent = seq;
+    res.write(`id: ${seq}\nevent: snapshot\ndata: ${JSON.stringify({ session: sessionSnapshot(session) })}\n\n`);
+  }
+  live = true;
+  buffered.forEach(send);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// --------------------
+// Hosted Payment Page
+// --------------------
+
+// Buyers pay on our own page at <base>/pay/<session id>, the base being the
+// merchant's redirect_base_url when they set one and APP_URL otherwise
+function paymentPageUrl(sessionId, settings) {
+  const base = settings?.redirect_base_url || (process.env.APP_URL || '').replace(/\/$/, '');
+  return `${base}/pay/${sessionId}`;
+}
+
+// Only plain web URLs are followed after payment, never javascript: and the like
+function safeReturnUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['https:', 'http:'].includes(url.protocol) ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// The payment page has no inline script or style at all, so it gets a
+// stricter policy than the embedded admin: everything dynamic lives in
+// /static/pay.js and reads its data from data- attributes.
+const paymentPageCsp = helmet.contentSecurityPolicy({
+  useDefaults: false,
+  directives: {
+    defaultSrc: ["'self'"],
+    scriptSrc: ["'self'"],
+    styleSrc: ["'self'"],
+    imgSrc: ["'self'", 'data:'],
+    connectSrc: ["'self'"],
+    formAction: ["'self'"],
+    frameAncestors: ["'none'"],
+    baseUri: ["'none'"],
+    objectSrc: ["'none'"],
+  },
+});
+
+const PAYMENT_STATUS_TEXT = {
+  pending: 'Waiting for your payment',
+  partially_paid: 'Partial payment received',
+  awaiting_confirmations: 'Payment received, waiting for confirmations',
+  underpaid: 'Payment window closed before the full amount arrived',
+  confirmed: 'Payment complete',
+  overpaid: 'Payment complete',
+  rejected: 'Payment failed',
+  expired: 'This payment has expired',
+};
+
+// One block per asset the buyer can still pay with: the locked amount (or
+// what is left to top up), where to send it and a QR code of the EIP-681
+// link. Empty once the session no longer takes payments.
+async function paymentOptions(session) {
+  if (!session.quote || !['pending', 'partially_paid'].includes(session.status)) return [];
+  const settings = await getMerchantSettings(session.shop);
+  const lines = session.status === 'partially_paid'
+    ? [session.quote.assets[session.payment.asset]]
+    : Object.values(session.quote.assets);
+
+  const options = [];
+  for (const line of lines) {
+    const asset = getAsset(line.asset);
+    const address = session.payment?.crypto_address || session.deposit_address?.address || settings.wallets[asset.chain];
+    if (!asset || !address) continue;
+    const units = session.status === 'partially_paid' ? session.payment.remaining_units : line.amount_units;
+    const uri = paymentUri(asset, address, units);
+    options.push({
+      asset,
+      address,
+      amount: formatUnits(BigInt(units), asset.decimals),
+      uri,
+      qr: await QRCode.toString(uri, { type: 'svg', margin: 1 })
+    });
+  }
+  return options;
+}
+
+app.get('/pay/:sessionId', paymentPageCsp, async (req, res) => {
+  const session = await getPaymentSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).send('<!DOCTYPE html><title>Payment not found</title><p>This payment link is not valid.</p>');
+  }
+
+  const options = await paymentOptions(session);
+  const returnUrl = safeReturnUrl(session.return_url);
+  const orderName = session.order_name || session.draft_order_name;
+  const optionsHtml = options.map(option => `
+        <section class="section pay-option">
+          <h2>${escapeHtml(option.amount)} ${escapeHtml(option.asset.symbol)} <small>on ${escapeHtml(CHAINS[option.asset.chain].name)}</small></h2>
+          <div class="pay-qr" aria-hidden="true">${option.qr}</div>
+          <p class="pay-address"><code>${escapeHtml(option.address)}</code></p>
+          <button type="button" class="button button-secondary" data-copy="${escapeHtml(option.address)}">Copy address</button>
+          <button type="button" class="button button-secondary" data-copy="${escapeHtml(option.amount)}">Copy amount</button>
+          <a class="button" href="${escapeHtml(option.uri)}">Open in wallet</a>
+        </section>`).join('');
+  const assetChoices = options.map(option => `
+            <option value="${escapeHtml(option.asset.id)}">${escapeHtml(option.asset.symbol)} on ${escapeHtml(CHAINS[option.asset.chain].name)}</option>`).join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Pay with crypto</title>
+      <link rel="stylesheet" href="/static/style.css">
+    </head>
+    <body data-session-id="${escapeHtml(session.id)}" data-status="${escapeHtml(session.status)}" data-return-url="${escapeHtml(returnUrl || '')}">
       <div class="container">
-        <h1>CryptoCadet Payment Gateway</h1>
-        <p><strong>Shop:</strong> ${shop}</p>
-
-        <div class="section">
-          <h2>Payment Method Setup</h2>
-          <button id="activate-btn" class="button">Activate Crypto Payment Method</button>
-          <div id="activation-status"></div>
+        <h1>Pay with crypto</h1>
+        <p class="pay-summary">
+          ${orderName ? `Order ${escapeHtml(orderName)} · ` : ''}<strong>${escapeHtml(session.amount)} ${escapeHtml(session.currency)}</strong>
+        </p>
+        <p id="pay-status" class="pay-status">${escapeHtml(PAYMENT_STATUS_TEXT[session.status] || session.status)}</p>
+        ${session.status === 'partially_paid' ? `<p>Received ${escapeHtml(session.payment.amount)} of ${escapeHtml(session.payment.quoted_amount)}. Send the rest before the timer runs out.</p>` : ''}
+        ${session.quote && ['pending', 'partially_paid'].includes(session.status) ? `
+        <p id="quote-countdown" data-expires-at="${escapeHtml(session.quote.expires_at)}"></p>
+        ${session.status === 'pending' ? '<button type="button" id="requote-btn" class="button" hidden>Get a new quote</button>' : ''}` : ''}
+        ${session.status === 'pending' && !session.quote ? '<button type="button" id="requote-btn" class="button">Get a quote</button>' : ''}
+        <div id="pay-options">${optionsHtml}
         </div>
+        ${options.length > 0 ? `
+        <form id="tx-form" class="section">
+          <h2>Already sent it?</h2>
+          <label class="field">Asset
+            <select name="asset">${assetChoices}
+            </select>
+          </label>
+          <label class="field">Transaction hash <input name="transaction_id" placeholder="0x…" autocomplete="off" spellcheck="false" required></label>
+          <button type="submit" class="button">Check my payment</button>
+          <p id="tx-message"></p>
+        </form>` : ''}
+        ${returnUrl ? `<p><a id="return-link" href="${escapeHtml(returnUrl)}">Back to the store</a></p>` : ''}
       </div>
-
-      <script src="https://unpkg.com/@shopify/app-bridge@3"></script>
-      <script src="/static/app.js"></script>
+      <script src="/static/pay.js"></script>
     </body>
     </html>
   `);
 });
 
-// Install/OAuth flow
-app.get('/install', (req, res) => {
-  const { shop } = req.query;
-  if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
-  res.redirect(`/auth?shop=${shop}`);
+// Re-quotes a pending session whose quote has expired
+app.post('/payments/sessions/:id/quote', async (req, res) => {
+  try {
+    const { session, requoted } = await requotePaymentSession(req.params.id);
+    res.json({ success: true, requoted, quote: session.quote });
+  } catch (error) {
+    console.error('Re-quote error:', error);
+    const status = error.code ? sessionErrorStatus(error) : 503;
+    res.status(status).json({ error: 'Could not quote payment session', code: error.code, message: error.message });
+  }
 });
 
-app.get('/auth', (req, res) => {
-  const { shop } = req.query;
-  if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
+// Verifies a transaction against a session, adds it to what the session has
+// received and moves the session to the status the total calls for. Returns
+// { result, session, shopify, rejection } where result is not_found, refused
+// (the transaction cannot pay for the session: only last_refusal is
+// recorded, the status is left as it was) or the session's new status. Requests that cannot be checked at all throw
+// coded errors instead.
+async function confirmSessionPayment(sessionId, transactionId, assetId) {
+  let current = await getPaymentSession(sessionId);
+  if (!current) throw sessionNotFound(sessionId);
+  current = await closeExpiredPartialPayment(current);
+  checkPayable(current, transactionId);
+  const quoted = quotedAssetForPayment(current, assetId);
+  const settings = await getMerchantSettings(current.shop);
+  const recipient = current.deposit_address?.address || current.payment?.crypto_address || settings.wallets[quoted.chain];
+  if (!recipient) {
+    const error = new Error(`No receiving address configured on ${quoted.chain}`);
+    error.code = 'no_receiving_address';
+    throw error;
+  }
 
-  // **** UPDATED: Added script tag scopes
-  const scopes = 'write_checkouts,read_checkouts,read_orders,write_orders,read_script_tags,write_script_tags';
-  const redirectUri = `https://shopify.cryptocadet.app/auth/callback`;
-  const authUrl = `https://${shop}/admin/oauth/authorize?client_id=${process.env.SHOPIFY_API_KEY}&scope=${encodeURIComponent(
-    scopes
-  )}&redirect_uri=${encodeURIComponent(redirectUri)}`;
-  res.redirect(authUrl);
-});
+  const verification = await verifyTransfer({
+    asset: getAsset(quoted.asset),
+    txHash: transactionId,
+    recipient,
+    notBefore: current.created_at
+  });
+  if (verification.status === 'not_found') return { result: 'not_found', session: current };
+
+  const transfer = verification.transfer;
+  const entry = {
+    transaction_id: transfer.tx_hash,
+    amount: formatUnits(transfer.amount_units, quoted.decimals),
+    amount_units: transfer.amount_units.toString(),
+    from: transfer.from,
+    block_number: transfer.block_number,
+    block_hash: transfer.block_hash,
+    confirmations: transfer.confirmations,
+    verified_at: new Date().toISOString()
+  };
 
-app.get('/auth/callback', async (req, res) => {
-  const { shop, code, state } = req.query;
-  console.log('OAuth callback received:', { shop, code: code ? 'present' : 'missing', state });
-  
-  if (!shop || !code) {
-    console.error('Missing required OAuth params:', { shop, code });
-    return res.status(400).send('Missing shop or code parameter');
+  let rejection = verification.status === 'rejected' ? verification : null;
+  if (!rejection) {
+    try {
+      await claimTransaction(quoted.chain, transfer.tx_hash, current);
+    } catch (error) {
+      if (error.code !== 'tx_already_used') throw error;
+      rejection = { reason_code: error.code, message: error.message };
+    }
   }
-
+  if (rejection) {
+    // Refused rather than rejecting the session, unlike the first version of
+    // on-chain verification: /payments/confirm is unauthenticated, so anyone
+    // holding a session id could otherwise kill a live checkout with any
+    // mismatched transaction. The buyer may still send the right one before
+    // the quote runs out; expiry is what rejects the session. The precise
+    // reason is kept on the session for the merchant and the payment page.
+    console.log('Transaction refused:', { session_id: sessionId, reason_code: rejection.reason_code, paid_before: Boolean(current.payment) });
+    const session = await updatePaymentSession(sessionId, {
+      last_refusal: {
+        transaction_id: transfer.tx_hash,
+        reason_code: rejection.reason_code,
+        reason: rejection.message,
+        at: new Date().toISOString()
+      }
+    });
+    return { result: 'refused', session, rejection };
+  }
+  // The transfer is added to the session as stored at write time: a top-up
+  // confirmed meanwhile is kept, and a session closed meanwhile refuses it
+  let status;
+  let moved = false;
+  let session;
   try {
-    console.log(`Making token request to: https://${shop}/admin/oauth/access_token`);
-    
-    const tokenResponse = await fetch(`https://${shop}/admin/oauth/access_token`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        client_id: process.env.SHOPIFY_API_KEY,
-        client_secret: process.env.SHOPIFY_API_SECRET,
-        code,
-      }),
+    session = await updateSessionRecord(sessionId, fresh => {
+      if (!fresh) throw sessionNotFound(sessionId);
+      checkPayable(fresh, transfer.tx_hash);
+      if (fresh.quote?.id !== current.quote.id) {
+        const error = new Error('The quote changed while the transaction was checked; confirm again');
+        error.code = 'quote_expired';
+        throw error;
+      }
+      // Re-sending a known transaction refreshes its confirmations
+      const transfers = [
+        ...(fresh.payment?.transfers || []).filter(known => known.transaction_id !== entry.transaction_id),
+        entry
+      ];
+      const payment = summarizePayment(fresh, quoted, transfers, recipient);
+      status = PAYABLE_STATUSES.includes(fresh.status) ? paymentStatus(payment, settings) : fresh.status;
+      if (status === fresh.status) {
+        // Nothing Shopify needs to hear about: still short, or still confirming
+        return { ...fresh, payment, updated_at: new Date().toISOString() };
+      }
+      moved = true;
+      const updates = { payment, ...settlementDetails(payment, status, settings) };
+      if (PAID_STATUSES.includes(status)) updates.confirmed_at = new Date().toISOString();
+      return applyTransition(fresh, status, updates);
     });
+  } catch (error) {
+    await releaseTransaction(quoted.chain, transfer.tx_hash, sessionId);
+    throw error;
+  }
+  await markDepositAddressPaid(session, transfer.tx_hash);
+  if (!moved) return { result: status, session };
 
-    const tokenData = await tokenResponse.json();
-    console.log('Token response status:', tokenResponse.status);
-    console.log('Token response data:', tokenData);
+  console.log('Payment session updated:', { session_id: sessionId, status: session.status, paid: session.payment.amount });
+  if (session.overpayment?.policy === 'mark_for_refund') {
+    await queueRefund(session, { source: 'overpayment', amount_units: session.overpayment.amount_units });
+  }
+  const shopify = await notifyShopifyOfSession(session);
+  return { result: status, session: await getPaymentSession(sessionId), shopify };
+}
 
-    if (!tokenResponse.ok) {
-      console.error('Token request failed:', tokenData);
-      return res.status(400).send(`OAuth failed: ${JSON.stringify(tokenData)}`);
+const TX_NOT_FOUND_MESSAGE = 'Transaction is not mined yet or unknown to the node; retry once it is in a block';
+
+const CONFIRM_MESSAGES = {
+  partially_paid: 'Partial payment received; send the remaining amount before the quote expires',
+  awaiting_confirmations: 'Payment awaiting confirmations',
+  confirmed: 'Payment confirmed successfully',
+  overpaid: 'Payment confirmed; more than the quoted amount was received'
+};
+
+// Confirms a payment from the chain itself: the caller only names the
+// transaction (and the quoted asset, when the quote has several). Everything
+// else is read from the chain's RPC node.
+app.post('/payments/confirm', async (req, res) => {
+  try {
+    const { session_id, transaction_id, asset } = req.body;
+    console.log('Confirming payment:', { session_id, transaction_id, asset });
+    if (!session_id || !transaction_id) {
+      return res.status(400).json({ error: 'Missing required fields: session_id, transaction_id' });
+    }
+    if (!TX_HASH_PATTERN.test(transaction_id)) {
+      return res.status(400).json({ error: 'transaction_id must be a 0x-prefixed 32-byte transaction hash' });
     }
 
-    if (!tokenData.access_token) {
-      console.error('No access token in response:', tokenData);
-      return res.status(400).send('No access token received');
+    const outcome = await confirmSessionPayment(session_id, transaction_id, asset);
+    if (outcome.result === 'not_found') {
+      return res.status(409).json({ error: 'Payment confirmation failed', code: 'tx_not_found', message: TX_NOT_FOUND_MESSAGE });
+    }
+    if (outcome.result === 'refused') {
+      return res.status(422).json({
+        success: false,
+        error: 'Transaction not accepted for this payment',
+        code: outcome.rejection.reason_code,
+        message: outcome.rejection.message,
+        data: outcome.session,
+        top_up: topUpFor(outcome.session)
+      });
+    }
+    const message = CONFIRM_MESSAGES[outcome.result];
+    const body = { transaction_id, message, data: outcome.session, top_up: topUpFor(outcome.session) };
+    if (outcome.shopify === undefined) {
+      return res.json({ success: true, ...body });
     }
+    sendShopifyOutcome(res, body, outcome.shopify);
+  } catch (error) {
+    console.error('Payment confirmation error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Payment confirmation failed', code: error.code, message: error.message });
+  }
+});
 
-    // Store the token
-    await storeShopToken(shop, tokenData.access_token);
-    
-    // Verify storage worked
-    const storedToken = await getShopAccessToken(shop);
-    console.log('Token storage verification:', storedToken ? 'SUCCESS' : 'FAILED');
+// Matches an incoming transaction to sessions by deposit address, for
+// watchers that see funds arrive without knowing which checkout they are
+// for. Each transfer to a known deposit address is confirmed against its
+// session; other transfers are ignored.
+app.post('/payments/detect', async (req, res) => {
+  try {
+    const { chain, transaction_id } = req.body;
+    if (!chain || !transaction_id) {
+      return res.status(400).json({ error: 'Missing required fields: chain, transaction_id' });
+    }
+    if (!CHAINS[chain]) {
+      return res.status(400).json({ error: `Unsupported chain: ${chain}` });
+    }
+    if (!TX_HASH_PATTERN.test(transaction_id)) {
+      return res.status(400).json({ error: 'transaction_id must be a 0x-prefixed 32-byte transaction hash' });
+    }
 
-    res.redirect(`https://${shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`);
+    const found = await listTransfers(chain, transaction_id);
+    if (!found) {
+      return res.status(409).json({ error: 'Payment detection failed', code: 'tx_not_found', message: TX_NOT_FOUND_MESSAGE });
+    }
+
+    const matches = [];
+    const seen = new Set();
+    for (const transfer of found.transfers) {
+      const deposit = await findDepositAddress(transfer.to);
+      if (!deposit || seen.has(`${deposit.session_id}:${transfer.asset}`)) continue;
+      seen.add(`${deposit.session_id}:${transfer.asset}`);
+      try {
+        const outcome = await confirmSessionPayment(deposit.session_id, transaction_id, transfer.asset);
+        matches.push({
+          session_id: deposit.session_id,
+          asset: transfer.asset,
+          result: outcome.result,
+          status: outcome.session.status,
+          reason_code: outcome.rejection?.reason_code || null
+        });
+      } catch (error) {
+        matches.push({ session_id: deposit.session_id, asset: transfer.asset, error: error.code || 'error', message: error.message });
+      }
+    }
+    console.log('Payment detection:', { chain, transaction_id, matches: matches.length });
+    res.json({ success: true, transaction_id, matches });
   } catch (error) {
-    console.error('OAuth callback error:', error);
-    res.status(500).send(`OAuth error: ${error.message}`);
+    console.error('Payment detection error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Payment detection failed', code: error.code, message: error.message });
   }
 });
 
-// Replace your activate payment method route with this enhanced version:
-
-app.post('/activate-payment-method', async (req, res) => {
-  const { shop } = req.body;
-  console.log('Activate payment method request:', { shop, body: req.body });
-  
-  if (!shop) {
-    console.error('No shop provided in request body');
-    return res.status(400).json({ error: 'Shop required' });
+// Rejecting ends the buyer's checkout, so only the merchant may do it
+app.post('/payments/reject', requireSessionToken, async (req, res) => {
+  try {
+    const { session_id, reason, reason_code } = req.body;
+    console.log('Rejecting payment:', { session_id, reason, reason_code });
+    if (!session_id) {
+      return res.status(400).json({ error: 'Missing required field: session_id' });
+    }
+    const current = await getPaymentSession(session_id);
+    if (!current || current.shop !== req.shop) throw sessionNotFound(session_id);
+    const session = await transitionPaymentSession(session_id, 'rejected', {
+      reason: reason || 'Payment failed',
+      rejected_at: new Date().toISOString()
+    });
+    console.log('Payment rejected:', { session_id, reason: session.reason });
+    const shopify = await notifyShopifyOfSession(session, { reasonCode: reason_code });
+    sendShopifyOutcome(res, {
+      message: 'Payment rejected successfully',
+      data: await getPaymentSession(session_id)
+    }, shopify);
+  } catch (error) {
+    console.error('Payment rejection error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Payment rejection failed', code: error.code, message: error.message });
   }
+});
 
+// Merchant decision on an underpaid session: accept the shortfall so the
+// order counts as paid, or refuse it, which rejects the session and leaves
+// what did arrive due back to the buyer.
+app.post('/payments/sessions/:id/underpayment', requireSessionToken, async (req, res) => {
   try {
-    // Check if we have an access token
-    const accessToken = await getShopAccessToken(shop);
-    console.log('Access token check:', accessToken ? 'FOUND' : 'NOT FOUND');
-    
-    if (!accessToken) {
-      console.error(`No access token found for shop: ${shop}`);
-      
-      // List all stored shops for debugging
-      try {
-        const tokenPath = path.join(__dirname, 'shop-tokens.json');
-        const data = await fs.readFile(tokenPath, 'utf8');
-        const tokens = JSON.parse(data);
-        console.log('Available shops in storage:', Object.keys(tokens));
-      } catch (e) {
-        console.log('No token file found or error reading it:', e.message);
-      }
-      
-      return res.status(401).json({ 
-        error: 'No access token found', 
-        shop: shop,
-        message: 'Please reinstall the app by going through the OAuth flow again'
+    const { action } = req.body;
+    if (!['accept', 'refuse'].includes(action)) {
+      return res.status(400).json({ error: 'action must be "accept" or "refuse"' });
+    }
+    const current = await getPaymentSession(req.params.id);
+    if (!current || current.shop !== req.shop) throw sessionNotFound(req.params.id);
+    if (current.status !== 'underpaid') {
+      const error = new Error(`Payment session is ${current.status}, not underpaid`);
+      error.code = 'invalid_transition';
+      throw error;
+    }
+
+    const payment = current.payment;
+    const underpayment = {
+      amount: payment.remaining,
+      amount_units: payment.remaining_units,
+      asset: payment.asset,
+      accepted: action === 'accept' ? 'by_merchant' : 'refused'
+    };
+    const now = new Date().toISOString();
+    const session = action === 'accept'
+      ? await transitionPaymentSession(current.id, 'confirmed', { underpayment, confirmed_at: now })
+      : await transitionPaymentSession(current.id, 'rejected', {
+        underpayment,
+        reason: `Underpaid by ${payment.remaining} ${getAsset(payment.asset).symbol}`,
+        reason_code: 'underpaid',
+        rejected_at: now
       });
+    if (action === 'refuse') {
+      // Everything that did arrive goes back
+      await queueRefund(session, { source: 'underpayment', amount_units: payment.amount_units });
     }
+    console.log('Underpayment resolved:', { session_id: session.id, action });
+    const shopify = await notifyShopifyOfSession(session);
+    sendShopifyOutcome(res, {
+      message: action === 'accept' ? 'Underpayment accepted' : 'Underpayment refused',
+      data: await getPaymentSession(session.id)
+    }, shopify);
+  } catch (error) {
+    console.error('Underpayment resolution error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Could not resolve underpayment', code: error.code, message: error.message });
+  }
+});
 
-    console.log('Creating script tag for shop:', shop);
-    const scriptTag = await createScriptTag(shop);
-    console.log('Script tag created successfully:', scriptTag);
-    
-    await storeMerchantConfig(shop, {
-      script_tag_id: scriptTag.id,
-      activated_at: new Date().toISOString(),
-    });
-    
-    res.json({ success: true, script_tag_id: scriptTag.id });
-  } catch (err) {
-    console.error('Activation failed:', err);
-    res.status(500).json({ error: 'Activation failed', details: err.message });
+// Refund queue: every refund on the shop's sessions, newest first
+app.get('/refunds', requireSessionToken, async (req, res) => {
+  const { status } = req.query;
+  const sessions = await findPaymentSessions(session => (session.refunds || []).length > 0, { shop: req.shop });
+  const refunds = sessions
+    .flatMap(session => session.refunds.map(refund => ({
+      ...refund,
+      session_id: session.id,
+      order_id: session.order_id || null,
+      order_name: session.order_name || session.draft_order_name || null
+    })))
+    .filter(refund => !status || refund.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  res.json({ refunds });
+});
+
+// Transactions: the shop's payment sessions, filtered by status, asset,
+// chain, date range and fiat amount. The JSON list is paginated with an
+// opaque cursor; the CSV export has every matching row for accounting.
+async function findShopTransactions(shop, query, options) {
+  const { filters, errors } = parseTransactionFilters(query, { statuses: Object.keys(SESSION_TRANSITIONS) });
+  if (errors.length > 0) return { errors };
+  const sessions = await findPaymentSessions(() => true, { shop });
+  return selectTransactions(sessions.map(session => transactionRow(shop, session)), filters, options);
+}
+
+app.get('/transactions', requireSessionToken, async (req, res) => {
+  const result = await findShopTransactions(req.shop, req.query);
+  if (result.errors) return res.status(400).json({ error: 'Invalid filters', errors: result.errors });
+  res.json({ transactions: result.rows, next_cursor: result.next_cursor });
+});
+
+// The full stored session, for the merchant it belongs to
+app.get('/transactions/:id', requireSessionToken, async (req, res) => {
+  const session = await getPaymentSession(req.params.id);
+  if (!session || session.shop !== req.shop) return res.status(404).json({ error: 'Payment session not found' });
+  const { events, ...rest } = session;
+  res.json({ ...rest, top_up: topUpFor(session) });
+});
+
+app.get('/transactions.csv', requireSessionToken, async (req, res) => {
+  const result = await findShopTransactions(req.shop, req.query, { paginate: false });
+  if (result.errors) return res.status(400).json({ error: 'Invalid filters', errors: result.errors });
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(`crypto-transactions-${new Date().toISOString().slice(0, 10)}.csv`);
+  res.send(transactionsCsv(result.rows));
+});
+
+// Reconciliation reports: start one for a date range, read it back and
+// resolve its flags.
+app.post('/reconciliation', requireSessionToken, async (req, res) => {
+  const from = new Date(`${req.body.from}T00:00:00.000Z`);
+  const to = new Date(`${req.body.to}T23:59:59.999Z`);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({ error: 'Invalid period', message: 'from and to must be dates like 2024-05-31, from first' });
   }
+  if (to - from > RECONCILIATION_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: 'Invalid period', message: `Reconcile at most ${RECONCILIATION_MAX_DAYS} days at a time` });
+  }
+  const report = await startReconciliation(req.shop, from.toISOString(), to.toISOString());
+  res.status(202).json({ report });
 });
 
+app.get('/reconciliation', requireSessionToken, async (req, res) => {
+  const reports = await storage.collection('reconciliation_reports').list({ shop: req.shop });
+  res.json({
+    reports: reports
+      .sort((a, b) => b.started_at.localeCompare(a.started_at))
+      .map(({ flags, ...report }) => ({ ...report, open_flags: flags.filter(f => f.status === 'open').length }))
+  });
+});
 
-// Merchant config
-app.get('/merchant-config/:shop', async (req, res) => {
-  const config = await getMerchantConfig(req.params.shop);
-  if (!config) return res.status(404).json({ error: 'Not found' });
-  res.json(config);
+async function getShopReport(shop, reportId) {
+  const report = await storage.collection('reconciliation_reports').get(reportId);
+  return report && report.shop === shop ? report : null;
+}
+
+app.get('/reconciliation/:id', requireSessionToken, async (req, res) => {
+  const report = await getShopReport(req.shop, req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  res.json({ report });
 });
 
-// **** UPDATED: This route serves the actual JavaScript file
-app.get('/checkout-extension.js', (req, res) => {
-  res.setHeader('Content-Type', 'application/javascript');
-  res.send(`
-    (function () {
-      console.log("CryptoCadet script loaded:", window.location.href);
+app.post('/reconciliation/:id/flags/:flagId/resolve', requireSessionToken, async (req, res) => {
+  const { action, note } = req.body;
+  const report = await getShopReport(req.shop, req.params.id);
+  const flag = report?.flags.find(f => f.id === req.params.flagId);
+  if (!flag) return res.status(404).json({ error: 'Flag not found' });
+  if (flag.status !== 'open') {
+    return res.status(409).json({ error: 'Flag already resolved', code: 'invalid_transition', message: `Flag is ${flag.status}` });
+  }
+  if (!flag.actions.includes(action)) {
+    return res.status(400).json({ error: 'Invalid action', message: `Use one of: ${flag.actions.join(', ')}` });
+  }
 
-      // Run only on /cart pages
-      if (!/\\/cart(\\b|\\/|\\?|#|$)/.test(window.location.pathname)) {
-        return;
-      }
+  let outcome = null;
+  if (action === 'resync') {
+    try {
+      outcome = await resyncFlaggedPayment(req.shop, flag);
+    } catch (error) {
+      return res.status(sessionErrorStatus(error)).json({ error: 'Resync failed', code: error.code, message: error.message });
+    }
+    if (!outcome?.ok) {
+      return res.status(502).json({ error: 'Shopify did not accept the update', outcome });
+    }
+  }
 
-      function insertCryptoButton() {
-        if (document.getElementById("crypto-pay-btn")) return;
-
-        const checkoutBtn = document.querySelector('button[name="checkout"], .cart__checkout-button');
-        if (!checkoutBtn) return;
-
-        const cryptoBtn = document.createElement("button");
-        cryptoBtn.id = "crypto-pay-btn";
-        cryptoBtn.type = "button";
-        cryptoBtn.textContent = "🚀 Pay with Crypto";
-
-        cryptoBtn.style.cssText = \`
-          display: block;
-          width: 100%;
-          margin-top: 12px;
-          padding: 14px;
-          background: #5c6ac4;
-          color: white;
-          border: none;
-          border-radius: 6px;
-          font-size: 16px;
-          font-weight: 600;
-          cursor: pointer;
-        \`;
-
-        cryptoBtn.addEventListener("click", function () {
-          const totalEl = document.querySelector('.cart__footer, .totals, .cart__subtotal, .totals__subtotal');
-          const total = totalEl ? totalEl.innerText.match(/\\$[\\d,.]+/)?.[0] || "$0.00" : "$0.00";
-
-          const checkoutData = {
-            total,
-            url: window.location.href,
-            ts: Date.now()
-          };
-
-          const redirectUrl = "https://shopify.cryptocadet.app/crypto-demo?" +
-            new URLSearchParams({ checkout: JSON.stringify(checkoutData) });
-          console.log("CryptoCadet redirecting to:", redirectUrl);
-          window.location.href = redirectUrl;
-        });
+  const resolution = { action, note: note ? String(note).slice(0, 500) : null, outcome, at: new Date().toISOString() };
+  const updated = await storage.collection('reconciliation_reports').update(report.id, current => ({
+    ...current,
+    flags: current.flags.map(f => f.id === flag.id
+      ? { ...f, status: action === 'dismiss' ? 'dismissed' : 'resolved', resolution }
+      : f)
+  }));
+  console.log('Reconciliation flag resolved:', { report_id: report.id, flag_id: flag.id, action });
+  res.json({ success: true, flag: updated.flags.find(f => f.id === flag.id) });
+});
 
-        checkoutBtn.insertAdjacentElement("afterend", cryptoBtn);
-        console.log("✅ CryptoCadet button inserted");
-      }
+// Customer data exports made for Shopify data requests, and the audit log
+app.get('/data-exports', requireSessionToken, async (req, res) => {
+  const exports = await storage.collection('data_exports').list({ shop: req.shop });
+  res.json({
+    exports: exports
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(dataExportSummary)
+  });
+});
 
-      // Run immediately + watch for changes
-      insertCryptoButton();
-      new MutationObserver(insertCryptoButton).observe(document.body, {
-        childList: true,
-        subtree: true
-      });
-    })();
-  `);
+app.get('/data-exports/:id/download', requireSessionToken, async (req, res) => {
+  const record = await storage.collection('data_exports').get(req.params.id);
+  if (!record || record.shop !== req.shop) return res.status(404).json({ error: 'Export not found' });
+  if (Date.parse(record.expires_at) <= Date.now()) {
+    return res.status(410).json({ error: 'Export expired', message: `Exports are kept for ${DATA_EXPORT_RETENTION_DAYS} days` });
+  }
+
+  await storage.collection('data_exports').update(record.id, current => ({ ...current, downloaded_at: new Date().toISOString() }));
+  await recordAuditEvent(storage, {
+    shop: req.shop,
+    action: 'customer_data_downloaded',
+    actor: 'merchant',
+    details: { export_id: record.id, customer_id: record.customer_id }
+  });
+  res.attachment(`customer-data-${record.customer_id || record.id}.json`);
+  res.json(record.bundle);
 });
 
-// Payments routes (sessions, confirm, reject)
-app.post('/payments/sessions', async (req, res) => {
+app.get('/audit-log', requireSessionToken, async (req, res) => {
+  res.json({ entries: await listAuditEvents(storage, req.shop) });
+});
+
+async function getShopSession(shop, sessionId) {
+  const session = await getPaymentSession(sessionId);
+  if (!session || session.shop !== shop) throw sessionNotFound(sessionId);
+  return session;
+}
+
+function findRefund(session, refundId) {
+  const refund = (session.refunds || []).find(r => r.id === refundId);
+  if (!refund) throw refundNotFound(refundId);
+  return refund;
+}
+
+// Records where the buyer wants the refund sent
+app.post('/payments/sessions/:id/refunds/:refundId/address', requireSessionToken, async (req, res) => {
   try {
-    const { gid, amount, currency, test, return_url } = req.body;
-    console.log('Creating payment session:', { gid, amount, currency, test });
-    if (!gid || !amount || !currency) {
-      return res.status(400).json({
-        errors: [{ message: 'Missing required fields: gid, amount, currency', code: 'missing_required_fields' }]
-      });
+    const session = await getShopSession(req.shop, req.params.id);
+    const refund = findRefund(session, req.params.refundId);
+    let address;
+    try {
+      address = normalizeAddress(getAsset(refund.asset).chain, req.body.address);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid refund address', message: error.message });
     }
-    const paymentSession = {
-      id: `crypto_session_${Date.now()}`,
-      shopify_session_id: gid,
-      amount: amount,
-      currency: currency,
-      test_mode: test || false,
-      status: 'pending',
-      created_at: new Date().toISOString(),
-      return_url: return_url
-    };
-    console.log('Payment session created:', paymentSession);
-    const cryptoPaymentUrl = `${process.env.CRYPTO_APP_URL || 'https://your-crypto-app.com'}/pay/${paymentSession.id}`;
-    res.json({
-      redirect_url: cryptoPaymentUrl,
-      context: { session_id: paymentSession.id, amount: amount, currency: currency }
-    });
+    const updated = await updateRefund(session.id, refund.id, 'ready', { refund_address: address }, `Refund address set to ${address}`);
+    res.json({ success: true, refund: updated });
   } catch (error) {
-    console.error('Payment session creation error:', error);
-    res.status(422).json({
-      errors: [{ message: 'Failed to create payment session', code: 'payment_session_error', details: error.message }]
-    });
+    console.error('Refund address error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Could not set refund address', code: error.code, message: error.message });
   }
 });
 
-app.post('/payments/confirm', async (req, res) => {
+// Attaches the merchant's outgoing transaction. The refund completes once the
+// chain shows it paying the refund address in full with enough
+// confirmations; until then it stays sent and the call can be repeated.
+app.post('/payments/sessions/:id/refunds/:refundId/transaction', requireSessionToken, async (req, res) => {
+  let session, refund;
   try {
-    const { session_id, transaction_id, crypto_address, amount, block_hash } = req.body;
-    console.log('Confirming payment:', { session_id, transaction_id, amount });
-    if (!session_id || !transaction_id || !amount) {
-      return res.status(400).json({ error: 'Missing required fields: session_id, transaction_id, amount' });
+    const { transaction_id } = req.body;
+    if (!TX_HASH_PATTERN.test(transaction_id || '')) {
+      return res.status(400).json({ error: 'transaction_id must be a 0x-prefixed 32-byte transaction hash' });
     }
-    const confirmationResult = {
-      session_id: session_id,
-      transaction_id: transaction_id,
-      status: 'confirmed',
-      confirmed_at: new Date().toISOString(),
-      amount: amount,
-      crypto_address: crypto_address,
-      block_hash: block_hash
-    };
-    console.log('Payment confirmed:', confirmationResult);
-    res.json({
-      success: true,
-      transaction_id: transaction_id,
-      message: 'Payment confirmed successfully',
-      data: confirmationResult
-    });
+    session = await getShopSession(req.shop, req.params.id);
+    refund = findRefund(session, req.params.refundId);
+    if (!['ready', 'sent'].includes(refund.status)) {
+      const error = new Error(refund.status === 'awaiting_address'
+        ? 'Set the refund address before attaching a transaction'
+        : `Refund is already ${refund.status}`);
+      error.code = 'invalid_transition';
+      throw error;
+    }
+
+    const result = await verifyRefundTransaction(session, refund, transaction_id);
+    const updates = { transaction_id, confirmations: result.confirmations, last_error: null };
+    if (result.status === 'completed') updates.completed_at = new Date().toISOString();
+    const note = result.status === 'completed'
+      ? `Verified on chain with ${result.confirmations} confirmations`
+      : `Waiting for ${transaction_id} to confirm`;
+    const updated = await updateRefund(session.id, refund.id, result.status, updates, note);
+    console.log('Refund transaction recorded:', { session_id: session.id, refund_id: refund.id, status: updated.status });
+    res.json({ success: true, refund: updated });
   } catch (error) {
-    console.error('Payment confirmation error:', error);
-    res.status(500).json({ error: 'Payment confirmation failed', message: error.message });
+    console.error('Refund transaction error:', error);
+    if (refund && error.code && !['session_not_found', 'refund_not_found', 'invalid_transition'].includes(error.code)) {
+      // Keep the failed attempt in the refund's history
+      await updateRefund(session.id, refund.id, refund.status, { last_error: error.message },
+        `Transaction ${req.body.transaction_id} refused: ${error.message}`).catch(() => {});
+    }
+    res.status(sessionErrorStatus(error)).json({ error: 'Refund transaction not accepted', code: error.code, message: error.message });
   }
 });
 
-app.post('/payments/reject', async (req, res) => {
+app.post('/payments/sessions/:id/refunds/:refundId/cancel', requireSessionToken, async (req, res) => {
   try {
-    const { session_id, reason } = req.body;
-    console.log('Rejecting payment:', { session_id, reason });
-    if (!session_id) {
-      return res.status(400).json({ error: 'Missing required field: session_id' });
-    }
-    const rejectionResult = {
-      session_id: session_id,
-      status: 'rejected',
-      reason: reason || 'Payment failed',
-      rejected_at: new Date().toISOString()
-    };
-    console.log('Payment rejected:', rejectionResult);
-    res.json({
-      success: true,
-      message: 'Payment rejected successfully',
-      data: rejectionResult
-    });
+    const session = await getShopSession(req.shop, req.params.id);
+    const refund = findRefund(session, req.params.refundId);
+    const updated = await updateRefund(session.id, refund.id, 'cancelled', {}, req.body.note || 'Cancelled by merchant');
+    res.json({ success: true, refund: updated });
   } catch (error) {
-    console.error('Payment rejection error:', error);
-    res.status(500).json({ error: 'Payment rejection failed', message: error.message });
+    console.error('Refund cancel error:', error);
+    res.status(sessionErrorStatus(error)).json({ error: 'Could not cancel refund', code: error.code, message: error.message });
   }
 });
 
@@ -552,25 +3526,190 @@ app.get('/test-checkout', (req, res) => {
 });
 
 // Webhook endpoints
-app.post('/webhooks/orders/create', express.raw({ type: 'application/json' }), (req, res) => {
-  console.log('Order created webhook received');
-  res.status(200).send('OK');
-});
 
-app.post('/webhooks/orders/paid', express.raw({ type: 'application/json' }), (req, res) => {
-  console.log('Order paid webhook received');
-  res.status(200).send('OK');
-});
+// Subscriptions created through the Admin API are signed with the app secret,
+// manually configured ones with SHOPIFY_WEBHOOK_SECRET; accept either.
+function verifyShopifyWebhook(req) {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  if (!hmac || !req.rawBody) return false;
+
+  const provided = Buffer.from(hmac, 'base64');
+  const secrets = [process.env.SHOPIFY_WEBHOOK_SECRET, process.env.SHOPIFY_API_SECRET].filter(Boolean);
+  return secrets.some(secret => {
+    const digest = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+    return provided.length === digest.length && crypto.timingSafeEqual(provided, digest);
+  });
+}
 
-app.post('/webhooks/orders/cancelled', express.raw({ type: 'application/json' }), (req, res) => {
-  console.log('Order cancelled webhook received');
-  res.status(200).send('OK');
-});
+// Wraps a webhook handler with signature checks and de-duplication. The
+// receipt is taken before the handler runs and given back if it fails, so a
+// copy arriving meanwhile is not handled twice and failed deliveries are
+// retried. A copy arriving while the first is still being handled gets a 409,
+// which Shopify retries.
+function shopifyWebhook(topic, handler) {
+  return async (req, res) => {
+    const shop = req.get('X-Shopify-Shop-Domain');
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+
+    if (!verifyShopifyWebhook(req)) {
+      console.warn(`Rejected ${topic} webhook with invalid signature`, { shop, webhookId });
+      return res.status(401).send('Invalid webhook signature');
+    }
+    // The signature covers the body only, not this header
+    if (!isValidShopDomain(shop)) {
+      console.warn(`Rejected ${topic} webhook with invalid shop domain`, { shop, webhookId });
+      return res.status(400).send('Invalid shop domain');
+    }
 
-app.post('/webhooks/app/uninstalled', express.raw({ type: 'application/json' }), (req, res) => {
-  console.log('App uninstalled webhook received');
-  res.status(200).send('OK');
-});
+    const existing = webhookId ? await claimWebhookReceipt(webhookId, { topic, shop }) : null;
+    if (existing?.status === 'processing') {
+      console.log(`${topic} webhook already being processed:`, webhookId);
+      return res.status(409).send('Webhook is being processed');
+    }
+    if (existing) {
+      console.log(`Duplicate ${topic} webhook ignored:`, webhookId);
+      return res.status(200).send('OK');
+    }
+
+    try {
+      console.log(`${topic} webhook received`, { shop, webhookId });
+      await handler(shop, req.body);
+      if (webhookId) await completeWebhookReceipt(webhookId);
+      res.status(200).send('OK');
+    } catch (error) {
+      console.error(`${topic} webhook failed:`, error);
+      if (webhookId) await releaseWebhookReceipt(webhookId).catch(() => {});
+      res.status(500).send('Webhook processing failed');
+    }
+  };
+}
+
+const ORDER_PAYMENTS_QUERY = `
+  query orderPayments($id: ID!) {
+    order(id: $id) {
+      id
+      customAttributes { key value }
+      transactions(first: 10) { paymentId }
+    }
+  }
+`;
+
+// Payments app sessions only know Shopify's payment id until an order is
+// linked to them; the order's transactions carry that id.
+async function findSessionByOrderPayments(shop, orderId) {
+  const data = await makeShopifyRequest(shop, ORDER_PAYMENTS_QUERY, { id: orderId });
+  if (!data.order) return null;
+  return sessionForOrder(data.order, indexSessions(await findPaymentSessions(() => true, { shop })));
+}
+
+// Orders created from our draft orders carry the session id as a note
+// attribute; otherwise look for the order id recorded on the session, and
+// for orders paid through our gateway ask Shopify for the order's payments.
+async function findSessionForOrder(shop, order) {
+  const attribute = (order.note_attributes || []).find(a => a.name === 'cryptocadet_session_id');
+  if (attribute) {
+    const session = await getPaymentSession(attribute.value);
+    if (session && session.shop === shop) return session;
+  }
+  const [session] = await findPaymentSessions(s => s.order_id === order.admin_graphql_api_id, { shop });
+  if (session) return session;
+  if (!isOurGateway(order.payment_gateway_names)) return null;
+  return findSessionByOrderPayments(shop, order.admin_graphql_api_id);
+}
+
+app.post('/webhooks/orders/create', shopifyWebhook('orders/create', async (shop, order) => {
+  const session = await findSessionForOrder(shop, order);
+  if (!session) return;
+  await updatePaymentSession(session.id, {
+    order_id: order.admin_graphql_api_id,
+    order_name: order.name
+  });
+}));
+
+app.post('/webhooks/orders/paid', shopifyWebhook('orders/paid', async (shop, order) => {
+  const session = await findSessionForOrder(shop, order);
+  if (!session) return;
+  await updatePaymentSession(session.id, {
+    order_id: order.admin_graphql_api_id,
+    order_name: order.name,
+    order_paid_at: new Date().toISOString()
+  });
+}));
+
+app.post('/webhooks/orders/cancelled', shopifyWebhook('orders/cancelled', async (shop, order) => {
+  const session = await findSessionForOrder(shop, order);
+  if (!session) return;
+
+  await updatePaymentSession(session.id, { order_cancelled_at: order.cancelled_at || new Date().toISOString() });
+  if (!SESSION_TRANSITIONS[session.status]?.includes('rejected')) return;
+
+  const voided = await transitionPaymentSession(session.id, 'rejected', {
+    reason: `Order cancelled${order.cancel_reason ? ` (${order.cancel_reason})` : ''}`,
+    rejected_at: new Date().toISOString()
+  });
+  console.log('Voided payment session for cancelled order:', { session: session.id, order: order.name });
+  await notifyShopifyOfSession(voided);
+}));
+
+// Money refunded in Shopify for an order we were paid for in crypto
+function refundFiatAmount(refund) {
+  const transactions = (refund.transactions || []).filter(t => t.kind === 'refund' && t.status === 'success');
+  if (transactions.length > 0) {
+    const cents = transactions.reduce((sum, t) => sum + Math.round(Number(t.amount) * 100), 0);
+    return { amount: (cents / 100).toFixed(2), currency: transactions[0].currency };
+  }
+  const lines = refund.refund_line_items || [];
+  const cents = lines.reduce((sum, line) => sum + Math.round((Number(line.subtotal || 0) + Number(line.total_tax || 0)) * 100), 0);
+  return { amount: (cents / 100).toFixed(2), currency: null };
+}
+
+app.post('/webhooks/refunds/create', shopifyWebhook('refunds/create', async (shop, refund) => {
+  const orderId = `gid://shopify/Order/${refund.order_id}`;
+  let [session] = await findPaymentSessions(s => s.order_id === orderId, { shop });
+  if (!session) {
+    session = await findSessionByOrderPayments(shop, orderId);
+    if (session) session = await updatePaymentSession(session.id, { order_id: orderId });
+  }
+  if (!session || !PAID_STATUSES.includes(session.status)) return;
+
+  const fiat = refundFiatAmount(refund);
+  if (Number(fiat.amount) <= 0) return; // restock-only refund, nothing to pay back
+  const currency = fiat.currency || session.currency;
+
+  const settings = await getMerchantSettings(shop);
+  const priced = await cryptoForFiatRefund(session, fiat.amount, currency, settings.refund_rate_policy);
+  await queueRefund(session, {
+    source: 'shopify',
+    shopify_refund_id: String(refund.id),
+    amount_units: priced.units.toString(),
+    fiat: { fiat_amount: fiat.amount, currency, rate: priced.rate, rate_basis: priced.rate_basis },
+    note: refund.note || null
+  });
+}));
+
+app.post('/webhooks/app/uninstalled', shopifyWebhook('app/uninstalled', async (shop) => {
+  await deleteShopToken(shop);
+  await deleteMerchantConfig(shop);
+  await storage.collection('webhook_deliveries').deleteByShop(shop);
+  await storage.collection('reconciliation_reports').deleteByShop(shop);
+  console.log(`Purged stored data for uninstalled shop: ${shop}`);
+}));
+
+// Mandatory privacy webhooks. Shopify expects each to be acknowledged; the
+// merchant has 30 days to pass a data request's export on to the customer.
+app.post('/webhooks/customers/data_request', shopifyWebhook('customers/data_request', async (shop, request) => {
+  const record = await exportCustomerData(shop, request);
+  console.log('Customer data export ready:', { shop, export_id: record.id, sessions: record.session_ids.length });
+}));
+
+app.post('/webhooks/customers/redact', shopifyWebhook('customers/redact', async (shop, request) => {
+  await redactCustomerData(shop, request);
+}));
+
+app.post('/webhooks/shop/redact', shopifyWebhook('shop/redact', async (shop) => {
+  const removed = await deleteShopData(shop);
+  console.log(`Deleted all stored data for shop: ${shop}`, removed);
+}));
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -578,7 +3717,20 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal error' });
 });
 
-// Start
-app.listen(PORT, () => {
-  console.log(`🚀 CryptoCadet Payment Server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Start. Scripts that write to storage (tokens:rotate, data:retention) take
+// the same lock, so they refuse to run against a live file data directory.
+// Tests require the app without starting it.
+if (require.main === module) {
+  try {
+    storage.acquireLock('server');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  app.listen(PORT, () => {
+    console.log(`🚀 CryptoCadet Payment Server running on http://localhost:${PORT}`);
+    startBackgroundJobs().catch(error => console.error('Starting background jobs failed:', error));
+  });
+}
+
+module.exports = { app };
\ No newline at end of file
@@ -0,0 +1,706 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { HDNodeWallet } = require('ethers');
+const { startFakeEvmNode, word } = require('./test-support/fake-evm-node');
+const { fakeShopify } = require('./test-support/fake-shopify');
+const { unlinkedClaimId } = require('./lib/privacy');
+
+// Drives the app over HTTP against a fake chain node and a fake Shopify.
+
+const SHOP = 'test-shop.myshopify.com';
+const MERCHANT = '0x000000000000000000000000000000000000dEaD';
+const API_KEY = 'test-api-key';
+const API_SECRET = 'test-api-secret';
+const ETH = 10n ** 18n;
+
+// 15.00 USD at 3000 USD/ETH is 0.005 ETH
+const TX = {
+  paid: word(1),
+  paidAgain: word(2),
+  paidAfterMistake: word(3),
+  elsewhere: word(4),
+  paidPrivately: word(5),
+  firstHalf: word(6),
+  secondHalf: word(7),
+  beforeCheckout: word(8),
+  paidInFull: word(9),
+  late: word(10),
+  thirdA: word(11),
+  thirdB: word(12),
+  thirdC: word(13),
+};
+
+const paymentSessionReply = name => variables => ({
+  [name]: { paymentSession: { id: variables.id, state: { code: name }, nextAction: null }, userErrors: [] },
+});
+
+let node;
+let shopify;
+let server;
+let storage;
+let baseUrl;
+let dataDir;
+// Admin API orders by gid, for the orderPayments query
+const orders = {};
+
+test.before(async () => {
+  node = await startFakeEvmNode({
+    confirmations: 3,
+    transactions: {
+      [TX.paid]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.paidAgain]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.paidAfterMistake]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.paidPrivately]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.firstHalf]: { to: MERCHANT, value: 25n * ETH / 10000n },
+      [TX.secondHalf]: { to: MERCHANT, value: 25n * ETH / 10000n },
+      [TX.beforeCheckout]: { to: MERCHANT, value: 5n * ETH / 1000n, minedAt: new Date(Date.now() - 60 * 60 * 1000) },
+      [TX.paidInFull]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.thirdA]: { to: MERCHANT, value: 2n * ETH / 1000n },
+      [TX.thirdB]: { to: MERCHANT, value: 2n * ETH / 1000n },
+      [TX.thirdC]: { to: MERCHANT, value: 1n * ETH / 1000n },
+      [TX.late]: { to: MERCHANT, value: 5n * ETH / 1000n },
+      [TX.elsewhere]: { to: '0x000000000000000000000000000000000000bEEF', value: 5n * ETH / 1000n },
+    },
+  });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptocadet-test-'));
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    STORAGE_ADAPTER: 'file',
+    DATA_DIR: dataDir,
+    SHOPIFY_API_KEY: API_KEY,
+    SHOPIFY_API_SECRET: API_SECRET,
+    SHOPIFY_WEBHOOK_SECRET: API_SECRET,
+    TOKEN_ENCRYPTION_KEYS: `test:${crypto.randomBytes(32).toString('base64')}`,
+    RATE_PROVIDER: 'static',
+    STATIC_RATES: JSON.stringify({ USD: { ETH: '3000' } }),
+    RPC_URL_LOCAL: node.url,
+    REQUIRED_CONFIRMATIONS: '1',
+    SHOPIFY_MAX_RETRIES: '0',
+  });
+
+  shopify = fakeShopify({
+    paymentSessionResolve: paymentSessionReply('paymentSessionResolve'),
+    paymentSessionReject: paymentSessionReply('paymentSessionReject'),
+    paymentSessionPending: paymentSessionReply('paymentSessionPending'),
+    orderPayments: variables => ({ order: orders[variables.id] || null }),
+    ordersPayments: variables => ({ nodes: variables.ids.map(id => orders[id] || null) }),
+    accessToken: body => (body.code === 'good-code' && body.client_secret === API_SECRET
+      ? { json: { access_token: 'shpat_installed', scope: 'write_orders,read_orders' } }
+      : { status: 400, json: { error: 'invalid_request' } }),
+  });
+
+  const { app } = require('./server');
+  const { encryptToken } = require('./lib/token-crypto');
+  storage = require('./lib/storage').getStorage();
+  await storage.collection('tokens').put(SHOP, { shop: SHOP, access_token_encrypted: encryptToken('shpat_test', SHOP) });
+  await storage.collection('merchant_configs').put(SHOP, {
+    shop: SHOP,
+    settings: { wallets: { local: MERCHANT }, accepted_assets: ['local:ETH'] },
+  });
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  node.close();
+  shopify.restore();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(pathname, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (_) {
+    // Webhooks answer in plain text
+  }
+  return { status: response.status, body: json, text };
+}
+
+async function get(pathname, headers = {}) {
+  const response = await fetch(`${baseUrl}${pathname}`, { headers });
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// An App Bridge session token as the admin page would send it
+function sessionToken(claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const segment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = {
+    iss: `https://${SHOP}/admin`,
+    dest: `https://${SHOP}`,
+    aud: API_KEY,
+    sub: '1',
+    exp: now + 60,
+    nbf: now - 5,
+    iat: now - 5,
+    ...claims,
+  };
+  const unsigned = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', API_SECRET).update(unsigned).digest('base64url')}`;
+}
+
+function adminHeaders(claims) {
+  return { Authorization: `Bearer ${sessionToken(claims)}` };
+}
+
+function sendWebhook(topic, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  return post(`/webhooks/${topic}`, body, {
+    'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', API_SECRET).update(body).digest('base64'),
+    'X-Shopify-Shop-Domain': SHOP,
+    'X-Shopify-Topic': topic,
+    'X-Shopify-Webhook-Id': crypto.randomUUID(),
+    ...headers,
+  });
+}
+
+// A checkout through the Payments app: Shopify starts a payment session
+async function createPaymentsAppSession(paymentId) {
+  const response = await post('/payments/sessions', {
+    id: paymentId,
+    gid: `gid://shopify/PaymentSession/${paymentId}`,
+    amount: '15.00',
+    currency: 'USD',
+  }, { 'Shopify-Shop-Domain': SHOP });
+  assert.strictEqual(response.status, 200, response.text);
+  return response.body.context.session_id;
+}
+
+function getSession(sessionId) {
+  return storage.collection('payment_sessions').get(sessionId);
+}
+
+async function createPaidSession(paymentId, txHash) {
+  const sessionId = await createPaymentsAppSession(paymentId);
+  const confirmed = await post('/payments/confirm', { session_id: sessionId, transaction_id: txHash });
+  assert.strictEqual(confirmed.status, 200, confirmed.text);
+  assert.strictEqual((await getSession(sessionId)).status, 'confirmed');
+  return sessionId;
+}
+
+// Opens the session's event stream; next() resolves with the next event
+async function openEvents(sessionId, lastEventId) {
+  const controller = new AbortController();
+  const headers = lastEventId === undefined ? {} : { 'Last-Event-ID': String(lastEventId) };
+  const response = await fetch(`${baseUrl}/payments/sessions/${sessionId}/events`, { headers, signal: controller.signal });
+  assert.strictEqual(response.status, 200);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').filter(line => /^(id|event|data):/.test(line))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Event stream ended');
+      buffer += value;
+    }
+  }
+  return { next, close: () => controller.abort() };
+}
+
+// Expires the stored quote so /quote issues a new one, which is an event
+async function requote(sessionId) {
+  await storage.collection('payment_sessions').update(sessionId, current => ({
+    ...current, quote: { ...current.quote, expires_at: new Date(Date.now() - 1000).toISOString() },
+  }));
+  const response = await post(`/payments/sessions/${sessionId}/quote`, {});
+  assert.strictEqual(response.body.requoted, true, response.text);
+}
+
+// Starts an install and returns what the browser carries to the callback
+async function startInstall(shop) {
+  const response = await fetch(`${baseUrl}/auth?shop=${shop}`, { redirect: 'manual' });
+  assert.strictEqual(response.status, 302);
+  const state = new URL(response.headers.get('location')).searchParams.get('state');
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+  return { state, cookie };
+}
+
+// The callback query as Shopify signs it
+function signedCallbackQuery(params) {
+  const message = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  const hmac = crypto.createHmac('sha256', API_SECRET).update(message).digest('hex');
+  return new URLSearchParams({ ...params, hmac }).toString();
+}
+
+function oauthCallback(query, cookie) {
+  return fetch(`${baseUrl}/auth/callback?${query}`, { redirect: 'manual', headers: cookie ? { Cookie: cookie } : {} });
+}
+
+test('the OAuth callback stores the token and granted scopes for a signed, matching install', async () => {
+  const shop = 'install-shop.myshopify.com';
+  const { state, cookie } = await startInstall(shop);
+  assert.match(state, /^[0-9a-f]{32}$/);
+
+  const response = await oauthCallback(signedCallbackQuery({ shop, code: 'good-code', state, timestamp: '1700000000' }), cookie);
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get('location'), `https://${shop}/admin/apps/${API_KEY}`);
+  const token = await storage.collection('tokens').get(shop);
+  assert.strictEqual(token.scope, 'write_orders,read_orders');
+  assert.strictEqual(token.access_token, undefined);
+  assert.strictEqual((await storage.collection('shops').get(shop)).scope, 'write_orders,read_orders');
+});
+
+test('the OAuth callback refuses a bad query HMAC', async () => {
+  const shop = 'hmac-shop.myshopify.com';
+  const { state, cookie } = await startInstall(shop);
+  const query = signedCallbackQuery({ shop, code: 'good-code', state, timestamp: '1700000000' });
+
+  const tampered = await oauthCallback(query.replace('good-code', 'other-code'), cookie);
+  assert.strictEqual(tampered.status, 400);
+  const unsigned = await oauthCallback(new URLSearchParams({ shop, code: 'good-code', state }).toString(), cookie);
+  assert.strictEqual(unsigned.status, 400);
+  assert.strictEqual(await storage.collection('tokens').get(shop), null);
+});
+
+test('the OAuth callback refuses a state that does not match the install cookie', async () => {
+  const shop = 'state-shop.myshopify.com';
+  const { state, cookie } = await startInstall(shop);
+  const { cookie: otherCookie } = await startInstall(shop);
+  const query = signedCallbackQuery({ shop, code: 'good-code', state, timestamp: '1700000000' });
+
+  assert.strictEqual((await oauthCallback(query)).status, 403);
+  assert.strictEqual((await oauthCallback(query, otherCookie)).status, 403);
+  // A cookie whose signature does not check out counts as missing
+  const forged = `shopify_oauth_state=${encodeURIComponent(`s:${state}.forged`)}`;
+  assert.strictEqual((await oauthCallback(query, forged)).status, 403);
+  assert.strictEqual(await storage.collection('tokens').get(shop), null);
+  // The genuine cookie still completes the install
+  assert.strictEqual((await oauthCallback(query, cookie)).status, 302);
+});
+
+test('install and OAuth routes refuse shops outside myshopify.com', async () => {
+  for (const pathname of ['/install', '/auth']) {
+    const response = await fetch(`${baseUrl}${pathname}?shop=evil.example.com`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 400, pathname);
+  }
+  const query = signedCallbackQuery({ shop: 'evil.example.com', code: 'good-code', state: 'x', timestamp: '1700000000' });
+  assert.strictEqual((await oauthCallback(query)).status, 400);
+});
+
+test('admin routes take the shop from a valid session token only', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const ok = await get('/transactions', adminHeaders());
+  assert.strictEqual(ok.status, 200);
+
+  const token = sessionToken();
+  const refused = {
+    'no token': {},
+    'bad signature': { Authorization: `Bearer ${token.slice(0, -4)}AAAA` },
+    'signed with another secret': { Authorization: `Bearer ${token.split('.').slice(0, 2).join('.')}.${crypto.createHmac('sha256', 'other').update(token.split('.').slice(0, 2).join('.')).digest('base64url')}` },
+    'wrong audience': adminHeaders({ aud: 'another-app' }),
+    'expired': adminHeaders({ exp: now - 60 }),
+    'not yet valid': adminHeaders({ nbf: now + 60 }),
+    'dest outside myshopify.com': adminHeaders({ iss: 'https://evil.example.com/admin', dest: 'https://evil.example.com' }),
+    'issuer for another shop': adminHeaders({ iss: 'https://other-shop.myshopify.com/admin' }),
+  };
+  for (const [name, headers] of Object.entries(refused)) {
+    const response = await fetch(`${baseUrl}/transactions`, { headers });
+    assert.strictEqual(response.status, 401, name);
+    assert.strictEqual(response.headers.get('x-shopify-retry-invalid-session-request'), '1', name);
+  }
+  // Within the clock skew allowance
+  assert.strictEqual((await get('/transactions', adminHeaders({ exp: now - 2 }))).status, 200);
+});
+
+test('the session event stream resumes from Last-Event-ID', async () => {
+  const sessionId = await createPaymentsAppSession('pay_events');
+  // Each new quote is an event: 1, 2, 3
+  for (let index = 0; index < 3; index++) await requote(sessionId);
+
+  // A fresh client starts from a snapshot at the latest id
+  let stream = await openEvents(sessionId);
+  const snapshot = await stream.next();
+  stream.close();
+  assert.deepStrictEqual([snapshot.id, snapshot.type, snapshot.data.session.status], [3, 'snapshot', 'pending']);
+
+  // A client that saw event 1 gets what it missed, in order
+  stream = await openEvents(sessionId, 1);
+  assert.deepStrictEqual([(await stream.next()).id, (await stream.next()).id], [2, 3]);
+  stream.close();
+
+  // An up-to-date client gets only what happens next
+  stream = await openEvents(sessionId, 3);
+  await requote(sessionId);
+  const live = await stream.next();
+  stream.close();
+  assert.deepStrictEqual([live.id, live.type], [4, 'quote']);
+
+  // Events no longer kept, or an id the session never reached: start over
+  await storage.collection('payment_sessions').update(sessionId, current => ({ ...current, events: current.events.slice(2) }));
+  for (const lastEventId of [1, 99]) {
+    stream = await openEvents(sessionId, lastEventId);
+    const event = await stream.next();
+    stream.close();
+    assert.deepStrictEqual([event.id, event.type], [4, 'snapshot'], String(lastEventId));
+  }
+});
+
+test('a failed merchant webhook is signed and scheduled for a retry after the backoff', async () => {
+  const shop = 'hooks-shop.myshopify.com';
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ signature: req.headers['cryptocadet-signature'], body });
+      res.writeHead(503).end('busy');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  try {
+    await storage.collection('merchant_configs').put(shop, {
+      shop,
+      webhook_secret: 'whsec_test',
+      settings: { webhook_endpoints: [{ url: `http://127.0.0.1:${receiver.address().port}/hooks`, events: ['session.created'] }] },
+    });
+    const started = Date.now();
+    const created = await post('/payments/sessions', {
+      id: 'pay_hooks', gid: 'gid://shopify/PaymentSession/pay_hooks', amount: '15.00', currency: 'USD',
+    }, { 'Shopify-Shop-Domain': shop });
+    assert.strictEqual(created.status, 200, created.text);
+
+    const attempted = async count => {
+      for (let tries = 0; tries < 100; tries++) {
+        const [delivery] = await storage.collection('webhook_deliveries').list({ shop });
+        if (delivery?.attempts.length === count) return delivery;
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error(`No attempt ${count}`);
+    };
+    const first = await attempted(1);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(first.attempts[0].status_code, 503);
+    const wait = Date.parse(first.next_attempt_at) - started;
+    assert.ok(wait >= 30 * 1000 && wait < 35 * 1000, String(wait));
+
+    const [, timestamp, digest] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(received[0].signature);
+    assert.strictEqual(digest, crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${received[0].body}`).digest('hex'));
+    assert.strictEqual(JSON.parse(received[0].body).type, 'session.created');
+  } finally {
+    receiver.close();
+  }
+});
+
+test('payment sessions need a valid shop domain', async () => {
+  const response = await post('/payments/sessions', { id: 'p0', gid: 'gid://shopify/PaymentSession/p0', amount: '15.00', currency: 'USD' }, {
+    'Shopify-Shop-Domain': 'evil.example.com',
+  });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.errors[0].code, 'invalid_shop');
+});
+
+test('the public session view leaves out the merchant\'s records', async () => {
+  const sessionId = await createPaymentsAppSession('pay_view');
+  const view = await get(`/payments/sessions/${sessionId}`);
+  assert.strictEqual(view.status, 200);
+  assert.strictEqual(view.body.status, 'pending');
+  assert.strictEqual(view.body.amount, '15.00');
+  assert.strictEqual(view.body.quote.assets['local:ETH'].amount, '0.005');
+  for (const field of ['shop', 'shopify_session_id', 'shopify_payment_id', 'return_url', 'refunds', 'events']) {
+    assert.strictEqual(field in view.body, false, field);
+  }
+
+  assert.strictEqual((await get(`/transactions/${sessionId}`)).status, 401);
+  const full = await get(`/transactions/${sessionId}`, adminHeaders());
+  assert.strictEqual(full.status, 200);
+  assert.strictEqual(full.body.shop, SHOP);
+  assert.strictEqual(full.body.shopify_payment_id, 'pay_view');
+  const otherShop = adminHeaders({ iss: 'https://other-shop.myshopify.com/admin', dest: 'https://other-shop.myshopify.com' });
+  assert.strictEqual((await get(`/transactions/${sessionId}`, otherShop)).status, 404);
+});
+
+test('only the shop\'s merchant can reject a session', async () => {
+  const sessionId = await createPaymentsAppSession('pay_reject');
+  assert.strictEqual((await post('/payments/reject', { session_id: sessionId })).status, 401);
+  const otherShop = adminHeaders({ iss: 'https://other-shop.myshopify.com/admin', dest: 'https://other-shop.myshopify.com' });
+  assert.strictEqual((await post('/payments/reject', { session_id: sessionId }, otherShop)).status, 404);
+  assert.strictEqual((await getSession(sessionId)).status, 'pending');
+
+  const rejected = await post('/payments/reject', { session_id: sessionId, reason: 'Out of stock' }, adminHeaders());
+  assert.strictEqual(rejected.status, 200, rejected.text);
+  assert.strictEqual((await getSession(sessionId)).status, 'rejected');
+});
+
+test('checkouts are refused once the gap limit of unpaid deposit addresses is reached', async () => {
+  const shop = 'xpub-shop.myshopify.com';
+  const xpub = HDNodeWallet.fromSeed(Buffer.alloc(32, 7)).derivePath("m/44'/60'/0'").neuter().extendedKey;
+  const settings = { xpub, address_gap_limit: 2, accepted_assets: ['local:ETH'] };
+  await storage.collection('merchant_configs').put(shop, { shop, settings });
+  const checkout = paymentId => post('/payments/sessions', {
+    id: paymentId, gid: `gid://shopify/PaymentSession/${paymentId}`, amount: '15.00', currency: 'USD',
+  }, { 'Shopify-Shop-Domain': shop });
+
+  const addresses = [];
+  for (const paymentId of ['gap_1', 'gap_2']) {
+    const response = await checkout(paymentId);
+    assert.strictEqual(response.status, 200, response.text);
+    addresses.push(response.body.context.deposit_address);
+  }
+  assert.notStrictEqual(addresses[0], addresses[1]);
+  const refused = await checkout('gap_3');
+  assert.strictEqual(refused.status, 422);
+  assert.strictEqual(refused.body.errors[0].code, 'address_gap_limit');
+
+  // The merchant raised their wallet's gap limit and this one with it
+  await storage.collection('merchant_configs').update(shop, current => ({ ...current, settings: { ...settings, address_gap_limit: 3 } }));
+  assert.strictEqual((await checkout('gap_4')).status, 200);
+});
+
+test('Shopify userErrors on a session update are reported and recorded', async () => {
+  const sessionId = await createPaymentsAppSession('pay_user_errors');
+  const reply = shopify.handlers.paymentSessionReject;
+  shopify.handlers.paymentSessionReject = () => ({
+    paymentSessionReject: { paymentSession: null, userErrors: [{ field: ['id'], message: 'Payment session is already resolved' }] },
+  });
+  try {
+    const rejected = await post('/payments/reject', { session_id: sessionId }, adminHeaders());
+    assert.strictEqual(rejected.status, 422);
+    assert.deepStrictEqual(rejected.body.user_errors, [{ field: ['id'], message: 'Payment session is already resolved' }]);
+  } finally {
+    shopify.handlers.paymentSessionReject = reply;
+  }
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.status, 'rejected');
+  assert.strictEqual(session.shopify.ok, false);
+});
+
+test('a transaction paying someone else is refused without touching the session', async () => {
+  const sessionId = await createPaymentsAppSession('pay_mistake');
+  const before = shopify.calls.length;
+
+  const refused = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.elsewhere });
+  assert.strictEqual(refused.status, 422);
+  assert.strictEqual(refused.body.code, 'recipient_mismatch');
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.status, 'pending');
+  assert.strictEqual(session.payment, undefined);
+  assert.strictEqual(session.last_refusal.transaction_id, TX.elsewhere);
+  assert.strictEqual(session.last_refusal.reason_code, 'recipient_mismatch');
+  assert.strictEqual(shopify.calls.length, before);
+
+  const paid = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.paidAfterMistake });
+  assert.strictEqual(paid.status, 200, paid.text);
+  assert.strictEqual((await getSession(sessionId)).status, 'confirmed');
+});
+
+test('a partial payment waits for a top-up and then confirms', async () => {
+  const sessionId = await createPaymentsAppSession('pay_halves');
+
+  const first = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.firstHalf });
+  assert.strictEqual(first.status, 200, first.text);
+  assert.strictEqual((await getSession(sessionId)).status, 'partially_paid');
+  assert.strictEqual(first.body.top_up.amount, '0.0025');
+
+  const second = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.secondHalf });
+  assert.strictEqual(second.status, 200, second.text);
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.status, 'confirmed');
+  assert.deepStrictEqual(session.history.map(entry => entry.status), ['pending', 'partially_paid', 'confirmed']);
+  assert.strictEqual(session.payment.amount, '0.005');
+});
+
+test('top-ups confirmed at the same time are all kept', async () => {
+  const sessionId = await createPaymentsAppSession('pay_parallel');
+  const responses = await Promise.all([TX.thirdA, TX.thirdB, TX.thirdC].map(transaction_id =>
+    post('/payments/confirm', { session_id: sessionId, transaction_id })));
+  responses.forEach(response => assert.strictEqual(response.status, 200, response.text));
+
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.payment.transfers.length, 3);
+  assert.strictEqual(session.payment.amount, '0.005');
+  assert.strictEqual(session.status, 'confirmed');
+});
+
+test('a paid session takes no new transaction and leaves it unclaimed', async () => {
+  const sessionId = await createPaidSession('pay_closed', TX.paidInFull);
+  const response = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.late });
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.code, 'session_closed');
+  assert.strictEqual(await storage.collection('used_transactions').get(`local:${TX.late}`), null);
+  assert.strictEqual((await getSession(sessionId)).payment.transfers.length, 1);
+
+  // Its own transaction can still be checked again
+  const again = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.paidInFull });
+  assert.strictEqual(again.status, 200, again.text);
+});
+
+test('a transaction mined before checkout is refused', async () => {
+  const sessionId = await createPaymentsAppSession('pay_early');
+  const response = await post('/payments/confirm', { session_id: sessionId, transaction_id: TX.beforeCheckout });
+  assert.strictEqual(response.status, 422);
+  assert.strictEqual(response.body.code, 'tx_too_old');
+  assert.strictEqual((await getSession(sessionId)).status, 'pending');
+});
+
+test('a refund on a Payments app order is queued for the session that paid it', async () => {
+  const sessionId = await createPaidSession('pay_refund', TX.paid);
+  orders['gid://shopify/Order/1001'] = {
+    id: 'gid://shopify/Order/1001',
+    customAttributes: [],
+    transactions: [{ paymentId: 'pay_refund' }],
+  };
+
+  const response = await sendWebhook('refunds/create', {
+    id: 501,
+    order_id: 1001,
+    note: 'Damaged in transit',
+    transactions: [{ kind: 'refund', status: 'success', amount: '15.00', currency: 'USD', gateway: 'CryptoCadet' }],
+  });
+  assert.strictEqual(response.status, 200);
+
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.order_id, 'gid://shopify/Order/1001');
+  assert.strictEqual(session.refunds.length, 1);
+  assert.strictEqual(session.refunds[0].status, 'awaiting_address');
+  assert.strictEqual(session.refunds[0].shopify_refund_id, '501');
+  assert.strictEqual(session.refunds[0].amount, '0.005');
+});
+
+test('orders/create links a Payments app order to its session', async () => {
+  const sessionId = await createPaidSession('pay_order', TX.paidAgain);
+  orders['gid://shopify/Order/1002'] = {
+    id: 'gid://shopify/Order/1002',
+    customAttributes: [],
+    transactions: [{ paymentId: 'pay_order' }],
+  };
+
+  const response = await sendWebhook('orders/create', {
+    id: 1002,
+    admin_graphql_api_id: 'gid://shopify/Order/1002',
+    name: '#1002',
+    payment_gateway_names: ['CryptoCadet'],
+    note_attributes: [],
+  });
+  assert.strictEqual(response.status, 200);
+
+  const session = await getSession(sessionId);
+  assert.strictEqual(session.order_id, 'gid://shopify/Order/1002');
+  assert.strictEqual(session.order_name, '#1002');
+});
+
+test('webhooks need a valid signature over the exact body', async () => {
+  const order = { id: 1011, admin_graphql_api_id: 'gid://shopify/Order/1011', name: '#1011', payment_gateway_names: ['CryptoCadet'], note_attributes: [] };
+  const body = JSON.stringify(order);
+  const signature = crypto.createHmac('sha256', API_SECRET).update(body).digest('base64');
+  const headers = { 'X-Shopify-Shop-Domain': SHOP, 'X-Shopify-Topic': 'orders/create' };
+  const before = shopify.calls.length;
+
+  const tampered = await post('/webhooks/orders/create', body.replace('#1011', '#1012'), {
+    ...headers, 'X-Shopify-Hmac-Sha256': signature, 'X-Shopify-Webhook-Id': crypto.randomUUID(),
+  });
+  assert.strictEqual(tampered.status, 401);
+  const unsigned = await post('/webhooks/orders/create', body, { ...headers, 'X-Shopify-Webhook-Id': crypto.randomUUID() });
+  assert.strictEqual(unsigned.status, 401);
+  const wrongSecret = await post('/webhooks/orders/create', body, {
+    ...headers,
+    'X-Shopify-Hmac-Sha256': crypto.createHmac('sha256', 'not-the-secret').update(body).digest('base64'),
+    'X-Shopify-Webhook-Id': crypto.randomUUID(),
+  });
+  assert.strictEqual(wrongSecret.status, 401);
+  assert.strictEqual(shopify.calls.length, before);
+
+  const webhookId = crypto.randomUUID();
+  const signed = { ...headers, 'X-Shopify-Hmac-Sha256': signature, 'X-Shopify-Webhook-Id': webhookId };
+  assert.strictEqual((await post('/webhooks/orders/create', body, signed)).status, 200);
+  assert.strictEqual(shopify.calls.length, before + 1);
+  // A replay of the same delivery is acknowledged but not handled again
+  assert.strictEqual((await post('/webhooks/orders/create', body, signed)).status, 200);
+  assert.strictEqual(shopify.calls.length, before + 1);
+});
+
+test('webhooks must name a valid shop', async () => {
+  const response = await sendWebhook('orders/create', { id: 1009, payment_gateway_names: [] }, { 'X-Shopify-Shop-Domain': 'evil.example.com' });
+  assert.strictEqual(response.status, 400);
+});
+
+test('a failed webhook gives its receipt back so the retry is handled', async () => {
+  const webhookId = crypto.randomUUID();
+  const order = { id: 1010, admin_graphql_api_id: 'gid://shopify/Order/1010', name: '#1010', payment_gateway_names: ['CryptoCadet'], note_attributes: [] };
+  const lookup = shopify.handlers.orderPayments;
+  shopify.handlers.orderPayments = () => { throw new Error('Shopify is down'); };
+  try {
+    assert.strictEqual((await sendWebhook('orders/create', order, { 'X-Shopify-Webhook-Id': webhookId })).status, 500);
+  } finally {
+    shopify.handlers.orderPayments = lookup;
+  }
+  assert.strictEqual(await storage.collection('webhook_receipts').get(webhookId), null);
+
+  const before = shopify.calls.length;
+  assert.strictEqual((await sendWebhook('orders/create', order, { 'X-Shopify-Webhook-Id': webhookId })).status, 200);
+  assert.strictEqual((await storage.collection('webhook_receipts').get(webhookId)).status, 'processed');
+  assert.strictEqual(shopify.calls.length, before + 1);
+});
+
+test('orders from other gateways are not looked up in Shopify', async () => {
+  const before = shopify.calls.length;
+  const response = await sendWebhook('orders/create', {
+    id: 1003,
+    admin_graphql_api_id: 'gid://shopify/Order/1003',
+    name: '#1003',
+    payment_gateway_names: ['shopify_payments'],
+    note_attributes: [],
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(shopify.calls.length, before);
+});
+
+test('privacy requests find a Payments app session by the payment on the order', async () => {
+  const sessionId = await createPaidSession('pay_private', TX.paidPrivately);
+  orders['gid://shopify/Order/1004'] = {
+    id: 'gid://shopify/Order/1004',
+    customAttributes: [],
+    transactions: [{ paymentId: 'pay_private' }],
+  };
+  const customer = { id: 77, email: 'buyer@example.com' };
+
+  await sendWebhook('customers/data_request', { orders_requested: [1004], customer, data_request: { id: 9 } });
+  const [dataExport] = (await storage.collection('data_exports').list({ shop: SHOP }))
+    .filter(record => record.data_request_id === 9);
+  assert.deepStrictEqual(dataExport.session_ids, [sessionId]);
+
+  await sendWebhook('customers/redact', { orders_to_redact: [1004], customer });
+  const session = await getSession(sessionId);
+  assert.ok(session.redacted_at);
+  assert.strictEqual(session.payment.transfers[0].from, null);
+  assert.strictEqual(session.payment.transfers[0].transaction_id, null);
+  assert.strictEqual(await storage.collection('used_transactions').get(`local:${TX.paidPrivately}`), null);
+  const claim = await storage.collection('used_transactions').get(unlinkedClaimId('local', TX.paidPrivately));
+  assert.strictEqual(claim.session_id, null);
+  assert.strictEqual(claim.tx_hash, null);
+
+  // The claim still keeps the transaction from paying another session
+  const otherId = await createPaymentsAppSession('pay_replay');
+  const replayed = await post('/payments/confirm', { session_id: otherId, transaction_id: TX.paidPrivately });
+  assert.strictEqual(replayed.status, 422);
+  assert.strictEqual(replayed.body.code, 'tx_already_used');
+});
+
+test('the admin page lists the refund queue with a filter per refund status', async () => {
+  const response = await fetch(`${baseUrl}/?shop=${SHOP}`);
+  const page = await response.text();
+  assert.match(page, /<tbody id="refund-rows">/);
+  assert.match(page, /<option value="awaiting_address">awaiting address<\/option>/);
+});
@@ -0,0 +1,63 @@
+const http = require('http');
+
+// A JSON-RPC node serving a fixed set of native-coin transactions, for tests
+// that verify payments. `transactions` maps a hash to { to, value (wei,
+// BigInt), status (1 or 0), minedAt (Date) }; every transaction has its own
+// block and the head stays `confirmations - 1` blocks past the latest one.
+
+const word = n => `0x${BigInt(n).toString(16).padStart(64, '0')}`;
+const hex = n => `0x${BigInt(n).toString(16)}`;
+const SENDER = '0x00000000000000000000000000000000000000aa';
+
+function startFakeEvmNode({ chainId = 31337, transactions = {}, confirmations = 3 } = {}) {
+  const blocks = Object.keys(transactions);
+  const blockOf = hash => 100 + blocks.indexOf(hash);
+  const head = () => 100 + blocks.length - 1 + confirmations - 1;
+
+  function result({ method, params }) {
+    const hash = params?.[0];
+    const tx = transactions[hash];
+    switch (method) {
+      case 'eth_chainId': return hex(chainId);
+      case 'eth_blockNumber': return hex(head());
+      case 'eth_getTransactionByHash':
+        return tx ? {
+          hash, blockHash: word(blockOf(hash)), blockNumber: hex(blockOf(hash)), transactionIndex: '0x0',
+          from: SENDER, to: tx.to, value: hex(tx.value), gas: '0x5208', gasPrice: '0x1', input: '0x',
+          nonce: '0x1', type: '0x0', chainId: hex(chainId), v: '0x1b', r: word(1), s: word(2),
+        } : null;
+      case 'eth_getTransactionReceipt':
+        return tx ? {
+          transactionHash: hash, blockHash: word(blockOf(hash)), blockNumber: hex(blockOf(hash)), transactionIndex: '0x0',
+          from: SENDER, to: tx.to, status: hex(tx.status ?? 1), gasUsed: '0x5208', cumulativeGasUsed: '0x5208',
+          effectiveGasPrice: '0x1', contractAddress: null, logsBloom: `0x${'0'.repeat(512)}`, type: '0x0', logs: [],
+        } : null;
+      case 'eth_getBlockByNumber': {
+        const number = Number(BigInt(hash));
+        const minedAt = transactions[blocks[number - 100]]?.minedAt || new Date();
+        return {
+          hash: word(number), parentHash: word(number - 1), number: hex(number),
+          timestamp: hex(Math.floor(minedAt.getTime() / 1000)), nonce: '0x0000000000000000', difficulty: '0x0',
+          gasLimit: '0x1c9c380', gasUsed: '0x5208', miner: SENDER, extraData: '0x', baseFeePerGas: '0x1', transactions: [],
+        };
+      }
+      default: return null;
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      const reply = r => ({ jsonrpc: '2.0', id: r.id, result: result(r) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(request) ? request.map(reply) : reply(request)));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ url: `http://127.0.0.1:${server.address().port}`, close: () => server.close() });
+  }));
+}
+
+module.exports = { startFakeEvmNode, word };
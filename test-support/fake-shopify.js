@@ -0,0 +1,25 @@
+// Replaces fetch for *.myshopify.com with canned GraphQL replies. `handlers`
+// maps an operation name to (variables) => data; operations without one get
+// empty data. Every call is recorded in `calls`. The OAuth token exchange is
+// answered by `handlers.accessToken(body)` as operation `accessToken`.
+function fakeShopify(handlers = {}) {
+  const realFetch = global.fetch;
+  const calls = [];
+  global.fetch = async (url, options) => {
+    if (!/\.myshopify\.com\//.test(String(url))) return realFetch(url, options);
+    if (String(url).endsWith('/admin/oauth/access_token')) {
+      const body = JSON.parse(options.body);
+      calls.push({ operation: 'accessToken', variables: body });
+      const reply = handlers.accessToken ? handlers.accessToken(body) : { status: 400, json: { error: 'invalid_request' } };
+      return new Response(JSON.stringify(reply.json), { status: reply.status || 200, headers: { 'Content-Type': 'application/json' } });
+    }
+    const { query, variables } = JSON.parse(options.body);
+    const operation = (query.match(/(?:query|mutation)\s+(\w+)/) || [])[1];
+    calls.push({ operation, variables });
+    const data = handlers[operation] ? handlers[operation](variables) : {};
+    return new Response(JSON.stringify({ data }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+  return { handlers, calls, restore: () => { global.fetch = realFetch; } };
+}
+
+module.exports = { fakeShopify };